@@ -0,0 +1,110 @@
+// Animated image exports (GIF, animated WebP, APNG). These containers hold a
+// single video codec and no audio, so settings.videoCodec, audioCodec and
+// rateControl do not apply. `settings.animation` tunes them:
+//
+//   loop        times the animation plays; 0 (default) loops forever
+//   maxFps      frame rate cap (default 30; GIF is never above 50, since
+//               browsers slow down shorter frame delays)
+//   dither      GIF only: paletteuse dithering (default sierra2_4a)
+//   bayerScale  GIF only: 0-5 pattern scale for `bayer` dithering (default 2)
+//   maxColors   GIF only: palette size, 2-256 (default 256)
+//
+// GIFs are encoded in two passes: palettegen builds one palette from the whole
+// render, then paletteuse maps every frame onto it.
+
+const ANIMATED_CONTAINERS = {
+  gif: { codec: 'gif', maxFps: 50 },
+  webp: { codec: 'webp', maxFps: Infinity },
+  apng: { codec: 'apng', maxFps: Infinity },
+};
+
+const DEFAULT_MAX_FPS = 30;
+const DEFAULT_DITHER = 'sierra2_4a';
+const DITHER_MODES = new Set(['bayer', 'heckbert', 'floyd_steinberg', 'sierra2', 'sierra2_4a']);
+const DEFAULT_BAYER_SCALE = 2;
+const DEFAULT_MAX_COLORS = 256;
+
+function isAnimatedContainer(container) {
+  return Object.prototype.hasOwnProperty.call(ANIMATED_CONTAINERS, container);
+}
+
+function getAnimatedCodec(container) {
+  return isAnimatedContainer(container) ? ANIMATED_CONTAINERS[container].codec : null;
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/**
+ * Normalised `settings.animation` for an animated container, or null for any
+ * other container. Unknown dither modes fall back to the default and are
+ * reported in `warnings`.
+ */
+function getAnimationOptions(settings, container) {
+  if (!isAnimatedContainer(container)) return null;
+  const raw = settings?.animation || {};
+  const warnings = [];
+
+  const requestedFps = Number(raw.maxFps);
+  const maxFps = Math.min(
+    ANIMATED_CONTAINERS[container].maxFps,
+    Number.isFinite(requestedFps) && requestedFps > 0 ? requestedFps : DEFAULT_MAX_FPS,
+  );
+
+  let dither = DEFAULT_DITHER;
+  if (raw.dither !== undefined && raw.dither !== null) {
+    if (DITHER_MODES.has(raw.dither)) {
+      dither = raw.dither;
+    } else if (container === 'gif') {
+      warnings.push({ code: 'unsupported_dither', dither: raw.dither, used: DEFAULT_DITHER });
+    }
+  }
+
+  return {
+    options: {
+      loop: clampInt(raw.loop, 0, 65535, 0),
+      maxFps,
+      dither,
+      bayerScale: clampInt(raw.bayerScale, 0, 5, DEFAULT_BAYER_SCALE),
+      maxColors: clampInt(raw.maxColors, 2, 256, DEFAULT_MAX_COLORS),
+    },
+    warnings,
+  };
+}
+
+/** Muxer options that make the output play `loop` times (0 = forever). */
+function getLoopOptions(container, loop) {
+  switch (container) {
+    case 'gif':
+      // The GIF loop count is repeats after the first play; -1 writes none
+      if (loop === 0) return ['-loop 0'];
+      return [`-loop ${loop === 1 ? -1 : loop - 1}`];
+    case 'webp':
+      return [`-loop ${loop}`];
+    case 'apng':
+      return [`-plays ${loop}`];
+    default:
+      return [];
+  }
+}
+
+function getPaletteGenFilter(options) {
+  return `palettegen=max_colors=${options.maxColors}`;
+}
+
+function getPaletteUseFilter(options) {
+  const bayer = options.dither === 'bayer' ? `:bayer_scale=${options.bayerScale}` : '';
+  return `paletteuse=dither=${options.dither}${bayer}`;
+}
+
+module.exports = {
+  ANIMATED_CONTAINERS,
+  isAnimatedContainer,
+  getAnimatedCodec,
+  getAnimationOptions,
+  getLoopOptions,
+  getPaletteGenFilter,
+  getPaletteUseFilter,
+};
@@ -0,0 +1,157 @@
+// Timeline audio: the audio of every clip in `timeline.clips` plus the
+// audio-only clips in `timeline.audioClips` (detached audio, music, voice-over)
+// is mixed into one stereo track. Audio clips take the same frame fields as
+// video clips but never draw anything. Any clip may set:
+//
+//   gainDb         gain in dB (default 0)
+//   muted          drop the clip's audio
+//   fadeInFrames   linear fade in from the clip's first frame
+//   fadeOutFrames  linear fade out to the clip's last frame
+//
+// A track with `muted: true` mutes every clip on it.
+
+const {
+  getClipLengthFrames,
+  computeTimelineWindow,
+} = require('./timelineGraph');
+
+const AUDIO_SAMPLE_RATE = 48000;
+const NORMALIZE_AUDIO = `aformat=sample_fmts=fltp:sample_rates=${AUDIO_SAMPLE_RATE}:channel_layouts=stereo`;
+
+function formatSeconds(seconds) {
+  return String(Number(Math.max(0, seconds).toFixed(6)));
+}
+
+function toFrames(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function getMutedTracks(project) {
+  return new Set((project?.timeline?.tracks || []).filter((track) => track?.muted === true).map((track) => track.id));
+}
+
+/** The audio properties a clip sets, with defaults; `mutedTracks` from getMutedTracks. */
+function getClipAudio(clip, mutedTracks = new Set()) {
+  return {
+    gainDb: Number.isFinite(clip?.gainDb) ? clip.gainDb : 0,
+    muted: clip?.muted === true || (clip?.trackId !== undefined && mutedTracks.has(clip.trackId)),
+    fadeInFrames: toFrames(clip?.fadeInFrames),
+    fadeOutFrames: toFrames(clip?.fadeOutFrames),
+  };
+}
+
+/**
+ * Returns one layer per audible clip in the export window, offset from the
+ * window start. Fades count from the clip's own edges, so a clip cut by the
+ * window keeps only the part of a fade inside it.
+ */
+function buildAudioLayers(project, settings) {
+  const window = computeTimelineWindow(project, settings);
+  const windowEnd = window.endFrame + 1;
+  const mutedTracks = getMutedTracks(project);
+  const clips = [
+    ...(project?.timeline?.clips || []).map((clip) => ({ clip, kind: 'video' })),
+    ...(project?.timeline?.audioClips || []).map((clip) => ({ clip, kind: 'audio' })),
+  ];
+  const layers = [];
+
+  for (const { clip, kind } of clips) {
+    const audio = getClipAudio(clip, mutedTracks);
+    const clipStart = clip.timelineStartFrame || 0;
+    const clipEnd = clipStart + getClipLengthFrames(clip);
+    const visibleStart = Math.max(clipStart, window.startFrame);
+    const visibleEnd = Math.min(clipEnd, windowEnd);
+    if (audio.muted || visibleEnd <= visibleStart) continue;
+
+    const frames = visibleEnd - visibleStart;
+    layers.push({
+      clipId: clip.id || null,
+      sourceId: clip.sourceId || null,
+      kind,
+      sourceStartFrame: (clip.startFrame || 0) + (visibleStart - clipStart),
+      offsetFrames: visibleStart - window.startFrame,
+      frames,
+      gainDb: audio.gainDb,
+      fadeInFrames: Math.min(frames, Math.max(0, audio.fadeInFrames - (visibleStart - clipStart))),
+      fadeOutFrames: Math.min(frames, Math.max(0, audio.fadeOutFrames - (clipEnd - visibleEnd))),
+    });
+  }
+
+  return {
+    layers,
+    durationFrames: windowEnd - window.startFrame,
+  };
+}
+
+/**
+ * Gain and fade filters for `frames` frames of one clip's audio. A muted clip
+ * (single-clip exports keep their audio track) is silenced.
+ */
+function getAudioFilters({ gainDb = 0, muted = false, fadeInFrames = 0, fadeOutFrames = 0, frames }, timelineFps) {
+  if (muted) return ['volume=0'];
+  const filters = [];
+  if (gainDb !== 0) {
+    filters.push(`volume=${gainDb}dB`);
+  }
+  if (fadeInFrames > 0) {
+    filters.push(`afade=t=in:st=0:d=${formatSeconds(fadeInFrames / timelineFps)}`);
+  }
+  if (fadeOutFrames > 0) {
+    const start = formatSeconds((frames - fadeOutFrames) / timelineFps);
+    filters.push(`afade=t=out:st=${start}:d=${formatSeconds(fadeOutFrames / timelineFps)}`);
+  }
+  return filters;
+}
+
+/**
+ * Mixes audio layers over a silent bed as long as the export. `inputs` holds
+ * one entry per layer (same order) with the ffmpeg input index and whether
+ * the file has an audio stream; inputs are expected to be pre-trimmed with
+ * `-ss`/`-t`. `postFilters` run on the mix, e.g. loudness normalisation.
+ */
+function buildAudioMixGraph({ layers, inputs, durationFrames, timelineFps, postFilters = [] }) {
+  const filters = [];
+  const totalDuration = formatSeconds(durationFrames / timelineFps);
+  filters.push(`anullsrc=r=${AUDIO_SAMPLE_RATE}:cl=stereo,atrim=duration=${totalDuration},${NORMALIZE_AUDIO}[abase]`);
+  const pads = ['[abase]'];
+
+  layers.forEach((layer, k) => {
+    const input = inputs[k];
+    if (!input || !input.hasAudio) return;
+
+    const delayMs = Math.round((layer.offsetFrames / timelineFps) * 1000);
+    const chain = [
+      'asetpts=PTS-STARTPTS',
+      `aresample=${AUDIO_SAMPLE_RATE}`,
+      NORMALIZE_AUDIO,
+      `atrim=duration=${formatSeconds(layer.frames / timelineFps)}`,
+      ...getAudioFilters(layer, timelineFps),
+    ];
+    if (delayMs > 0) {
+      chain.push(`adelay=${delayMs}|${delayMs}`);
+    }
+    // Padded inputs never drop out, so amix's 1/n scaling stays constant and
+    // is undone after the mix
+    chain.push('apad');
+    filters.push(`[${input.index}:a]${chain.join(',')}[a${k}]`);
+    pads.push(`[a${k}]`);
+  });
+
+  const mix =
+    pads.length === 1
+      ? ['[abase]anull']
+      : [`${pads.join('')}amix=inputs=${pads.length}:duration=first:dropout_transition=0`, `volume=${pads.length}`];
+  filters.push(`${[...mix, ...postFilters].join(',')}[aout]`);
+
+  return { filters, output: 'aout' };
+}
+
+module.exports = {
+  AUDIO_SAMPLE_RATE,
+  getClipAudio,
+  getMutedTracks,
+  buildAudioLayers,
+  getAudioFilters,
+  buildAudioMixGraph,
+};
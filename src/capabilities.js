@@ -0,0 +1,294 @@
+const { execFile } = require('child_process');
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const { getEncoderCodec, containerAcceptsVideo, containerAcceptsAudio } = require('./codecs');
+const { logger } = require('./logger');
+
+// What the bundled ffmpeg build can actually do, detected once at startup,
+// and the encoder fallback chains render planning walks through.
+//
+// Each requested codec (settings.videoCodec / settings.audioCodec) maps to an
+// ordered list of ffmpeg encoders. The first encoder that this build has and
+// whose codec the container accepts is used. ENCODER_FALLBACKS (JSON, e.g.
+// `{"h265":["hevc_nvenc","libx265","libx264"]}`) replaces the chain for the
+// codecs it names.
+
+const DEFAULT_VIDEO_ENCODERS = {
+  h264: ['libx264', 'libopenh264'],
+  h265: ['libx265', 'libx264'],
+  vp9: ['libvpx-vp9', 'libvpx'],
+  av1: ['libaom-av1', 'libsvtav1', 'librav1e', 'libvpx-vp9', 'libx265', 'libx264'],
+  prores_422: ['prores_ks', 'prores_aw'],
+  prores_422_hq: ['prores_ks', 'prores_aw'],
+  // Animated image containers (animation.js) always request these
+  gif: ['gif'],
+  webp: ['libwebp_anim', 'libwebp'],
+  apng: ['apng'],
+  // Image sequences (imageSequence.js)
+  png: ['png'],
+  mjpeg: ['mjpeg'],
+};
+
+const DEFAULT_AUDIO_ENCODERS = {
+  aac: ['aac', 'libfdk_aac'],
+  opus: ['libopus', 'libvorbis'],
+  pcm_s16le: ['pcm_s16le'],
+};
+
+// ProRes profile numbers shared by prores_ks and prores_aw
+const PRORES_PROFILES = { prores_422: 2, prores_422_hq: 3 };
+
+const CONTAINER_MUXERS = {
+  mp4: 'mp4',
+  mov: 'mov',
+  webm: 'webm',
+  mkv: 'matroska',
+  gif: 'gif',
+  webp: 'webp',
+  apng: 'apng',
+  image_sequence: 'image2',
+  hls: 'hls',
+};
+
+const DETECT_TIMEOUT_MS = 10000;
+
+let capabilities = null;
+
+function readFallbackConfig() {
+  if (!process.env.ENCODER_FALLBACKS) return {};
+  try {
+    const parsed = JSON.parse(process.env.ENCODER_FALLBACKS);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    logger.warn('invalid_encoder_fallbacks', { errorMessage: err.message });
+    return {};
+  }
+}
+
+const FALLBACK_CONFIG = readFallbackConfig();
+
+function getEncoderChain(kind, codec) {
+  const configured = FALLBACK_CONFIG[codec];
+  if (Array.isArray(configured) && configured.length > 0) return configured;
+  const defaults = kind === 'audio' ? DEFAULT_AUDIO_ENCODERS : DEFAULT_VIDEO_ENCODERS;
+  return defaults[codec] || [];
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegInstaller.path, ['-hide_banner', ...args], { timeout: DETECT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Listings start after a dashed separator line
+function listingLines(output) {
+  const lines = output.split('\n');
+  const start = lines.findIndex((line) => /^\s*-+\s*$/.test(line));
+  return lines.slice(start + 1);
+}
+
+function parseEncoders(output) {
+  const encoders = [];
+  for (const line of listingLines(output)) {
+    const match = /^\s*([VAS])[.F][.S]([.X])[.B][.D]\s+(\S+)\s+(.*)$/.exec(line);
+    if (!match) continue;
+    const codec = /\(codec (\S+)\)/.exec(match[4]);
+    encoders.push({
+      name: match[3],
+      kind: { V: 'video', A: 'audio', S: 'subtitle' }[match[1]],
+      codec: codec ? codec[1] : match[3],
+      experimental: match[2] === 'X',
+    });
+  }
+  return encoders;
+}
+
+function parseMuxers(output) {
+  const muxers = [];
+  for (const line of listingLines(output)) {
+    const match = /^\s*D?E\s+(\S+)/.exec(line);
+    if (match) muxers.push(...match[1].split(','));
+  }
+  return muxers;
+}
+
+function parsePixelFormats(output) {
+  const formats = [];
+  for (const line of listingLines(output)) {
+    const match = /^\s*[I.]O[.H][.P][.B]\s+(\S+)/.exec(line);
+    if (match) formats.push(match[1]);
+  }
+  return formats;
+}
+
+function parseEncoderPixelFormats(output) {
+  const match = /Supported pixel formats:\s*(.*)/.exec(output);
+  return match ? match[1].trim().split(/\s+/) : null;
+}
+
+/**
+ * Probes the ffmpeg build for encoders, muxers and output pixel formats, plus
+ * the pixel formats of every encoder named in a fallback chain. Resolves with
+ * the detected capabilities (also kept for getCapabilities).
+ */
+async function loadCapabilities() {
+  const [versionOutput, encoderOutput, muxerOutput, pixelFormatOutput] = await Promise.all([
+    runFfmpeg(['-version']),
+    runFfmpeg(['-encoders']),
+    runFfmpeg(['-muxers']),
+    runFfmpeg(['-pix_fmts']),
+  ]);
+
+  const encoders = parseEncoders(encoderOutput);
+  const chainEncoders = new Set(
+    Object.keys({ ...DEFAULT_VIDEO_ENCODERS, ...FALLBACK_CONFIG })
+      .flatMap((codec) => getEncoderChain('video', codec))
+      .filter((name) => encoders.some((encoder) => encoder.name === name)),
+  );
+  await Promise.all(
+    encoders
+      .filter((encoder) => chainEncoders.has(encoder.name))
+      .map(async (encoder) => {
+        encoder.pixelFormats = parseEncoderPixelFormats(await runFfmpeg(['-h', `encoder=${encoder.name}`]));
+      }),
+  );
+
+  capabilities = {
+    ffmpegVersion: (/ffmpeg version (\S+)/.exec(versionOutput) || [])[1] || null,
+    encoders,
+    muxers: parseMuxers(muxerOutput),
+    pixelFormats: parsePixelFormats(pixelFormatOutput),
+    detectedAt: new Date().toISOString(),
+  };
+  return capabilities;
+}
+
+function getCapabilities() {
+  return capabilities;
+}
+
+// For tests: install a capabilities record (or null for "not detected")
+function setCapabilities(next) {
+  capabilities = next;
+}
+
+function findEncoder(name) {
+  return capabilities ? capabilities.encoders.find((encoder) => encoder.name === name) || null : null;
+}
+
+// Encoders whose first supported pixel format is not the one to render with
+const ENCODER_PIXEL_FORMATS = { gif: 'pal8', apng: 'rgb24', png: 'rgb24', mjpeg: 'yuvj420p' };
+
+// Before detection (or when it failed) every encoder is assumed present
+function isEncoderAvailable(name) {
+  return !capabilities || Boolean(findEncoder(name));
+}
+
+function getCodecOfEncoder(name) {
+  return findEncoder(name)?.codec || getEncoderCodec(name);
+}
+
+function isMuxerAvailable(container) {
+  return !capabilities || capabilities.muxers.includes(CONTAINER_MUXERS[container] || container);
+}
+
+/**
+ * Walks the fallback chain for a requested codec. `compatible` is false when
+ * the container cannot hold the requested codec at all;
+ * otherwise `candidates` are the chain entries the container can hold and
+ * `encoder` the first of them this build has (null when none).
+ */
+function resolveEncoder(kind, codec, container) {
+  const accepts = (name) =>
+    (kind === 'audio' ? containerAcceptsAudio : containerAcceptsVideo)(container, getCodecOfEncoder(name));
+  const chain = getEncoderChain(kind, codec);
+  // Judged on the first encoder whose codec is known (configured encoders
+  // this build lacks report none)
+  const primary = chain.find((name) => getCodecOfEncoder(name));
+  const compatible = Boolean(primary) && accepts(primary);
+  const candidates = compatible ? chain.filter(accepts) : [];
+  const encoder = candidates.find(isEncoderAvailable) || null;
+  return {
+    requested: codec,
+    compatible,
+    encoder,
+    candidates,
+    fallback: Boolean(encoder) && encoder !== chain[0],
+  };
+}
+
+/**
+ * Output pixel format for an encoder: `requested` when given (null if the
+ * encoder cannot produce it), otherwise yuv420p or the encoder's first format.
+ */
+function resolvePixelFormat(encoder, requested) {
+  const supported = findEncoder(encoder)?.pixelFormats || null;
+  if (requested) {
+    return !supported || supported.includes(requested) ? requested : null;
+  }
+  if (ENCODER_PIXEL_FORMATS[encoder]) return ENCODER_PIXEL_FORMATS[encoder];
+  if (!supported || supported.includes('yuv420p')) return 'yuv420p';
+  return supported[0];
+}
+
+/** Extra output options an encoder needs for the requested codec. */
+function getEncoderOptions(encoder, codec) {
+  const options = [];
+  if ((encoder === 'prores_ks' || encoder === 'prores_aw') && PRORES_PROFILES[codec] !== undefined) {
+    options.push(`-profile:v ${PRORES_PROFILES[codec]}`);
+  }
+  if (findEncoder(encoder)?.experimental) {
+    options.push('-strict experimental');
+  }
+  return options;
+}
+
+/**
+ * Client view for GET /capabilities: what each requested codec resolves to
+ * in each container, alongside the raw detection results.
+ */
+function describeCapabilities() {
+  const containers = Object.keys(CONTAINER_MUXERS);
+  const describe = (kind, codecs) =>
+    Object.fromEntries(
+      codecs.map((codec) => [
+        codec,
+        Object.fromEntries(
+          containers.map((container) => {
+            const resolved = resolveEncoder(kind, codec, container);
+            return [container, resolved.encoder ? { encoder: resolved.encoder, fallback: resolved.fallback } : null];
+          }),
+        ),
+      ]),
+    );
+
+  return {
+    detected: Boolean(capabilities),
+    ffmpegVersion: capabilities?.ffmpegVersion ?? null,
+    containers: Object.fromEntries(containers.map((container) => [container, isMuxerAvailable(container)])),
+    videoCodecs: describe('video', Object.keys(DEFAULT_VIDEO_ENCODERS)),
+    audioCodecs: describe('audio', Object.keys(DEFAULT_AUDIO_ENCODERS)),
+    encoders: capabilities ? capabilities.encoders.filter((encoder) => encoder.kind !== 'subtitle') : [],
+    muxers: capabilities ? capabilities.muxers : [],
+    pixelFormats: capabilities ? capabilities.pixelFormats : [],
+  };
+}
+
+module.exports = {
+  getEncoderChain,
+  loadCapabilities,
+  getCapabilities,
+  setCapabilities,
+  isMuxerAvailable,
+  resolveEncoder,
+  resolvePixelFormat,
+  getEncoderOptions,
+  describeCapabilities,
+  parseEncoders,
+  parseMuxers,
+};
@@ -0,0 +1,206 @@
+// Codec/container compatibility tables, keyed by ffprobe codec names: what
+// each ffmpeg muxer writes without -strict experimental (checked against the
+// bundled build; e.g. mov refuses VP9 and Opus, which only mp4 takes).
+
+const CONTAINER_VIDEO_CODECS = {
+  mp4: new Set(['h264', 'hevc', 'av1', 'vp9', 'mpeg4', 'mpeg2video', 'mjpeg', 'png']),
+  mov: new Set(['h264', 'hevc', 'prores', 'mpeg4', 'mpeg2video', 'mjpeg', 'png', 'gif']),
+  webm: new Set(['vp8', 'vp9', 'av1']),
+  mkv: null, // anything
+  gif: new Set(['gif']),
+  webp: new Set(['webp']),
+  apng: new Set(['apng']),
+  image_sequence: new Set(['png', 'mjpeg']),
+  // MPEG-TS segments
+  hls: new Set(['h264', 'hevc', 'mpeg4', 'mpeg2video', 'vp9', 'mjpeg']),
+};
+
+const CONTAINER_AUDIO_CODECS = {
+  mp4: new Set(['aac', 'mp3', 'ac3', 'eac3', 'alac', 'vorbis']),
+  mov: new Set(['aac', 'mp3', 'ac3', 'alac', 'vorbis', 'pcm_s16le', 'pcm_s24le', 'pcm_s16be', 'pcm_s24be']),
+  webm: new Set(['opus', 'vorbis']),
+  mkv: null,
+  gif: new Set(),
+  webp: new Set(),
+  apng: new Set(),
+  image_sequence: new Set(),
+  hls: new Set(['aac', 'mp3', 'ac3', 'eac3']),
+};
+
+// settings.videoCodec -> { codec, profile } as ffprobe reports them
+const REQUESTED_VIDEO_CODECS = {
+  h264: { codec: 'h264' },
+  h265: { codec: 'hevc' },
+  vp9: { codec: 'vp9' },
+  av1: { codec: 'av1' },
+  prores_422: { codec: 'prores', profile: 'Standard' },
+  prores_422_hq: { codec: 'prores', profile: 'HQ' },
+};
+
+// ffmpeg encoder (from the fallback chains in capabilities.js) -> ffprobe codec
+const ENCODER_CODECS = {
+  libx264: 'h264',
+  libopenh264: 'h264',
+  libx265: 'hevc',
+  'libvpx-vp9': 'vp9',
+  libvpx: 'vp8',
+  'libaom-av1': 'av1',
+  libsvtav1: 'av1',
+  librav1e: 'av1',
+  prores_ks: 'prores',
+  prores_aw: 'prores',
+  aac: 'aac',
+  libfdk_aac: 'aac',
+  libopus: 'opus',
+  libvorbis: 'vorbis',
+  pcm_s16le: 'pcm_s16le',
+  gif: 'gif',
+  libwebp_anim: 'webp',
+  libwebp: 'webp',
+  apng: 'apng',
+  png: 'png',
+  mjpeg: 'mjpeg',
+};
+
+// Files other containers are delivered as
+const CONTAINER_EXTENSIONS = { image_sequence: 'zip', hls: 'm3u8' };
+
+// Typical bits per pixel per frame at the encoders' default quality, for size
+// estimates only
+const ENCODER_BITS_PER_PIXEL = {
+  libx264: 0.1,
+  libx265: 0.06,
+  'libvpx-vp9': 0.07,
+  libvpx: 0.09,
+  'libaom-av1': 0.05,
+  libsvtav1: 0.05,
+  librav1e: 0.05,
+  prores_ks: 2.4,
+  prores_aw: 2.4,
+  gif: 0.5,
+  libwebp_anim: 0.4,
+  libwebp: 0.4,
+  apng: 2,
+  png: 4,
+  mjpeg: 1,
+};
+const PRORES_HQ_BITS_PER_PIXEL = 3.6;
+// CRF each encoder defaults to; every 6 points roughly halves or doubles size
+const ENCODER_DEFAULT_CRF = { libx264: 23, libx265: 28 };
+const AUDIO_ENCODER_KBPS = { aac: 128, libfdk_aac: 128, libopus: 96, libvorbis: 112, pcm_s16le: 1536 };
+
+function getEncoderCodec(encoder) {
+  return ENCODER_CODECS[encoder] || null;
+}
+
+function getContainerExtension(container) {
+  return CONTAINER_EXTENSIONS[container] || container;
+}
+
+function isKnownContainer(container) {
+  return Object.prototype.hasOwnProperty.call(CONTAINER_VIDEO_CODECS, container);
+}
+
+/**
+ * Rough output size in bytes for an encode with the given ffmpeg encoders.
+ * An explicit bitrate is used as-is; otherwise a per-encoder bits-per-pixel
+ * figure, adjusted for CRF where the encoder has a known default.
+ */
+function estimateOutputBytes({ videoCodec, audioCodec, width, height, fps, durationSeconds, settings = {} }) {
+  const rateControl = settings.rateControl || {};
+  let videoKbps;
+  if (rateControl.mode === 'bitrate' && typeof rateControl.kbps === 'number') {
+    videoKbps = rateControl.kbps;
+  } else {
+    let bitsPerPixel = settings.videoCodec === 'prores_422_hq'
+      ? PRORES_HQ_BITS_PER_PIXEL
+      : ENCODER_BITS_PER_PIXEL[videoCodec] ?? ENCODER_BITS_PER_PIXEL.libx264;
+    const defaultCrf = ENCODER_DEFAULT_CRF[videoCodec];
+    if (rateControl.mode === 'crf' && typeof rateControl.value === 'number' && defaultCrf !== undefined) {
+      bitsPerPixel *= 2 ** ((defaultCrf - rateControl.value) / 6);
+    }
+    videoKbps = (width * height * fps * bitsPerPixel) / 1000;
+  }
+
+  const includeAudio = audioCodec !== 'none' && settings.includeAudio !== false;
+  const audioKbps = includeAudio ? AUDIO_ENCODER_KBPS[audioCodec] ?? 128 : 0;
+  return Math.round(((videoKbps + audioKbps) * 1000 * durationSeconds) / 8);
+}
+
+function containerAccepts(table, container, codec) {
+  if (!codec || !Object.prototype.hasOwnProperty.call(table, container)) return false;
+  const allowed = table[container];
+  return allowed === null || allowed.has(codec);
+}
+
+function containerAcceptsVideo(container, codec) {
+  return containerAccepts(CONTAINER_VIDEO_CODECS, container, codec);
+}
+
+function containerAcceptsAudio(container, codec) {
+  return containerAccepts(CONTAINER_AUDIO_CODECS, container, codec);
+}
+
+/**
+ * Decides whether the input's video stream can be copied untouched into the
+ * requested output. `reasons` lists every check that failed, for job debug.
+ * Audio is copied whenever the container can hold the source codec and is
+ * only transcoded (to the requested audio codec) when it cannot or when
+ * `hasAudioFilters` (gain, fades, loudness) must run on it.
+ */
+function planStreamCopy({
+  probe,
+  settings,
+  container,
+  width,
+  height,
+  fps,
+  hasFilters,
+  hasAudioFilters = false,
+  isTrimmed,
+  isVariableFrameRate,
+}) {
+  const reasons = [];
+  const video = probe?.video;
+  const requestedName = settings.videoCodec || (container === 'webm' ? 'vp9' : 'h264');
+  const requested = REQUESTED_VIDEO_CODECS[requestedName] || REQUESTED_VIDEO_CODECS.h264;
+  const pixelFormat = settings.pixelFormat || 'yuv420p';
+
+  if (settings.allowStreamCopy === false) reasons.push('disabled_by_settings');
+  if (!video) reasons.push('no_video_stream');
+  if (hasFilters) reasons.push('filters_required');
+  if (isTrimmed) reasons.push('trim_required');
+  if (isVariableFrameRate) reasons.push('variable_frame_rate');
+  // A requested CRF or bitrate only takes effect when re-encoding
+  if (settings.rateControl) reasons.push('rate_control_requested');
+
+  if (video) {
+    if (video.codec !== requested.codec) reasons.push('codec_mismatch');
+    if (requested.profile && video.profile !== requested.profile) reasons.push('profile_mismatch');
+    if (!containerAcceptsVideo(container, video.codec)) reasons.push('container_rejects_codec');
+    if (video.pixelFormat !== pixelFormat) reasons.push('pixel_format_mismatch');
+    if (video.width !== width || video.height !== height) reasons.push('resolution_mismatch');
+    if (!Number.isFinite(video.fps) || Math.abs(video.fps - fps) > 0.01) reasons.push('fps_mismatch');
+  }
+
+  let audio = 'none';
+  if (settings.includeAudio !== false && settings.audioCodec !== 'none' && probe?.audio) {
+    audio = containerAcceptsAudio(container, probe.audio.codec) && !hasAudioFilters ? 'copy' : 'transcode';
+  }
+
+  return {
+    canCopy: reasons.length === 0,
+    reasons,
+    audio,
+  };
+}
+
+module.exports = {
+  getEncoderCodec,
+  getContainerExtension,
+  isKnownContainer,
+  estimateOutputBytes,
+  containerAcceptsVideo,
+  containerAcceptsAudio,
+  planStreamCopy,
+};
@@ -0,0 +1,290 @@
+// Datamosh operations applied at decode time through ffmpeg's select filter.
+//
+// `settings.datamosh.operations` entries are either operation names or
+// objects of the form `{ type, ...params }`:
+//
+//   ClassicDatamosh / DropIntraFrames   drop I-frames so motion smears across cuts
+//   DropPredictedFrames                 drop P-frames
+//   HoldReferenceFrame  { holdFrames }  hold each I-frame's reference for `holdFrames`
+//                                       frames (packet engine: the next P-frame's
+//                                       motion repeats and blooms; filter: freeze)
+//   DuplicatePredictedFrames { count }  show each P-frame `count` extra times
+//
+// Any operation can be limited with `{ startFrame, endFrame }` (inclusive
+// timeline frames) or `{ clipId }` (that clip's span on the timeline). Frames
+// are mapped to output time from the export's first frame, the same window
+// computeDurationFrames measures; unscoped operations cover the whole export.
+//
+// By default these run on the packet-level engine in packetMosh.js, which
+// produces real compression artefacts. `datamosh.engine: 'filter'` selects the
+// decode-time select filters below instead; they only drop or repeat whole
+// decoded frames. Hold and duplicate keep the export's timing either way.
+
+const {
+  getTimelineFps,
+  getClipLengthFrames,
+  getExportStartFrame,
+} = require('./timelineGraph');
+
+const DEFAULT_HOLD_FRAMES = 12;
+const DEFAULT_DUPLICATE_COUNT = 1;
+const DEFAULT_GOP_SIZE = 250;
+
+const SUPPORTED_OPERATIONS = new Set([
+  'ClassicDatamosh',
+  'DropIntraFrames',
+  'DropPredictedFrames',
+  'HoldReferenceFrame',
+  'DuplicatePredictedFrames',
+]);
+
+function normalizeOperations(datamosh) {
+  const raw = Array.isArray(datamosh?.operations) ? datamosh.operations : [];
+  return raw
+    .map((op) => (typeof op === 'string' ? { type: op } : op))
+    .filter((op) => op && typeof op.type === 'string');
+}
+
+function positiveInt(value, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Operation names in a timeline-mode datamosh config that the backend cannot
+ * render. Callers surface these instead of silently dropping them.
+ */
+function getUnsupportedOperations(datamosh) {
+  if (!datamosh || datamosh.mode !== 'timeline') return [];
+  const unsupported = normalizeOperations(datamosh)
+    .map((op) => op.type)
+    .filter((type) => !SUPPORTED_OPERATIONS.has(type));
+  return Array.from(new Set(unsupported));
+}
+
+/**
+ * The timeline frames an operation is limited to, as `{ startFrame, endFrame }`
+ * with either end possibly null (open). Returns null for unscoped operations
+ * and false when `clipId` names a clip that is not on the timeline.
+ */
+function getOperationFrames(op, project) {
+  if (op.clipId !== undefined && op.clipId !== null) {
+    const clip = (project?.timeline?.clips || []).find((c) => c.id === op.clipId);
+    if (!clip) return false;
+    const startFrame = clip.timelineStartFrame || 0;
+    return { startFrame, endFrame: startFrame + getClipLengthFrames(clip) - 1 };
+  }
+
+  const hasStart = typeof op.startFrame === 'number';
+  const hasEnd = typeof op.endFrame === 'number';
+  if (!hasStart && !hasEnd) return null;
+  return { startFrame: hasStart ? op.startFrame : null, endFrame: hasEnd ? op.endFrame : null };
+}
+
+const DROP_INTRA_OPERATIONS = new Set(['ClassicDatamosh', 'DropIntraFrames']);
+
+function scopesOverlap(a, b) {
+  const [aStart, aEnd] = a ? [a.startSeconds, a.endSeconds ?? Infinity] : [0, Infinity];
+  const [bStart, bEnd] = b ? [b.startSeconds, b.endSeconds ?? Infinity] : [0, Infinity];
+  return aStart < bEnd && bStart < aEnd;
+}
+
+/**
+ * DropPredictedFrames operations that a drop-I operation overrides, as
+ * `{ op, overriddenBy }`. Dropping I-frames wins wherever both apply: the
+ * packet engine checks per packet, while the filter engine chains scoped
+ * drops and only picks one of two unscoped ones.
+ */
+function findConflictingOperations(operations, engine) {
+  const dropIntra = operations.filter((op) => DROP_INTRA_OPERATIONS.has(op.type));
+  const conflicts = [];
+  for (const op of operations) {
+    if (op.type !== 'DropPredictedFrames') continue;
+    const winner = dropIntra.find((other) =>
+      engine === 'filter' ? !op.scope && !other.scope : scopesOverlap(op.scope, other.scope),
+    );
+    if (winner) conflicts.push({ op, overriddenBy: winner.type });
+  }
+  return conflicts;
+}
+
+/**
+ * Timeline-mode operations with their scope converted to output seconds:
+ * `scope` is `{ startSeconds, endSeconds }` (end exclusive, null when open) or
+ * null for operations covering the whole export. Supported operations whose
+ * clip is missing or whose range falls outside the export are returned in
+ * `outOfRange` instead; ranges starting after the end are only caught when
+ * the export's `durationSeconds` is given. `conflicts` lists the operations
+ * that another one overrides (see findConflictingOperations).
+ */
+function resolveOperations(datamosh, { project, settings, durationSeconds = null } = {}) {
+  const operations = [];
+  const outOfRange = [];
+  if (!datamosh || datamosh.mode !== 'timeline') return { operations, outOfRange, conflicts: [] };
+
+  const timelineFps = getTimelineFps(project);
+  const exportStartFrame = getExportStartFrame(project, settings);
+
+  for (const op of normalizeOperations(datamosh)) {
+    if (!SUPPORTED_OPERATIONS.has(op.type)) continue;
+
+    const frames = getOperationFrames(op, project);
+    if (frames === null) {
+      operations.push({ ...op, scope: null });
+      continue;
+    }
+
+    const scope = frames && {
+      startSeconds: frames.startFrame === null ? 0 : Math.max(0, (frames.startFrame - exportStartFrame) / timelineFps),
+      endSeconds: frames.endFrame === null ? null : (frames.endFrame + 1 - exportStartFrame) / timelineFps,
+    };
+    const startsAfterEnd = durationSeconds !== null && scope && scope.startSeconds >= durationSeconds;
+    if (!scope || (scope.endSeconds !== null && scope.endSeconds <= scope.startSeconds) || startsAfterEnd) {
+      outOfRange.push(op);
+      continue;
+    }
+    operations.push({ ...op, scope });
+  }
+
+  return { operations, outOfRange, conflicts: findConflictingOperations(operations, datamosh.engine) };
+}
+
+function formatTime(seconds) {
+  return String(Number(seconds.toFixed(6)));
+}
+
+function scopeCondition(scope, fps, timeOffset) {
+  // Frames are matched by their midpoint so float error never moves an edge
+  const bias = 0.5 / fps;
+  const start = `gte(t\\,${formatTime(scope.startSeconds + timeOffset - bias)})`;
+  if (scope.endSeconds === null) return start;
+  return `${start}*lt(t\\,${formatTime(scope.endSeconds + timeOffset - bias)})`;
+}
+
+function holdReferenceFilters(holdFrames, fps, condition = null) {
+  // st(0) remembers the last I-frame (as n+1 so 0 means "none seen yet")
+  const select = condition
+    ? `select='if(eq(pict_type\\,I)*${condition}\\,st(0\\,n+1)*0+1\\,not(${condition})+eq(ld(0)\\,0)+gt(n+1-ld(0)\\,${holdFrames}))'`
+    : `select='if(eq(pict_type\\,I)\\,st(0\\,n+1)*0+1\\,eq(ld(0)\\,0)+gt(n+1-ld(0)\\,${holdFrames}))'`;
+  return [select, `fps=${fps}`];
+}
+
+function duplicatePredictedFilters(count, fps, condition = null) {
+  // st(1) remembers the last kept P-frame; frames inside its window are dropped
+  const select = condition
+    ? `select='if(not(${condition})+eq(ld(1)\\,0)+gt(n+1-ld(1)\\,${count})\\,1+if(eq(pict_type\\,P)*${condition}\\,st(1\\,n+1)*0)\\,0)'`
+    : `select='if(eq(ld(1)\\,0)+gt(n+1-ld(1)\\,${count})\\,1+if(eq(pict_type\\,P)\\,st(1\\,n+1)*0)\\,0)'`;
+  return [select, `fps=${fps}`];
+}
+
+// Scoped drops leave a hole that fps fills with the previous frame, so later
+// ranges still line up with the timeline.
+function scopedOperationFilters(op, fps, timeOffset) {
+  const condition = scopeCondition(op.scope, fps, timeOffset);
+  switch (op.type) {
+    case 'ClassicDatamosh':
+    case 'DropIntraFrames':
+      return [`select='not(eq(pict_type\\,I)*${condition})'`, `fps=${fps}`];
+    case 'DropPredictedFrames':
+      return [`select='not(eq(pict_type\\,P)*${condition})'`, `fps=${fps}`];
+    case 'HoldReferenceFrame':
+      return holdReferenceFilters(positiveInt(op.holdFrames, DEFAULT_HOLD_FRAMES), fps, condition);
+    case 'DuplicatePredictedFrames':
+      return duplicatePredictedFilters(positiveInt(op.count, DEFAULT_DUPLICATE_COUNT), fps, condition);
+    default:
+      return [];
+  }
+}
+
+/**
+ * `project` and `settings` resolve scoped operations; `timeOffset` is the
+ * filter timestamp of the export's first frame (non-zero when the input is
+ * trimmed with an output seek, which filters before discarding).
+ */
+function buildDatamoshFilterChain(datamosh, { fps = 24, project = null, settings = null, timeOffset = 0 } = {}) {
+  const filters = [];
+  if (!datamosh || !datamosh.mode || datamosh.mode === 'none') return filters;
+
+  // Legacy / simple toggle
+  if (datamosh.mode === 'classic') {
+    // Rough classic effect: drop I-frames, smear across GOP
+    filters.push('select=not(eq(pict_type\\,I))');
+    filters.push('setpts=N/(FRAME_RATE*TB)');
+    return filters;
+  }
+
+  if (datamosh.mode === 'timeline') {
+    const { operations } = resolveOperations(datamosh, { project, settings });
+
+    // Scoped operations go first, before any unscoped drop re-times the stream
+    operations
+      .filter((op) => op.scope)
+      .forEach((op) => filters.push(...scopedOperationFilters(op, fps, timeOffset)));
+
+    const byType = new Map(operations.filter((op) => !op.scope).map((op) => [op.type, op]));
+
+    // Treat ClassicDatamosh + DropIntraFrames as "drop I-frames"
+    if (byType.has('ClassicDatamosh') || byType.has('DropIntraFrames')) {
+      filters.push('select=not(eq(pict_type\\,I))');
+      filters.push('setpts=N/(FRAME_RATE*TB)');
+    } else if (byType.has('DropPredictedFrames')) {
+      // Simple "drop P-frames" preset
+      filters.push('select=not(eq(pict_type\\,P))');
+      filters.push('setpts=N/(FRAME_RATE*TB)');
+    }
+
+    if (byType.has('HoldReferenceFrame')) {
+      const op = byType.get('HoldReferenceFrame');
+      filters.push(...holdReferenceFilters(positiveInt(op.holdFrames, DEFAULT_HOLD_FRAMES), fps));
+    }
+
+    if (byType.has('DuplicatePredictedFrames')) {
+      const op = byType.get('DuplicatePredictedFrames');
+      filters.push(...duplicatePredictedFilters(positiveInt(op.count, DEFAULT_DUPLICATE_COUNT), fps));
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Options for createPacketMosher, or null when the export should use the
+ * filter engine (or has nothing to mosh). Scopes become packet index ranges
+ * of the intermediate, which has one packet per output frame at `fps`.
+ */
+function getPacketMoshOptions(datamosh, { fps = 24, project = null, settings = null } = {}) {
+  if (!datamosh || datamosh.engine === 'filter') return null;
+
+  if (datamosh.mode === 'classic') {
+    return { operations: [{ type: 'DropIntraFrames', startIndex: 0, endIndex: null }] };
+  }
+
+  if (datamosh.mode !== 'timeline') return null;
+
+  const operations = resolveOperations(datamosh, { project, settings }).operations.map((op) => {
+    const packetOp = {
+      type: op.type === 'ClassicDatamosh' ? 'DropIntraFrames' : op.type,
+      startIndex: op.scope ? Math.round(op.scope.startSeconds * fps) : 0,
+      endIndex: op.scope && op.scope.endSeconds !== null ? Math.round(op.scope.endSeconds * fps) : null,
+    };
+    if (op.type === 'HoldReferenceFrame') packetOp.repeat = positiveInt(op.holdFrames, DEFAULT_HOLD_FRAMES);
+    if (op.type === 'DuplicatePredictedFrames') packetOp.repeat = positiveInt(op.count, DEFAULT_DUPLICATE_COUNT);
+    return packetOp;
+  });
+
+  return operations.length > 0 ? { operations } : null;
+}
+
+function getGopSize(datamosh) {
+  return positiveInt(datamosh?.gopSize, DEFAULT_GOP_SIZE);
+}
+
+module.exports = {
+  SUPPORTED_OPERATIONS,
+  normalizeOperations,
+  getUnsupportedOperations,
+  resolveOperations,
+  buildDatamoshFilterChain,
+  getPacketMoshOptions,
+  getGopSize,
+};
@@ -0,0 +1,76 @@
+// Draft renders (`settings.quality: 'draft'`) for checking a mosh quickly
+// before a full export: the output is scaled down to fit DRAFT_MAX_DIMENSION,
+// the frame rate is capped at DRAFT_MAX_FPS, encoders run at their fastest
+// preset and every frame carries a "DRAFT" watermark with the job id. Drafts
+// are queued in their own lane so they never wait behind full renders.
+
+const DRAFT_QUALITY = 'draft';
+const FULL_QUALITY = 'full';
+
+const DRAFT_MAX_DIMENSION = 640;
+const DRAFT_MAX_FPS = 15;
+
+// Fastest settings per encoder; encoders not listed run at their defaults
+const DRAFT_ENCODER_OPTIONS = {
+  libx264: ['-preset ultrafast'],
+  libx265: ['-preset ultrafast'],
+  'libvpx-vp9': ['-deadline realtime', '-cpu-used 8'],
+  libvpx: ['-deadline realtime', '-cpu-used 8'],
+  'libaom-av1': ['-cpu-used 8'],
+};
+
+const WATERMARK_FONT_FILE = process.env.WATERMARK_FONT_FILE || null;
+
+function isDraft(settings) {
+  return settings?.quality === DRAFT_QUALITY;
+}
+
+function getQuality(settings) {
+  return isDraft(settings) ? DRAFT_QUALITY : FULL_QUALITY;
+}
+
+/** Extra resolution scale (at most 1) that fits `width`x`height` into a draft. */
+function getDraftScale(width, height) {
+  return Math.min(1, DRAFT_MAX_DIMENSION / Math.max(width, height));
+}
+
+function getDraftEncoderOptions(encoder) {
+  return DRAFT_ENCODER_OPTIONS[encoder] || [];
+}
+
+function drawText(text, options) {
+  const font = WATERMARK_FONT_FILE ? `:fontfile='${WATERMARK_FONT_FILE}'` : '';
+  return `drawtext=text='${text}'${font}:${options}`;
+}
+
+/**
+ * Video filters burning the watermark into a `width`x`height` frame: "DRAFT"
+ * across the middle and the job id in the bottom-left corner.
+ */
+function getWatermarkFilters(jobId, { height }) {
+  const titleSize = Math.max(12, Math.round(height / 6));
+  const idSize = Math.max(8, Math.round(height / 28));
+  const margin = Math.max(4, Math.round(height / 60));
+  return [
+    drawText(
+      'DRAFT',
+      `fontsize=${titleSize}:fontcolor=white@0.6:borderw=2:bordercolor=black@0.6:x=(w-text_w)/2:y=(h-text_h)/2`,
+    ),
+    drawText(
+      String(jobId).replace(/[^0-9A-Za-z-]/g, ''),
+      `fontsize=${idSize}:fontcolor=white@0.8:box=1:boxcolor=black@0.5:x=${margin}:y=h-text_h-${margin}`,
+    ),
+  ];
+}
+
+module.exports = {
+  DRAFT_QUALITY,
+  FULL_QUALITY,
+  DRAFT_MAX_DIMENSION,
+  DRAFT_MAX_FPS,
+  isDraft,
+  getQuality,
+  getDraftScale,
+  getDraftEncoderOptions,
+  getWatermarkFilters,
+};
@@ -1,22 +1,175 @@
 const express = require('express');
 const fs = require('fs');
-const { createJob, getJob } = require('./jobs');
+const { createJob, getJob, cancelJob, isTerminalStatus, planRenditions, getPreviewPath } = require('./jobs');
+const { subscribeJobEvents } = require('./jobEvents');
+const { presetRegistry } = require('./presets');
+const { isAnimatedContainer } = require('./animation');
+const { isImageSequenceContainer } = require('./imageSequence');
+const { getContainerExtension } = require('./codecs');
+const { PREVIEW_FILES } = require('./previews');
+const { FULL_QUALITY, getQuality } = require('./draft');
+const { HLS_PLAYLIST_NAME, isHlsContainer, resolveHlsFile, getHlsMimeType } = require('./hls');
+const { hasRenditions, getRenditionSettings } = require('./renditions');
+const { getWebhookConfig, isValidCallbackUrl } = require('./webhooks');
+
+const SSE_HEARTBEAT_MS = 15000;
 
 const IS_DEV = process.env.NODE_ENV !== 'production';
 
 const router = express.Router();
 
-router.post('/', (req, res) => {
-  const { project, settings, clientVersion } = req.body || {};
+// Animated image and image-sequence containers imply their codec
+function hasContainerAndCodec(settings) {
+  const impliesCodec = isAnimatedContainer(settings?.container) || isImageSequenceContainer(settings?.container);
+  return Boolean(settings && settings.container && (settings.videoCodec || impliesCodec));
+}
+
+// Multi-rendition requests: each rendition may name its own preset and must
+// end up with a container and codec. Sends a 400 and returns null otherwise.
+function resolveRenditionSettings(settings, res) {
+  if (!Array.isArray(settings.outputs)) {
+    res.status(400).json({ error: 'invalid_outputs', reason: 'empty' });
+    return null;
+  }
 
-  if (!settings || !settings.container || !settings.videoCodec) {
-    return res.status(400).json({ error: 'invalid_request' });
+  const outputs = [];
+  for (const output of settings.outputs) {
+    const { settings: expanded, error } = presetRegistry.expand(output);
+    if (error) {
+      res.status(400).json({ error, preset: output.preset, output: output.name ?? null });
+      return null;
+    }
+    outputs.push(expanded);
   }
 
-  const job = createJob({ project, settings, clientVersion });
+  const resolved = { ...settings, outputs };
+  const { errors, renditions } = getRenditionSettings(resolved);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors[0].code, ...errors[0].details });
+    return null;
+  }
+  const incomplete = renditions.find((rendition) => !hasContainerAndCodec(rendition.settings));
+  if (incomplete) {
+    res.status(400).json({ error: 'invalid_request', output: incomplete.name });
+    return null;
+  }
+  return resolved;
+}
+
+// Expands `settings.preset`; sends a 400 and returns null when the request
+// settings are unusable.
+function resolveRequestSettings(req, res) {
+  const { settings: requested } = req.body || {};
+  const { settings, error } = presetRegistry.expand(requested);
+
+  if (error) {
+    res.status(400).json({ error, preset: requested.preset });
+    return null;
+  }
+  if (hasRenditions(settings)) {
+    return resolveRenditionSettings(settings, res);
+  }
+  if (!hasContainerAndCodec(settings)) {
+    res.status(400).json({ error: 'invalid_request' });
+    return null;
+  }
+  return settings;
+}
+
+// `callbackUrl` is optional but must be usable when given, and signing needs
+// a secret. Sends a 400 and returns false otherwise.
+function checkCallbackUrl(req, res) {
+  const { callbackUrl } = req.body || {};
+  if (callbackUrl === undefined || callbackUrl === null) return true;
+  if (!isValidCallbackUrl(callbackUrl)) {
+    res.status(400).json({ error: 'invalid_callback_url' });
+    return false;
+  }
+  if (!getWebhookConfig().secret) {
+    res.status(400).json({ error: 'callbacks_not_configured' });
+    return false;
+  }
+  return true;
+}
+
+router.post('/', (req, res) => {
+  const { project, clientVersion, callbackUrl } = req.body || {};
+  const settings = resolveRequestSettings(req, res);
+  if (!settings || !checkCallbackUrl(req, res)) return undefined;
+
+  const job = createJob({ project, settings, clientVersion, callbackUrl, requestId: req.requestId });
   return res.status(201).json({ jobId: job.id });
 });
 
+// Server paths stay out of validation responses
+function toPublicError({ code, details }) {
+  const { candidates, ...rest } = details || {};
+  return { code, ...rest };
+}
+
+// Dry run of startRenderJob's planning: nothing is queued or rendered.
+router.post('/validate', (req, res) => {
+  const { project } = req.body || {};
+  const settings = resolveRequestSettings(req, res);
+  if (!settings || !checkCallbackUrl(req, res)) return undefined;
+
+  const { errors, warnings, plan, renditions } = planRenditions(project, settings, { log: req.log });
+  const inputs = plan.timelineInputs
+    ? plan.timelineInputs.map(({ segment, source }) => ({
+        clipId: segment.clipId,
+        sourceId: segment.sourceId,
+        hash: source.hash || null,
+      }))
+    : plan.inputPath
+      ? [{ clipId: plan.singleClip?.id ?? null, sourceId: plan.media.sourceId, hash: plan.media.hash }]
+      : [];
+  const audio = plan.audio
+    ? {
+        inputs: plan.audio.inputs
+          ? plan.audio.inputs.map(({ segment, source }) => ({
+              clipId: segment.clipId,
+              sourceId: segment.sourceId,
+              hash: source.hash || null,
+            }))
+          : inputs,
+        loudness: plan.audio.loudness,
+      }
+    : null;
+
+  return res.json({
+    ok: errors.length === 0,
+    errors: errors.map(toPublicError),
+    warnings,
+    plan: {
+      mode: plan.mode,
+      container: plan.container,
+      quality: getQuality(settings),
+      width: plan.width ?? null,
+      height: plan.height ?? null,
+      fps: plan.fps ?? null,
+      durationSeconds: plan.durationSeconds ?? null,
+      videoCodec: plan.videoCodec ?? null,
+      audioCodec: plan.audioCodec ?? null,
+      pixelFormat: plan.encoding?.pixelFormat ?? null,
+      datamoshEngine: plan.datamoshEngine ?? null,
+      inputs,
+      audio,
+      outputs: renditions
+        ? renditions.map(({ name, plan: renditionPlan }) => ({
+            name,
+            container: renditionPlan.container,
+            fps: renditionPlan.fps ?? null,
+            videoCodec: renditionPlan.videoCodec ?? null,
+            audioCodec: renditionPlan.audioCodec ?? null,
+            pixelFormat: renditionPlan.encoding?.pixelFormat ?? null,
+            estimatedSizeBytes: renditionPlan.estimatedSizeBytes ?? null,
+          }))
+        : null,
+      estimatedSizeBytes: plan.estimatedSizeBytes ?? null,
+    },
+  });
+});
+
 router.get('/:id', (req, res) => {
   const job = getJob(req.params.id);
   if (!job) {
@@ -28,28 +181,203 @@ router.get('/:id', (req, res) => {
       status: job.status,
       error: job.error || null,
       progress: job.progress ?? 0,
+      quality: job.quality || FULL_QUALITY,
+      requestId: job.requestId || null,
+      warnings: Array.isArray(job.warnings) ? job.warnings : [],
+      codecs: job.codecs || null,
+      previews: job.previews || null,
+      outputs: Array.isArray(job.outputs)
+        ? job.outputs.map(({ name, container, status, progress, error, codecs }) => ({
+            name,
+            container,
+            status,
+            progress,
+            error: error || null,
+            codecs,
+          }))
+        : null,
+      callback: job.callback ? { status: job.callback.status, attempts: job.callback.attempts } : null,
       // expose backend debug trail to the client
       debug: Array.isArray(job.debug) ? job.debug : [],
     });
 });
 
-router.get('/:id/download', (req, res) => {
+router.get('/:id/events', (req, res) => {
   const job = getJob(req.params.id);
-  if (!job || job.status !== 'complete' || !job.downloadPath || !fs.existsSync(job.downloadPath)) {
+  if (!job) {
     return res.status(404).json({ error: 'not_found' });
   }
 
-  const container = job.container || 'mp4';
-  const mimeTypes = {
-    mp4: 'video/mp4',
-    mov: 'video/quicktime',
-    webm: 'video/webm',
-    mkv: 'video/x-matroska',
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const writeEvent = (event) => {
+    const idLine = event.id ? `id: ${event.id}\n` : '';
+    res.write(`${idLine}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
   };
-  res.type(mimeTypes[container] || 'application/octet-stream');
 
-  const filename = `dmosh-${job.id}.${container}`;
-  return res.download(job.downloadPath, filename);
+  let closed = false;
+  let heartbeat = null;
+  let subscription = null;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+    if (subscription) subscription.unsubscribe();
+    res.end();
+  };
+
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  subscription = subscribeJobEvents(job.id, lastEventId, (event) => {
+    writeEvent(event);
+    if (event.type === 'status' && isTerminalStatus(event.data.status)) close();
+  });
+
+  subscription.replay.forEach(writeEvent);
+
+  if (isTerminalStatus(job.status)) {
+    // Jobs restored after a restart have no buffered events, so make sure the
+    // client always sees the final status before the stream closes. (Callback
+    // attempts may follow the buffered one.)
+    const replayedFinal = subscription.replay.some(
+      (event) => event.type === 'status' && isTerminalStatus(event.data.status),
+    );
+    if (!replayedFinal) {
+      writeEvent({ type: 'status', data: { status: job.status, error: job.error || null, progress: job.progress ?? 0 } });
+    }
+    close();
+    return undefined;
+  }
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', close);
+  return undefined;
+});
+
+function handleCancel(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+
+  if (isTerminalStatus(job.status)) {
+    return res.status(409).json({ error: 'not_cancellable', status: job.status });
+  }
+
+  const cancelled = cancelJob(job.id);
+  return res.json({ id: cancelled.id, status: cancelled.status });
+}
+
+router.delete('/:id', handleCancel);
+router.post('/:id/cancel', handleCancel);
+
+const DOWNLOAD_MIME_TYPES = {
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  apng: 'image/apng',
+  image_sequence: 'application/zip',
+};
+
+// `hlsPath` is where the output's playlist is served, relative to /exports
+function sendOutput(req, res, { downloadPath, container, filename, hlsPath }) {
+  if (!downloadPath || !fs.existsSync(downloadPath)) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  if (isHlsContainer(container)) {
+    // The playlist names its segments relative to itself
+    return res.redirect(`${req.baseUrl}/${hlsPath}/${HLS_PLAYLIST_NAME}`);
+  }
+
+  res.type(DOWNLOAD_MIME_TYPES[container] || 'application/octet-stream');
+  return res.download(downloadPath, `${filename}.${getContainerExtension(container)}`);
+}
+
+// Serves one file of an HLS output; while the job renders the playlist grows
+function sendHlsFile(res, job, { downloadPath, container }, fileName) {
+  const playable = isHlsContainer(container) && (job.status === 'rendering' || job.status === 'complete');
+  const filePath = playable ? resolveHlsFile(downloadPath, fileName) : null;
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+
+  res.type(getHlsMimeType(filePath));
+  if (job.status !== 'complete') {
+    res.set('Cache-Control', 'no-cache');
+  }
+  return res.sendFile(filePath);
+}
+
+function getRendition(job, name) {
+  return (Array.isArray(job?.outputs) && job.outputs.find((output) => output.name === name)) || null;
+}
+
+router.get('/:id/download', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || job.status !== 'complete') {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  const container = job.container || 'mp4';
+  // A multi-rendition job is downloaded as its first rendition
+  const hlsPath = Array.isArray(job.outputs) ? `${job.id}/outputs/${job.outputs[0].name}/hls` : `${job.id}/hls`;
+  return sendOutput(req, res, { downloadPath: job.downloadPath, container, filename: `dmosh-${job.id}`, hlsPath });
 });
 
+router.get('/:id/outputs/:name/download', (req, res) => {
+  const job = getJob(req.params.id);
+  const rendition = getRendition(job, req.params.name);
+  if (!rendition || job.status !== 'complete') {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  return sendOutput(req, res, {
+    downloadPath: rendition.downloadPath,
+    container: rendition.container,
+    filename: `dmosh-${job.id}-${rendition.name}`,
+    hlsPath: `${job.id}/outputs/${rendition.name}/hls`,
+  });
+});
+
+router.get('/:id/outputs/:name/hls/:file', (req, res) => {
+  const job = getJob(req.params.id);
+  const rendition = getRendition(job, req.params.name);
+  if (!rendition) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  return sendHlsFile(res, job, rendition, req.params.file);
+});
+
+// Served while the job renders too: the playlist grows as segments finish
+router.get('/:id/hls/:file', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  return sendHlsFile(res, job, { downloadPath: job.downloadPath, container: job.container }, req.params.file);
+});
+
+function sendPreview(res, job, kind) {
+  const previewPath = job && job.status === 'complete' ? getPreviewPath(job, kind) : null;
+  if (!previewPath) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  res.type(PREVIEW_FILES[kind].mimeType);
+  return res.sendFile(previewPath);
+}
+
+// `?animated=1` serves the animated preview instead of the poster frame
+router.get('/:id/thumbnail', (req, res) => {
+  const animated = req.query.animated === '1' || req.query.animated === 'true';
+  return sendPreview(res, getJob(req.params.id), animated ? 'animated' : 'thumbnail');
+});
+
+router.get('/:id/contact-sheet', (req, res) => sendPreview(res, getJob(req.params.id), 'contactSheet'));
+
 module.exports = router;
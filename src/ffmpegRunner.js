@@ -3,6 +3,7 @@ const os = require('os');
 const path = require('path');
 const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
 const ffmpeg = require('fluent-ffmpeg');
+const { logger } = require('./logger');
 
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 
@@ -79,8 +80,7 @@ function executeRender(job, { width, height, fps, container, codec, durationSeco
     try {
       fs.unlinkSync(outputPath);
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.warn(`Unable to remove existing output for job ${job.id}:`, error.message);
+      logger.warn('remove_output_failed', { jobId: job.id, errorMessage: error.message });
     }
   }
 
@@ -0,0 +1,72 @@
+const path = require('path');
+
+// HLS output (`container: 'hls'`): the export is written as an MPEG-TS
+// segmented stream, `index.m3u8` plus `index0.ts`, `index1.ts`, … in the
+// job's own directory. The playlist is an EVENT playlist that ffmpeg rewrites
+// after every finished segment, so it can be played while the job renders;
+// the final rewrite adds #EXT-X-ENDLIST. `settings.hls` tunes it:
+//
+//   segmentSeconds  target segment length, 1-30 (default 4); encodes force a
+//                   keyframe at every boundary, stream copies cut at the
+//                   source's keyframes
+
+const HLS_CONTAINER = 'hls';
+const HLS_PLAYLIST_NAME = 'index.m3u8';
+const HLS_FILE_PATTERN = /^index(\d+\.ts|\.m3u8)$/;
+
+const DEFAULT_SEGMENT_SECONDS = 4;
+
+const MIME_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+};
+
+function isHlsContainer(container) {
+  return container === HLS_CONTAINER;
+}
+
+/** Normalised `settings.hls` for the HLS container, or null for any other. */
+function getHlsOptions(settings, container) {
+  if (!isHlsContainer(container)) return null;
+  const requested = Number(settings?.hls?.segmentSeconds);
+  return {
+    segmentSeconds: Number.isFinite(requested) && requested > 0
+      ? Math.min(30, Math.max(1, requested))
+      : DEFAULT_SEGMENT_SECONDS,
+  };
+}
+
+/** Muxer options for a playlist that keeps every segment and grows as they finish. */
+function getHlsMuxerOptions(options) {
+  return ['-f hls', `-hls_time ${options.segmentSeconds}`, '-hls_list_size 0', '-hls_playlist_type event'];
+}
+
+/** Encoder options so segments can be cut on time. */
+function getHlsKeyframeOptions(options) {
+  return [`-force_key_frames expr:gte(t,n_forced*${options.segmentSeconds})`];
+}
+
+/**
+ * Path of `fileName` next to the playlist at `playlistPath`, or null when the
+ * name is not one HLS output writes (so requests cannot leave the directory).
+ */
+function resolveHlsFile(playlistPath, fileName) {
+  if (!playlistPath || !HLS_FILE_PATTERN.test(fileName || '')) return null;
+  // Absolute for res.sendFile, whatever the stored playlist path
+  return path.resolve(path.dirname(playlistPath), fileName);
+}
+
+function getHlsMimeType(fileName) {
+  return MIME_TYPES[path.extname(fileName)] || 'application/octet-stream';
+}
+
+module.exports = {
+  HLS_CONTAINER,
+  HLS_PLAYLIST_NAME,
+  isHlsContainer,
+  getHlsOptions,
+  getHlsMuxerOptions,
+  getHlsKeyframeOptions,
+  resolveHlsFile,
+  getHlsMimeType,
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+
+// Image-sequence exports (`container: 'image_sequence'`): every output frame
+// is written as a still named after its timeline frame, e.g.
+// `frame_000048.png`, and the stills are delivered as one ZIP archive.
+// `settings.imageSequence` picks the format:
+//
+//   format   'png' (default) or 'jpeg'
+//   quality  JPEG only: 1-100 (default 90)
+
+const IMAGE_SEQUENCE_CONTAINER = 'image_sequence';
+
+const FORMATS = {
+  png: { codec: 'png', extension: 'png' },
+  jpeg: { codec: 'mjpeg', extension: 'jpg' },
+};
+
+const DEFAULT_JPEG_QUALITY = 90;
+const MIN_FRAME_DIGITS = 6;
+
+function isImageSequenceContainer(container) {
+  return container === IMAGE_SEQUENCE_CONTAINER;
+}
+
+/**
+ * Normalised `settings.imageSequence` for the image-sequence container, or
+ * null for any other container.
+ */
+function getImageSequenceOptions(settings, container) {
+  if (!isImageSequenceContainer(container)) return null;
+  const raw = settings?.imageSequence || {};
+  const format = FORMATS[raw.format] ? raw.format : 'png';
+
+  let quality = null;
+  if (format === 'jpeg') {
+    const requested = Math.round(Number(raw.quality));
+    quality = Number.isFinite(requested) ? Math.min(100, Math.max(1, requested)) : DEFAULT_JPEG_QUALITY;
+  }
+
+  return {
+    format,
+    codec: FORMATS[format].codec,
+    extension: FORMATS[format].extension,
+    quality,
+  };
+}
+
+/** Encoder options for the stills; JPEG quality maps onto mjpeg's 2-31 qscale. */
+function getImageEncoderOptions(options) {
+  if (options.format !== 'jpeg') return [];
+  return [`-q:v ${Math.round(31 - ((options.quality - 1) / 99) * 29)}`];
+}
+
+/**
+ * The image2 file pattern and muxer options numbering `frameCount` stills
+ * from timeline frame `startFrame`.
+ */
+function getFrameNumbering(options, { startFrame, frameCount }) {
+  const lastFrame = startFrame + Math.max(1, frameCount) - 1;
+  const digits = Math.max(MIN_FRAME_DIGITS, String(lastFrame).length);
+  return {
+    pattern: `frame_%0${digits}d.${options.extension}`,
+    muxerOptions: ['-f image2', `-start_number ${startFrame}`],
+  };
+}
+
+/** Stores every file in `dir` (already compressed stills) in a ZIP at `outputPath`. */
+function zipDirectory(dir, outputPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { store: true });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    for (const name of fs.readdirSync(dir).sort()) {
+      archive.file(path.join(dir, name), { name });
+    }
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  IMAGE_SEQUENCE_CONTAINER,
+  isImageSequenceContainer,
+  getImageSequenceOptions,
+  getImageEncoderOptions,
+  getFrameNumbering,
+  zipDirectory,
+};
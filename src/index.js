@@ -10,14 +10,16 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
+const { logger, requestLogger } = require('./logger');
+
 const EXPORT_AUTH_TOKEN = process.env.EXPORT_AUTH_TOKEN;
 const CORS_ORIGIN = process.env.CORS_ORIGIN;
 const PORT = process.env.PORT || 4000;
 const MEDIA_ROOT = process.env.MEDIA_ROOT || path.join(os.tmpdir(), 'dmosh-media');
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 
 if (!EXPORT_AUTH_TOKEN || !CORS_ORIGIN) {
-  // eslint-disable-next-line no-console
-  console.error('Missing required environment variables: EXPORT_AUTH_TOKEN and CORS_ORIGIN are required');
+  logger.error('missing_environment', { required: ['EXPORT_AUTH_TOKEN', 'CORS_ORIGIN'] });
   process.exit(1);
 }
 
@@ -25,17 +27,23 @@ if (!fs.existsSync(MEDIA_ROOT)) {
   fs.mkdirSync(MEDIA_ROOT, { recursive: true });
 }
 
+const { restoreJobs } = require('./jobs');
+const { loadCapabilities, describeCapabilities } = require('./capabilities');
+const { presetRegistry } = require('./presets');
+const { renderMetrics } = require('./metrics');
 const exportsRouter = require('./exportsRoutes');
 const mediaRouter = require('./mediaRoutes');
 
 const app = express();
 
+app.use(requestLogger());
 app.use(express.json({ limit: '500mb' }));
 app.use(
   cors({
     origin: CORS_ORIGIN,
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'X-Export-Token'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'X-Export-Token', 'Last-Event-ID', 'X-Request-Id'],
+    exposedHeaders: ['X-Media-Size', 'X-Request-Id'],
   }),
 );
 
@@ -51,18 +59,44 @@ app.get('/health', (req, res) => {
   res.json({ ok: true });
 });
 
+// Scrapers send a bearer token rather than X-Export-Token: METRICS_TOKEN, or
+// EXPORT_AUTH_TOKEN when that is not set
+app.get('/metrics', (req, res) => {
+  if (req.get('Authorization') !== `Bearer ${METRICS_TOKEN || EXPORT_AUTH_TOKEN}`) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  return res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+app.get('/capabilities', authMiddleware, (req, res) => {
+  res.json(describeCapabilities());
+});
+
+app.get('/presets', authMiddleware, (req, res) => {
+  res.json({ presets: presetRegistry.list() });
+});
+
 app.use('/exports', authMiddleware, exportsRouter);
 app.use('/media', authMiddleware, mediaRouter);
 
 app.use((err, req, res, next) => {
-  // eslint-disable-next-line no-console
-  console.error('Unhandled error:', err);
+  req.log.error('unhandled_error', { errorMessage: err?.message, stack: err?.stack });
   if (!res.headersSent) {
     res.status(500).json({ error: 'internal_error' });
   }
 });
 
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`dmosh-export-service listening on port ${PORT}`);
-});
+// Detect encoders before restored jobs are planned against them. When
+// detection fails every encoder is assumed present, as before.
+loadCapabilities()
+  .catch((err) => {
+    logger.warn('capability_detection_failed', { errorMessage: err.message });
+  })
+  .then(() => {
+    // Logs what it restored
+    restoreJobs();
+
+    app.listen(PORT, () => {
+      logger.info('listening', { port: Number(PORT) });
+    });
+  });
@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+
+// Per-job event log backing GET /exports/:id/events. Events get increasing
+// ids per job so SSE clients can resume with Last-Event-ID; only the most
+// recent MAX_BUFFERED_EVENTS are kept for replay.
+const MAX_BUFFERED_EVENTS = 500;
+
+const LOGS = new Map();
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+function getLog(jobId) {
+  let log = LOGS.get(jobId);
+  if (!log) {
+    log = { nextId: 1, events: [] };
+    LOGS.set(jobId, log);
+  }
+  return log;
+}
+
+function emitJobEvent(jobId, type, data) {
+  if (!jobId) return;
+  const log = getLog(jobId);
+  const event = { id: log.nextId, type, data };
+  log.nextId += 1;
+  log.events.push(event);
+  if (log.events.length > MAX_BUFFERED_EVENTS) log.events.shift();
+  emitter.emit(jobId, event);
+}
+
+/**
+ * Returns the buffered events after `lastEventId` (all of them when it is not
+ * a number) and calls `listener` for every later event until `unsubscribe`.
+ */
+function subscribeJobEvents(jobId, lastEventId, listener) {
+  const log = LOGS.get(jobId);
+  const since = Number.isFinite(lastEventId) ? lastEventId : 0;
+  const replay = log ? log.events.filter((event) => event.id > since) : [];
+
+  emitter.on(jobId, listener);
+  return {
+    replay,
+    unsubscribe: () => emitter.removeListener(jobId, listener),
+  };
+}
+
+function clearJobEvents(jobId) {
+  LOGS.delete(jobId);
+}
+
+module.exports = {
+  emitJobEvent,
+  subscribeJobEvents,
+  clearJobEvents,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A job store persists job records so they survive restarts. Every store
+// implements the same four methods:
+//
+//   loadAll()                          -> [{ job, project, settings }]
+//   insert(job, { project, settings }) -> void
+//   update(job)                        -> void (records a status transition)
+//   remove(id)                         -> void
+//
+// The runtime fields that only matter to a live process (the `debug` trail)
+// are never persisted.
+
+const COMPACT_AFTER_APPENDS = 1000;
+
+function toPersistedJob(job) {
+  const { debug, ...rest } = job;
+  return rest;
+}
+
+function createMemoryJobStore() {
+  const records = new Map();
+
+  return {
+    kind: 'memory',
+    loadAll() {
+      return Array.from(records.values()).map((record) => ({ ...record, job: { ...record.job } }));
+    },
+    insert(job, { project, settings } = {}) {
+      records.set(job.id, { job: toPersistedJob(job), project: project || {}, settings: settings || {} });
+    },
+    update(job) {
+      const record = records.get(job.id);
+      if (record) record.job = toPersistedJob(job);
+    },
+    remove(id) {
+      records.delete(id);
+    },
+  };
+}
+
+/**
+ * JSON-lines journal in `dir/jobs.jsonl`. Each line is one of
+ * `{ op: 'put', job, project, settings }`, `{ op: 'update', job }` or
+ * `{ op: 'delete', id }`; replaying the file in order yields the current
+ * state. The journal is rewritten with one `put` per job on load and after
+ * every COMPACT_AFTER_APPENDS writes.
+ */
+function createFileJobStore({ dir }) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const journalPath = path.join(dir, 'jobs.jsonl');
+  const records = new Map();
+  let appendsSinceCompact = 0;
+
+  function replay() {
+    records.clear();
+    if (!fs.existsSync(journalPath)) return;
+
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (_) {
+        // A crash mid-write can leave a truncated final line; skip it.
+        continue;
+      }
+
+      if (entry.op === 'put' && entry.job?.id) {
+        records.set(entry.job.id, { job: entry.job, project: entry.project || {}, settings: entry.settings || {} });
+      } else if (entry.op === 'update' && entry.job?.id && records.has(entry.job.id)) {
+        records.get(entry.job.id).job = entry.job;
+      } else if (entry.op === 'delete' && entry.id) {
+        records.delete(entry.id);
+      }
+    }
+  }
+
+  function compact() {
+    const tmpPath = `${journalPath}.tmp`;
+    const lines = Array.from(records.values()).map((record) => JSON.stringify({ op: 'put', ...record }));
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, journalPath);
+    appendsSinceCompact = 0;
+  }
+
+  function append(entry) {
+    fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+    appendsSinceCompact += 1;
+    if (appendsSinceCompact >= COMPACT_AFTER_APPENDS) {
+      compact();
+    }
+  }
+
+  return {
+    kind: 'file',
+    journalPath,
+    loadAll() {
+      replay();
+      compact();
+      return Array.from(records.values()).map((record) => ({ ...record, job: { ...record.job } }));
+    },
+    insert(job, { project, settings } = {}) {
+      const record = { job: toPersistedJob(job), project: project || {}, settings: settings || {} };
+      records.set(job.id, record);
+      append({ op: 'put', ...record });
+    },
+    update(job) {
+      const record = records.get(job.id);
+      if (!record) return;
+      record.job = toPersistedJob(job);
+      append({ op: 'update', job: record.job });
+    },
+    remove(id) {
+      if (!records.delete(id)) return;
+      append({ op: 'delete', id });
+    },
+  };
+}
+
+function createJobStore() {
+  const kind = process.env.JOB_STORE || 'file';
+  if (kind === 'memory') {
+    return createMemoryJobStore();
+  }
+  return createFileJobStore({
+    dir: process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'dmosh-export-jobs'),
+  });
+}
+
+module.exports = {
+  createJobStore,
+  createFileJobStore,
+  createMemoryJobStore,
+};
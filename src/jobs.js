@@ -4,11 +4,88 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { probeMedia, hasAudioStream } = require('./mediaProbe');
+const { planStreamCopy, getContainerExtension, isKnownContainer, estimateOutputBytes } = require('./codecs');
+const {
+  getEncoderChain,
+  isMuxerAvailable,
+  resolveEncoder,
+  resolvePixelFormat,
+  getEncoderOptions,
+} = require('./capabilities');
+const { readMediaMetadata } = require('./mediaMetadata');
+const {
+  getClipAudio,
+  getMutedTracks,
+  buildAudioLayers,
+  getAudioFilters,
+  buildAudioMixGraph,
+} = require('./audioMix');
+const {
+  getLoudnessOptions,
+  getLoudnessMeasureFilter,
+  parseLoudnessMeasurement,
+  getLoudnessFilters,
+} = require('./loudness');
+const {
+  getAnimatedCodec,
+  getAnimationOptions,
+  getLoopOptions,
+  getPaletteGenFilter,
+  getPaletteUseFilter,
+} = require('./animation');
+const {
+  getImageSequenceOptions,
+  getImageEncoderOptions,
+  getFrameNumbering,
+  zipDirectory,
+} = require('./imageSequence');
+const { PREVIEW_FILES, getPreviewPlan, buildPreviewCommands } = require('./previews');
+const { hasRenditions, getRenditionSettings, buildSplitFilters } = require('./renditions');
+const {
+  HLS_PLAYLIST_NAME,
+  isHlsContainer,
+  getHlsOptions,
+  getHlsMuxerOptions,
+  getHlsKeyframeOptions,
+} = require('./hls');
+const {
+  DRAFT_MAX_FPS,
+  isDraft,
+  getQuality,
+  getDraftScale,
+  getDraftEncoderOptions,
+  getWatermarkFilters,
+} = require('./draft');
+const {
+  buildDatamoshFilterChain,
+  getUnsupportedOperations,
+  resolveOperations,
+  getPacketMoshOptions,
+  getGopSize,
+} = require('./datamosh');
+const { moshElementaryStream } = require('./packetMosh');
+const { createJobStore } = require('./jobStore');
+const { emitJobEvent, clearJobEvents } = require('./jobEvents');
+const { FFMPEG_LOG_LEVEL, logger } = require('./logger');
+const { getWebhookConfig, buildWebhookPayload, deliverWebhook } = require('./webhooks');
+const { defineGauge, defineDiskUsageGauge, recordRenderStarted, recordJobFinished } = require('./metrics');
+const {
+  getTimelineFps,
+  getClipLengthFrames,
+  getExportStartFrame,
+  hasClipTransform,
+  buildTimelineSegments,
+  buildTimelineFilterGraph,
+  buildTimelineLayers,
+  buildCompositeFilterGraph,
+} = require('./timelineGraph');
 
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 
 const JOBS = new Map();
-const TMP_DIR = path.join(os.tmpdir(), 'dmosh-export-service');
+// Absolute, since output paths are handed to res.sendFile
+const TMP_DIR = path.resolve(process.env.EXPORT_TMP_DIR || path.join(os.tmpdir(), 'dmosh-export-service'));
 const MEDIA_ROOT = process.env.MEDIA_ROOT || path.join(os.tmpdir(), 'dmosh-media');
 if (!fs.existsSync(TMP_DIR)) {
   fs.mkdirSync(TMP_DIR, { recursive: true });
@@ -17,34 +94,148 @@ if (!fs.existsSync(MEDIA_ROOT)) {
   fs.mkdirSync(MEDIA_ROOT, { recursive: true });
 }
 
-const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS || 1);
-const MAX_QUEUE_LENGTH = Number(process.env.MAX_QUEUE_LENGTH || 20);
-const RUNNING_JOBS = new Set();
-const QUEUE = [];
-const IS_DEV = process.env.NODE_ENV !== 'production';
+// Each quality has its own lane (running set and queue) so drafts never wait
+// behind full renders
+const LANES = {
+  full: {
+    running: new Set(),
+    queue: [],
+    maxConcurrent: Number(process.env.MAX_CONCURRENT_JOBS || 1),
+    maxQueueLength: Number(process.env.MAX_QUEUE_LENGTH || 20),
+  },
+  draft: {
+    running: new Set(),
+    queue: [],
+    maxConcurrent: Number(process.env.MAX_CONCURRENT_DRAFT_JOBS || 1),
+    maxQueueLength: Number(process.env.MAX_DRAFT_QUEUE_LENGTH || 20),
+  },
+};
 
-function debugLog(label, payload) {
-  if (!IS_DEV) return;
-  console.log('[dmosh-export-service]', label, payload);
+defineGauge('dmosh_export_queue_length', 'Jobs waiting in each queue lane.', () =>
+  Object.entries(LANES).map(([lane, { queue }]) => ({ labels: { lane }, value: queue.length })),
+);
+defineGauge('dmosh_export_running_jobs', 'Jobs rendering (or holding a reserved slot) in each queue lane.', () =>
+  Object.entries(LANES).map(([lane, { running }]) => ({ labels: { lane }, value: running.size })),
+);
+defineDiskUsageGauge('dmosh_disk_usage_bytes', 'Bytes stored under the media and export directories.', {
+  media_root: MEDIA_ROOT,
+  tmp_dir: TMP_DIR,
+});
+
+// jobId -> fluent-ffmpeg command, so cancelJob can kill a running render
+const RUNNING_COMMANDS = new Map();
+const TERMINAL_STATUSES = new Set(['complete', 'failed', 'cancelled']);
+let jobStore = createJobStore();
+const WEBHOOKS = getWebhookConfig();
+const MAX_DEBUG_ENTRIES = 50;
+const JOB_LOGGERS = new WeakMap();
+
+function appendJobDebug(job, { time, level, msg, fields }) {
+  if (!job.debug) job.debug = [];
+  // keep it bounded
+  if (job.debug.length > MAX_DEBUG_ENTRIES) job.debug.shift();
+  const entry = {
+    ts: time,
+    level,
+    label: msg,
+    payload: fields,
+  };
+  job.debug.push(entry);
+  emitJobEvent(job.id, 'debug', entry);
 }
 
-function debugError(label, payload) {
-  if (!IS_DEV) return;
-  console.error('[dmosh-export-service]', label, payload);
+/**
+ * Logger for one job: adds `jobId` and the `requestId` that created the job.
+ * Everything logged through it also lands in the job's debug trail, even when
+ * LOG_LEVEL filters it out, so the frontend can inspect it.
+ */
+function getJobLogger(job) {
+  let jobLogger = JOB_LOGGERS.get(job);
+  if (!jobLogger) {
+    jobLogger = logger.child(
+      { jobId: job.id, requestId: job.requestId || undefined },
+      { onEntry: (entry) => appendJobDebug(job, entry) },
+    );
+    JOB_LOGGERS.set(job, jobLogger);
+  }
+  return jobLogger;
 }
 
-function pushJobDebug(job, label, payload) {
-    // Always record debug entries so the frontend can inspect them,
-      // even in production. Console logging is still dev-only.
-      if (!job) return;
-  if (!job.debug) job.debug = [];
-  // keep it bounded
-  if (job.debug.length > 50) job.debug.shift();
-  job.debug.push({
-    ts: new Date().toISOString(),
-    label,
-    payload,
-  });
+// Persistence failures are logged but never fail the render.
+function persistJob(job) {
+  try {
+    job.updatedAt = new Date().toISOString();
+    jobStore.update(job);
+  } catch (err) {
+    getJobLogger(job).error('job_store_write_failed', { errorMessage: err?.message });
+  }
+}
+
+// Call after every status change: persists the job, notifies event
+// subscribers and sends the completion callback once the job is finished.
+function recordJobTransition(job) {
+  persistJob(job);
+  emitJobEvent(job.id, 'status', { status: job.status, error: job.error || null, progress: job.progress ?? 0 });
+  if (TERMINAL_STATUSES.has(job.status)) {
+    recordJobFinished(job);
+    sendJobCallback(job);
+  }
+}
+
+/**
+ * Delivers the job's completion webhook in the background. Runs once per job:
+ * `job.callback.status` goes from `waiting` through `delivering` to
+ * `delivered` or `failed`, and every attempt lands in the debug trail.
+ */
+function sendJobCallback(job) {
+  const callback = job.callback;
+  if (!callback || callback.status !== 'waiting') return;
+
+  if (!WEBHOOKS.secret) {
+    // The secret was removed after the job was accepted
+    callback.status = 'failed';
+    getJobLogger(job).error('callback_failed', { reason: 'webhook_secret_missing', attempts: 0 });
+    persistJob(job);
+    return;
+  }
+
+  callback.status = 'delivering';
+  persistJob(job);
+  // Started inside the chain so a throwing payload builder is caught below too
+  Promise.resolve()
+    .then(() =>
+      deliverWebhook({
+        url: callback.url,
+        payload: buildWebhookPayload(job),
+        secret: WEBHOOKS.secret,
+        maxAttempts: WEBHOOKS.maxAttempts,
+        retryBaseMs: WEBHOOKS.retryBaseMs,
+        timeoutMs: WEBHOOKS.timeoutMs,
+        onAttempt: (attempt) => {
+          callback.attempts += 1;
+          const accepted = attempt.statusCode >= 200 && attempt.statusCode < 300;
+          getJobLogger(job)[accepted ? 'info' : 'warn']('callback_attempt', attempt);
+        },
+      }),
+    )
+    .then(({ delivered, attempts }) => {
+      callback.status = delivered ? 'delivered' : 'failed';
+      getJobLogger(job)[delivered ? 'info' : 'error'](delivered ? 'callback_delivered' : 'callback_failed', { attempts });
+      persistJob(job);
+    })
+    .catch((err) => {
+      callback.status = 'failed';
+      getJobLogger(job).error('callback_failed', {
+        reason: 'delivery_error',
+        errorMessage: err?.message || null,
+        attempts: callback.attempts,
+      });
+      persistJob(job);
+    });
+}
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
 }
 
 const SOFT_MAX_WIDTH = 3840;
@@ -59,10 +250,12 @@ function approxUncompressedGB(width, height, fps, seconds, bytesPerPixel = 4) {
   return bytes / (1024 * 1024 * 1024);
 }
 
-function logMemory(label) {
-  if (process.env.NODE_ENV === 'production') return;
+// Same context as the job's logger, but not part of the debug trail
+function logMemory(job, stage) {
+  if (!logger.isLevelEnabled('debug')) return;
   const m = process.memoryUsage();
-  console.log(`[mem] ${label}`, {
+  logger.child({ jobId: job.id, requestId: job.requestId || undefined }).debug('memory_usage', {
+    stage,
     rss: m.rss,
     heapTotal: m.heapTotal,
     heapUsed: m.heapUsed,
@@ -82,7 +275,7 @@ function getMediaCandidatePaths({ hash, originalName, container }) {
 
   const preferredExts = [];
   if (container) preferredExts.push(container);
-  preferredExts.push('mp4', 'mov', 'mkv', 'webm');
+  preferredExts.push('mp4', 'mov', 'mkv', 'webm', 'wav', 'mp3', 'm4a', 'aac', 'flac', 'ogg', 'opus');
 
   if (hash) {
     for (const ext of preferredExts) {
@@ -121,6 +314,43 @@ function resolveMediaPathForSource(project, sourceRef, container) {
   return null;
 }
 
+/** The ingest-time metadata record for a project source, or null. */
+function getSourceMetadata(project, sourceRef, container) {
+  return readMediaMetadata(resolveMediaPathForSource(project, sourceRef, container));
+}
+
+/**
+ * Length of analysed media in frames at `fps`: the stored frame count when the
+ * media is constant-rate at that fps, otherwise its duration scaled to `fps`.
+ */
+function getMediaFrameCount(metadata, fps) {
+  const video = metadata?.video;
+  if (!video) return null;
+  if (
+    video.frameCount &&
+    !video.isVariableFrameRate &&
+    Number.isFinite(video.averageFrameRate) &&
+    Math.abs(video.averageFrameRate - fps) < 0.01
+  ) {
+    return video.frameCount;
+  }
+  const seconds = video.durationSeconds ?? metadata.durationSeconds;
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * fps) : null;
+}
+
+/**
+ * The project's frame rate, or the analysed rate of its primary source when
+ * the project does not set one.
+ */
+function getProjectFps(project, settings) {
+  return (
+    project?.timeline?.fps ??
+    project?.settings?.fps ??
+    getSourceMetadata(project, resolvePrimarySource(project, settings), settings.container)?.video?.averageFrameRate ??
+    24
+  );
+}
+
 function resolvePrimarySource(project, settings) {
   const sourceRef = settings.source || { kind: 'timeline' };
 
@@ -154,8 +384,10 @@ function isSimpleTimeline(project, settings) {
   const clips = project?.timeline?.clips || [];
   if (clips.length === 0) return true;
 
-  const sourceIds = new Set(clips.map((c) => c.sourceId).filter(Boolean));
-  if (sourceIds.size !== 1) {
+  // Clips may reference any number of sources; they are concatenated in
+  // timeline order by buildTimelineSegments. Overlapping or transformed clips
+  // need the overlay graph from buildCompositeFilterGraph instead.
+  if (clips.some(hasClipTransform)) {
     return false;
   }
 
@@ -172,9 +404,26 @@ function isSimpleTimeline(project, settings) {
   return true;
 }
 
-function deriveRenderParams(project, settings) {
-  const projectWidth = project?.settings?.width ?? 640;
-  const projectHeight = project?.settings?.height ?? 360;
+function isRenderableTimeline(project, settings) {
+  const sourceRef = settings.source || { kind: 'timeline' };
+  if (sourceRef.kind !== 'timeline') return true;
+
+  const clips = project?.timeline?.clips || [];
+  return clips.every(
+    (c) =>
+      c &&
+      c.sourceId &&
+      typeof c.startFrame === 'number' &&
+      typeof c.endFrame === 'number' &&
+      c.endFrame >= c.startFrame,
+  );
+}
+
+function deriveRenderParams(project, settings, log = logger) {
+  // Server-side analysis fills in what the project leaves unset
+  const sourceVideo = getSourceMetadata(project, resolvePrimarySource(project, settings), settings.container)?.video;
+  const projectWidth = project?.settings?.width ?? sourceVideo?.displayWidth ?? 640;
+  const projectHeight = project?.settings?.height ?? sourceVideo?.displayHeight ?? 360;
 
   let width = projectWidth;
   let height = projectHeight;
@@ -186,11 +435,14 @@ function deriveRenderParams(project, settings) {
     }
   }
 
-  const scale = settings.renderResolutionScale ?? 1;
+  let scale = settings.renderResolutionScale ?? 1;
+  if (isDraft(settings)) {
+    scale = Math.min(scale, getDraftScale(width, height));
+  }
   width = Math.max(16, Math.round(width * scale));
   height = Math.max(16, Math.round(height * scale));
 
-  const projectFps = project?.timeline?.fps ?? project?.settings?.fps ?? 24;
+  const projectFps = getProjectFps(project, settings);
   let fps = projectFps;
 
   if (settings.fpsMode === 'override' && settings.fps) {
@@ -201,34 +453,32 @@ function deriveRenderParams(project, settings) {
     fps = 24;
   }
 
-  const durationFrames = computeDurationFrames(project, settings);
+  const durationFrames = computeDurationFrames(project, settings, log);
   const durationSeconds = Math.max(0.1, durationFrames / fps);
 
-  if (process.env.NODE_ENV !== 'production') {
-    const approxGB = approxUncompressedGB(width, height, fps, durationSeconds);
-    console.log('[dmosh-export-service] deriveRenderParams', {
-      projectWidth,
-      projectHeight,
-      projectFps,
-      settingsWidth: settings.width,
-      settingsHeight: settings.height,
-      scale,
-      width,
-      height,
-      fps,
-      durationFrames,
-      durationSeconds,
-      approxUncompressedGB: approxGB.toFixed(3),
-    });
-  }
+  log.debug('derive_render_params', {
+    projectWidth,
+    projectHeight,
+    projectFps,
+    settingsWidth: settings.width,
+    settingsHeight: settings.height,
+    scale,
+    width,
+    height,
+    fps,
+    durationFrames,
+    durationSeconds,
+    approxUncompressedGB: approxUncompressedGB(width, height, fps, durationSeconds).toFixed(3),
+  });
 
   return { width, height, fps, durationSeconds };
 }
 
-function computeDurationFrames(project, settings) {
+function computeDurationFrames(project, settings, log = logger) {
   const source = settings.source || { kind: 'timeline' };
 
   const ensureMinFrames = (frames) => Math.max(1, frames || 0);
+  const projectFps = getProjectFps(project, settings);
 
   let frames;
 
@@ -252,11 +502,22 @@ function computeDurationFrames(project, settings) {
     const clips = project.timeline.clips;
     const clip = clips.find((c) => c.id === source.clipId);
     if (clip) {
-      frames = ensureMinFrames(clip.endFrame - clip.startFrame + 1);
+      let clipFrames = clip.endFrame - clip.startFrame + 1;
+      // A clip cannot run past the end of its analysed source
+      const src = (project.sources || []).find((s) => s.id === clip.sourceId);
+      const sourceFrames = getMediaFrameCount(getSourceMetadata(project, src, settings.container), projectFps);
+      if (sourceFrames !== null) {
+        clipFrames = Math.min(clipFrames, sourceFrames - (clip.startFrame || 0));
+      }
+      frames = ensureMinFrames(clipFrames);
     }
   } else if (source.kind === 'source' && source.sourceId && project?.sources) {
     const src = project.sources.find((s) => s.id === source.sourceId);
-    if (src?.durationFrames) {
+    // The analysed length wins over the client's durationFrames
+    const sourceFrames = getMediaFrameCount(getSourceMetadata(project, src, settings.container), projectFps);
+    if (sourceFrames !== null) {
+      frames = ensureMinFrames(sourceFrames);
+    } else if (src?.durationFrames) {
       frames = ensureMinFrames(src.durationFrames);
     }
   }
@@ -266,86 +527,76 @@ function computeDurationFrames(project, settings) {
     frames = ensureMinFrames(fps);
   }
 
-  if (process.env.NODE_ENV !== 'production') {
-    if (frames > 60 * 60 * 60) {
-      console.warn('[dmosh-export-service] computeDurationFrames: unusually large frame count', {
-        frames,
-        source,
-      });
-    } else {
-      console.log('[dmosh-export-service] computeDurationFrames', { frames, source });
-    }
+  if (frames > 60 * 60 * 60) {
+    log.warn('unusually_large_frame_count', { frames, source });
+  } else {
+    log.debug('compute_duration_frames', { frames, source });
   }
 
   return frames;
 }
 
-function mapVideoCodec(videoCodec, container) {
-  if (!videoCodec) return container === 'webm' ? 'libvpx-vp9' : 'libx264';
-
-  switch (videoCodec) {
-    case 'h264':
-      return 'libx264';
-    case 'h265':
-      return 'libx265';
-    case 'vp9':
-      return 'libvpx-vp9';
-    case 'av1':
-      return 'libaom-av1';
-    case 'prores_422':
-    case 'prores_422_hq':
-      return 'prores_ks';
-    default:
-      return 'libx264';
-  }
-}
-
-function mapAudioCodec(audioCodec) {
-  switch (audioCodec) {
-    case 'aac':
-      return 'aac';
-    case 'pcm_s16le':
-      return 'pcm_s16le';
-    case 'opus':
-      return 'libopus';
-    case 'none':
-      return 'none';
-    default:
-      return 'aac';
-  }
-}
-
-function buildDatamoshFilterChain(datamosh) {
-  const filters = [];
-  if (!datamosh || !datamosh.mode || datamosh.mode === 'none') return filters;
-
-  // Legacy / simple toggle
-  if (datamosh.mode === 'classic') {
-    // Rough classic effect: drop I-frames, smear across GOP
-    filters.push('select=not(eq(pict_type\\,I))');
-    filters.push('setpts=N/(FRAME_RATE*TB)');
-    return filters;
-  }
-
-  if (datamosh.mode === 'timeline') {
-    const ops = new Set(
-      Array.isArray(datamosh.operations) ? datamosh.operations : [],
-    );
+// settings.videoCodec / settings.audioCodec name a codec; resolveEncoding
+// picks the ffmpeg encoder for it from the fallback chains in capabilities.js.
+function getRequestedVideoCodec(videoCodec, container) {
+  return getAnimatedCodec(container) || videoCodec || (container === 'webm' ? 'vp9' : 'h264');
+}
 
-    // Treat ClassicDatamosh + DropIntraFrames as "drop I-frames"
-    if (ops.has('ClassicDatamosh') || ops.has('DropIntraFrames')) {
-      filters.push('select=not(eq(pict_type\\,I))');
-      filters.push('setpts=N/(FRAME_RATE*TB)');
-    } else if (ops.has('DropPredictedFrames')) {
-      // Simple "drop P-frames" preset
-      filters.push('select=not(eq(pict_type\\,P))');
-      filters.push('setpts=N/(FRAME_RATE*TB)');
-    }
+function getDefaultAudioCodec(container) {
+  return container === 'webm' ? 'opus' : 'aac';
+}
 
-    // Other ops (HoldReferenceFrame, etc.) are preview-only for now
+function removeFileQuietly(filePath) {
+  if (!filePath) return;
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (_) {}
+}
+
+// HLS exports are a playlist inside the job's own segment directory.
+// Renditions of a multi-output job are told apart by name.
+function getOutputPath(jobId, container, renditionName = null) {
+  const base = renditionName ? `${jobId}.${renditionName}` : jobId;
+  if (isHlsContainer(container)) return path.join(TMP_DIR, `${base}.hls`, HLS_PLAYLIST_NAME);
+  return path.join(TMP_DIR, `${base}.${getContainerExtension(container)}`);
+}
+
+// Takes one output path or a list of them (a multi-rendition job's)
+function removeOutput(outputPath) {
+  if (Array.isArray(outputPath)) {
+    outputPath.forEach(removeOutput);
+    return;
   }
+  if (outputPath && path.basename(outputPath) === HLS_PLAYLIST_NAME) {
+    try {
+      fs.rmSync(path.dirname(outputPath), { recursive: true, force: true });
+    } catch (_) {}
+    return;
+  }
+  removeFileQuietly(outputPath);
+}
+
+// Every file a job has written: its renditions', or its single output
+function getJobOutputPaths(job) {
+  if (Array.isArray(job.outputs)) return job.outputs.map((output) => output.downloadPath).filter(Boolean);
+  return job.downloadPath ? [job.downloadPath] : [];
+}
+
+function getPreviewDir(jobId) {
+  return path.join(TMP_DIR, `${jobId}.previews`);
+}
 
-  return filters;
+function removePreviews(jobId) {
+  try {
+    fs.rmSync(getPreviewDir(jobId), { recursive: true, force: true });
+  } catch (_) {}
+}
+
+/** Path of a generated preview (a PREVIEW_FILES key), or null if there is none. */
+function getPreviewPath(job, kind) {
+  if (!PREVIEW_FILES[kind] || !job?.previews?.available?.includes(kind)) return null;
+  const previewPath = path.join(getPreviewDir(job.id), PREVIEW_FILES[kind].fileName);
+  return fs.existsSync(previewPath) ? previewPath : null;
 }
 
 function pruneOldJobs() {
@@ -354,116 +605,487 @@ function pruneOldJobs() {
   for (const [id, job] of JOBS.entries()) {
     const created = Date.parse(job.createdAt || '') || 0;
     if (created && now - created > MAX_AGE_MS) {
-      if (job.downloadPath && fs.existsSync(job.downloadPath)) {
-        try {
-          fs.unlinkSync(job.downloadPath);
-        } catch (_) {}
-      }
+      removeOutput(getJobOutputPaths(job));
+      removePreviews(id);
       JOBS.delete(id);
+      clearJobEvents(id);
+      try {
+        jobStore.remove(id);
+      } catch (err) {
+        logger.error('job_store_write_failed', { jobId: id, errorMessage: err?.message });
+      }
     }
   }
 }
 
-function scheduleNext() {
-  if (RUNNING_JOBS.size >= MAX_CONCURRENT_JOBS) return;
-  if (QUEUE.length === 0) return;
+// Jobs stored before lanes existed have no quality and are full renders
+function getLane(job) {
+  return LANES[job.quality] || LANES.full;
+}
+
+function scheduleLane(lane) {
+  if (lane.running.size >= lane.maxConcurrent) return;
+  if (lane.queue.length === 0) return;
 
-  const next = QUEUE.shift();
+  const next = lane.queue.shift();
   if (!next) return;
 
   const { jobId, project, settings } = next;
   const job = JOBS.get(jobId);
   if (!job) {
-    scheduleNext();
+    scheduleLane(lane);
     return;
   }
 
   startRenderJob(job, project, settings);
 }
 
-function startRenderJob(job, project, settings) {
-  RUNNING_JOBS.add(job.id);
+function scheduleNext() {
+  Object.values(LANES).forEach(scheduleLane);
+}
 
-  const safeSettings = settings || {};
-  const datamosh = safeSettings.datamosh || { mode: 'none' };
-  const container = safeSettings.container || 'mp4';
-  const outputPath = path.join(TMP_DIR, `${job.id}.${container}`);
+// A job that stops early takes all its renditions with it; their files are removed
+function endRenditions(job, status) {
+  if (!job.outputs) return;
+  job.outputs = job.outputs.map((output) => ({
+    ...output,
+    status: output.status === 'failed' ? 'failed' : status,
+    downloadPath: null,
+  }));
+}
 
-  job.status = 'rendering';
+function releaseFailedJob(job, error) {
+  job.status = 'failed';
+  job.error = error;
   job.progress = 0;
-  job.error = null;
-  job.downloadPath = outputPath;
+  job.downloadPath = null;
+  endRenditions(job, 'failed');
+  recordJobTransition(job);
+  getLane(job).running.delete(job.id);
+  pruneOldJobs();
+  scheduleNext();
+}
 
-  try {
-    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-  } catch (e) {
-    if (process.env.NODE_ENV !== 'production') {
-      console.warn('Failed to remove existing file before render', outputPath, e);
+function resolveTimelineInputs(project, clipSegments, container) {
+  const sources = project?.sources || [];
+  const inputs = [];
+  const missing = [];
+
+  for (const segment of clipSegments) {
+    const source = sources.find((s) => s.id === segment.sourceId) || null;
+    const inputPath = resolveMediaPathForSource(project, source, container);
+    if (!source || !inputPath) {
+      missing.push({
+        clipId: segment.clipId,
+        sourceId: segment.sourceId,
+        hash: source?.hash || null,
+        originalName: source?.originalName || null,
+      });
+      continue;
     }
+    inputs.push({ segment, source, inputPath });
   }
 
-  if (!isSimpleTimeline(project, safeSettings)) {
-    job.status = 'failed';
-    job.error = 'unsupported_timeline';
-    job.progress = 0;
-    job.downloadPath = null;
-    RUNNING_JOBS.delete(job.id);
-    pruneOldJobs();
-    scheduleNext();
-      debugError('unsupported_timeline', {
-        jobId: job.id,
+  return { inputs, missing };
+}
+
+/**
+ * The clip and source range (seconds; null for the whole file) a single-input
+ * export reads.
+ */
+function getSingleInputRange(project, sourceRef, singleClip) {
+  const timelineFps = getTimelineFps(project);
+  const clip =
+    sourceRef.kind === 'clip' && sourceRef.clipId
+      ? (project?.timeline?.clips || []).find((c) => c.id === sourceRef.clipId)
+      : singleClip;
+  if (clip) {
+    return {
+      clip,
+      startSeconds: (clip.startFrame || 0) / timelineFps,
+      durationSeconds: Math.max(0.1, (clip.endFrame - clip.startFrame + 1) / timelineFps),
+    };
+  }
+  if (sourceRef.kind === 'timeline' && typeof sourceRef.inFrame === 'number' && typeof sourceRef.outFrame === 'number') {
+    return {
+      clip: null,
+      startSeconds: sourceRef.inFrame / timelineFps,
+      durationSeconds: Math.max(0.1, (sourceRef.outFrame - sourceRef.inFrame + 1) / timelineFps),
+    };
+  }
+  return { clip: null, startSeconds: null, durationSeconds: null };
+}
+
+/**
+ * How an export's audio is made, or null without audio. Timeline graphs mix
+ * every clip's audio (`layers`, with their resolved `inputs`); single-input
+ * exports run the clip's gain and fades as `filters`. `loudness` is the
+ * normalisation to apply afterwards, if any.
+ */
+function planAudio(project, settings, plan) {
+  const errors = [];
+  const warnings = [];
+  if (plan.audioCodec === 'none') return { errors, warnings, audio: null };
+
+  let loudness = getLoudnessOptions(settings);
+  if (loudness?.invalid) {
+    warnings.push({ code: 'invalid_loudness', loudness: settings.loudness });
+    loudness = null;
+  }
+
+  if (plan.mode !== 'single') {
+    const { layers, durationFrames } = buildAudioLayers(project, settings);
+    const resolved = resolveTimelineInputs(project, layers, plan.container);
+    // Video clips with missing media are already reported
+    const missing = resolved.missing.filter(
+      (entry) => !(plan.media?.missing || []).some((m) => m.clipId === entry.clipId && m.sourceId === entry.sourceId),
+    );
+    if (missing.length > 0) {
+      errors.push({ code: 'media_missing', details: { container: plan.container, missing } });
+    }
+    return { errors, warnings, audio: { layers, inputs: resolved.inputs, durationFrames, filters: [], loudness } };
+  }
+
+  const { clip } = getSingleInputRange(project, settings.source || { kind: 'timeline' }, plan.singleClip);
+  const filters = clip
+    ? getAudioFilters({ ...getClipAudio(clip, getMutedTracks(project)), frames: getClipLengthFrames(clip) }, getTimelineFps(project))
+    : [];
+  return { errors, warnings, audio: { layers: null, inputs: null, durationFrames: null, filters, loudness } };
+}
+
+// Output times (seconds) where a clip starts, excluding the very start.
+function getTimelineCutTimes(segments, layers, timelineFps) {
+  const cutFrames = [];
+  if (layers) {
+    cutFrames.push(...layers.layers.map((layer) => layer.offsetFrames));
+  } else {
+    let cursor = 0;
+    for (const segment of segments) {
+      cutFrames.push(cursor);
+      cursor += segment.frames;
+    }
+  }
+
+  return Array.from(new Set(cutFrames.filter((frame) => frame > 0)))
+    .sort((a, b) => a - b)
+    .map((frame) => (frame / timelineFps).toFixed(6));
+}
+
+// GIFs are rendered to a lossless intermediate and palettised by runPaletteEncode
+function usesPalette(encoding) {
+  return Boolean(encoding.animation) && encoding.videoCodec === 'gif';
+}
+
+function applyEncodingOptions(command, safeSettings, encoding) {
+  if (usesPalette(encoding)) {
+    command.videoCodec('ffv1').noAudio().outputOptions(['-pix_fmt bgr0']);
+    return;
+  }
+
+  command.videoCodec(encoding.videoCodec);
+
+  const outputOptions = [`-pix_fmt ${encoding.pixelFormat}`, ...encoding.videoOptions];
+
+  if (encoding.animation || encoding.imageSequence) {
+    // Quality comes from settings.animation / settings.imageSequence
+  } else if (safeSettings.rateControl?.mode === 'crf' && typeof safeSettings.rateControl.value === 'number') {
+    outputOptions.push(`-crf ${safeSettings.rateControl.value}`);
+  } else if (safeSettings.rateControl?.mode === 'bitrate' && typeof safeSettings.rateControl.kbps === 'number') {
+    outputOptions.push(`-b:v ${safeSettings.rateControl.kbps}k`);
+  }
+
+  if (encoding.audioCodec === 'none') {
+    command.noAudio();
+  } else {
+    command.audioCodec(encoding.audioCodec);
+  }
+
+  command.outputOptions(outputOptions);
+}
+
+function getDatamoshWarnings(datamosh) {
+  // Rendered without these; the editor preview will not match the export.
+  return getUnsupportedOperations(datamosh).map((operation) => ({
+    code: 'unsupported_datamosh_operation',
+    operation,
+  }));
+}
+
+// Operations scoped to a missing clip or to frames outside the export
+// window, and operations another one overrides
+function getDatamoshRangeWarnings(datamosh, project, settings, durationSeconds) {
+  const { outOfRange, conflicts } = resolveOperations(datamosh, { project, settings, durationSeconds });
+  const describe = (op) => ({
+    operation: op.type,
+    clipId: op.clipId ?? null,
+    startFrame: op.startFrame ?? null,
+    endFrame: op.endFrame ?? null,
+  });
+  return [
+    ...outOfRange.map((op) => ({ code: 'datamosh_operation_out_of_range', ...describe(op) })),
+    ...conflicts.map(({ op, overriddenBy }) => ({ code: 'conflicting_operations', ...describe(op), overriddenBy })),
+  ];
+}
+
+/**
+ * Picks the encoders for an export: `videoCodec` / `audioCodec` are ffmpeg
+ * encoder names (audio 'none' when the export has no audio), with the pixel
+ * format and encoder options to go with them. An encoder further down a
+ * fallback chain adds a `codec_fallback` warning.
+ */
+function resolveEncoding(container, settings) {
+  const errors = [];
+  const warnings = [];
+  const encoding = {
+    videoCodec: null,
+    audioCodec: 'none',
+    pixelFormat: null,
+    videoOptions: [],
+    animation: null,
+    imageSequence: null,
+    hls: null,
+    draft: isDraft(settings),
+  };
+
+  if (!isKnownContainer(container)) {
+    errors.push({ code: 'unsupported_container', details: { container } });
+    return { errors, warnings, encoding };
+  }
+
+  if (!isMuxerAvailable(container)) {
+    errors.push({ code: 'muxer_unavailable', details: { container } });
+  }
+
+  const animation = getAnimationOptions(settings, container);
+  if (animation) {
+    encoding.animation = animation.options;
+    warnings.push(...animation.warnings);
+  }
+  encoding.imageSequence = getImageSequenceOptions(settings, container);
+  encoding.hls = getHlsOptions(settings, container);
+
+  let videoRequest = encoding.imageSequence
+    ? encoding.imageSequence.codec
+    : getRequestedVideoCodec(settings.videoCodec, container);
+  if (getEncoderChain('video', videoRequest).length === 0) {
+    // Unknown names have always rendered as H.264
+    warnings.push({ code: 'unknown_video_codec', codec: videoRequest, used: 'h264' });
+    videoRequest = 'h264';
+  }
+
+  const video = resolveEncoder('video', videoRequest, container);
+  if (!video.compatible) {
+    errors.push({ code: 'codec_container_mismatch', details: { container, stream: 'video', codec: videoRequest } });
+  } else if (!video.encoder) {
+    errors.push({
+      code: 'encoder_unavailable',
+      details: { container, stream: 'video', codec: videoRequest, tried: video.candidates },
+    });
+  } else {
+    if (video.fallback) {
+      warnings.push({ code: 'codec_fallback', stream: 'video', requested: videoRequest, encoder: video.encoder });
+    }
+    encoding.videoCodec = video.encoder;
+    encoding.videoOptions = getEncoderOptions(video.encoder, videoRequest);
+    // Images render in the encoder's own format (GIF is palettised)
+    const ownPixelFormat = animation || encoding.imageSequence;
+    encoding.pixelFormat = resolvePixelFormat(video.encoder, ownPixelFormat ? null : settings.pixelFormat);
+    if (!encoding.pixelFormat) {
+      errors.push({
+        code: 'unsupported_pixel_format',
+        details: { container, encoder: video.encoder, pixelFormat: settings.pixelFormat },
+      });
+    }
+    if (encoding.draft) {
+      encoding.videoOptions.push(...getDraftEncoderOptions(video.encoder));
+    }
+    if (encoding.hls) {
+      encoding.videoOptions.push(...getHlsKeyframeOptions(encoding.hls), ...getHlsMuxerOptions(encoding.hls));
+    }
+  }
+
+  if (animation) {
+    encoding.videoOptions.push(...getLoopOptions(container, animation.options.loop));
+    return { errors, warnings, encoding };
+  }
+  if (encoding.imageSequence) {
+    encoding.videoOptions.push(...getImageEncoderOptions(encoding.imageSequence));
+    return { errors, warnings, encoding };
+  }
+
+  if (settings.audioCodec === 'none' || settings.includeAudio === false) {
+    return { errors, warnings, encoding };
+  }
+
+  let audioRequest = settings.audioCodec || getDefaultAudioCodec(container);
+  if (getEncoderChain('audio', audioRequest).length === 0) {
+    // Unknown names have always fallen back to the container's default
+    const used = getDefaultAudioCodec(container);
+    warnings.push({ code: 'unknown_audio_codec', codec: audioRequest, used });
+    audioRequest = used;
+  }
+  const audio = resolveEncoder('audio', audioRequest, container);
+  if (!audio.compatible) {
+    errors.push({ code: 'codec_container_mismatch', details: { container, stream: 'audio', codec: audioRequest } });
+  } else if (!audio.encoder) {
+    errors.push({
+      code: 'encoder_unavailable',
+      details: { container, stream: 'audio', codec: audioRequest, tried: audio.candidates },
+    });
+  } else {
+    if (audio.fallback) {
+      warnings.push({ code: 'codec_fallback', stream: 'audio', requested: audioRequest, encoder: audio.encoder });
+    }
+    encoding.audioCodec = audio.encoder;
+  }
+
+  return { errors, warnings, encoding };
+}
+
+/**
+ * Resolves everything an export needs before ffmpeg runs: the render mode,
+ * input media, output size, frame rate, duration and encoders. `errors` are
+ * blocking (`{ code, details }`; a job fails with the first code) and
+ * `warnings` end up on the job. startRenderJob and POST /exports/validate
+ * both use this, so a validated export renders with the same plan. `log`
+ * is the job's or request's logger.
+ */
+function planExport(project, settings, { log = logger } = {}) {
+  const safeSettings = settings || {};
+  const datamosh = safeSettings.datamosh || { mode: 'none' };
+  const container = safeSettings.container || 'mp4';
+  const errors = [];
+  const warnings = getDatamoshWarnings(datamosh);
+  const plan = {
+    container,
+    mode: null,
+    media: null,
+    inputPath: null,
+    singleClip: null,
+    timelineSegments: null,
+    timelineLayers: null,
+    timelineInputs: null,
+  };
+
+  if (!isRenderableTimeline(project, safeSettings)) {
+    errors.push({
+      code: 'unsupported_timeline',
+      details: {
         source: safeSettings.source || null,
         clipCount: project?.timeline?.clips?.length ?? 0,
         trackCount: project?.timeline?.tracks?.length ?? 0,
-      });
-    return;
+      },
+    });
+    return { errors, warnings, plan };
   }
 
+  const sourceRef = safeSettings.source || { kind: 'timeline' };
+  const timelineClips = project?.timeline?.clips || [];
+  // A timeline holding one untransformed clip renders like a clip export, so
+  // it can be probed for the stream-copy fast path.
+  plan.singleClip =
+    sourceRef.kind === 'timeline' &&
+    timelineClips.length === 1 &&
+    typeof sourceRef.inFrame !== 'number' &&
+    !hasClipTransform(timelineClips[0]) &&
+    (project?.timeline?.audioClips || []).length === 0
+      ? timelineClips[0]
+      : null;
+  const useTimelineGraph = sourceRef.kind === 'timeline' && timelineClips.length > 0 && !plan.singleClip;
+
+  if (useTimelineGraph) {
+    let clipSegments;
+    if (isSimpleTimeline(project, safeSettings)) {
+      plan.mode = 'concat';
+      plan.timelineSegments = buildTimelineSegments(project, safeSettings);
+      clipSegments = plan.timelineSegments.filter((segment) => segment.type === 'clip');
+    } else {
+      plan.mode = 'composite';
+      plan.timelineLayers = buildTimelineLayers(project, safeSettings);
+      clipSegments = plan.timelineLayers.layers;
+    }
+    const resolved = resolveTimelineInputs(project, clipSegments, container);
+    plan.timelineInputs = resolved.inputs;
+    plan.media = {
+      mode: plan.mode,
+      segments: clipSegments.length,
+      inputs: resolved.inputs.map(({ segment, inputPath: p }) => ({
+        clipId: segment.clipId,
+        sourceId: segment.sourceId,
+        inputPath: p,
+      })),
+      missing: resolved.missing,
+    };
+
+    if (resolved.missing.length > 0) {
+      errors.push({ code: 'media_missing', details: { container, missing: resolved.missing } });
+    }
+  } else {
+    plan.mode = 'single';
     const primarySource = resolvePrimarySource(project, safeSettings);
-    const inputPath = resolveMediaPathForSource(project, primarySource, container);
-
-    pushJobDebug(job, 'resolve_media', {
+    plan.inputPath = resolveMediaPathForSource(project, primarySource, container);
+    plan.media = {
       sourceId: primarySource?.id || null,
       hash: primarySource?.hash || null,
       originalName: primarySource?.originalName || null,
-      inputPath,
-    });
+      inputPath: plan.inputPath,
+    };
 
-    if (!primarySource || !inputPath) {
-      debugError('media_missing', {
-        jobId: job.id,
-        container,
-        primarySource: primarySource
-          ? {
-              id: primarySource.id,
-              originalName: primarySource.originalName,
-              hash: primarySource.hash,
-            }
-          : null,
-        candidates: primarySource
-          ? getMediaCandidatePaths({
-              hash: primarySource.hash,
-              originalName: primarySource.originalName,
-              container,
-            })
-          : [],
+    if (!primarySource || !plan.inputPath) {
+      errors.push({
+        code: 'media_missing',
+        details: {
+          container,
+          primarySource: primarySource
+            ? {
+                id: primarySource.id,
+                originalName: primarySource.originalName,
+                hash: primarySource.hash,
+              }
+            : null,
+          candidates: primarySource
+            ? getMediaCandidatePaths({
+                hash: primarySource.hash,
+                originalName: primarySource.originalName,
+                container,
+              })
+            : [],
+        },
       });
-
-      job.status = 'failed';
-      job.error = 'media_missing';
-      job.progress = 0;
-      job.downloadPath = null;
-      RUNNING_JOBS.delete(job.id);
-      pruneOldJobs();
-      scheduleNext();
-      return;
     }
+  }
 
-  const { width, height, fps, durationSeconds } = deriveRenderParams(project, safeSettings);
+  const encodingPlan = resolveEncoding(container, safeSettings);
+  const { animation } = encodingPlan.encoding;
+  const { width, height, fps: renderFps, durationSeconds } = deriveRenderParams(project, safeSettings, log);
+  // Animated images and drafts cap the frame rate; the duration still follows the timeline
+  let fps = renderFps;
+  if (animation) fps = Math.min(fps, animation.maxFps);
+  if (encodingPlan.encoding.draft) fps = Math.min(fps, DRAFT_MAX_FPS);
+  Object.assign(plan, { width, height, fps, durationSeconds });
+  warnings.push(...getDatamoshRangeWarnings(datamosh, project, safeSettings, durationSeconds));
+
+  const { imageSequence } = encodingPlan.encoding;
+  if (imageSequence) {
+    // Stills are numbered by timeline frame, which only lines up at the timeline rate
+    const timelineFps = getTimelineFps(project);
+    if (fps !== timelineFps) {
+      warnings.push({ code: 'image_sequence_frame_rate', fps, timelineFps });
+    }
+    const startNumber = getExportStartFrame(project, safeSettings);
+    const numbering = getFrameNumbering(imageSequence, {
+      startFrame: startNumber,
+      frameCount: Math.round(durationSeconds * fps),
+    });
+    imageSequence.pattern = numbering.pattern;
+    imageSequence.startNumber = startNumber;
+    encodingPlan.encoding.videoOptions.push(...numbering.muxerOptions);
+  }
 
-    if (width > EXTREME_MAX_DIMENSION || height > EXTREME_MAX_DIMENSION || durationSeconds > EXTREME_MAX_DURATION_SECONDS) {
-      debugError('job_too_large', {
-        jobId: job.id,
+  if (width > EXTREME_MAX_DIMENSION || height > EXTREME_MAX_DIMENSION || durationSeconds > EXTREME_MAX_DURATION_SECONDS) {
+    errors.push({
+      code: 'job_too_large',
+      details: {
         width,
         height,
         fps,
@@ -471,240 +1093,985 @@ function startRenderJob(job, project, settings) {
         EXTREME_MAX_DIMENSION,
         EXTREME_MAX_DURATION_SECONDS,
         approxUncompressedGB: approxUncompressedGB(width, height, fps, durationSeconds).toFixed(3),
-      });
-
-      job.status = 'failed';
-      job.error = 'job_too_large';
-      job.downloadPath = null;
-      RUNNING_JOBS.delete(job.id);
-      pruneOldJobs();
-      scheduleNext();
-      return;
-    }
+      },
+    });
+  }
 
   if (width > SOFT_MAX_WIDTH || height > SOFT_MAX_HEIGHT) {
-    console.warn('[dmosh-export-service] large resolution requested', { id: job.id, width, height });
+    warnings.push({ code: 'large_resolution', width, height });
   }
 
   if (durationSeconds > SOFT_MAX_DURATION_SECONDS) {
-    console.warn('[dmosh-export-service] long duration requested', { id: job.id, durationSeconds });
-  }
-
-  const videoCodec = mapVideoCodec(safeSettings.videoCodec, container);
-  const audioCodec = mapAudioCodec(safeSettings.audioCodec);
-
-    // NOTE, IMPORTANT: Disable fast-path stream copy for now. The previous logic
-      // only looked at *desired* output settings, not the *actual* input
-      // codecs, which caused invalid MP4s (e.g. pcm_s24le in mp4) and
-      // ffmpeg header failures. We can re-enable a smarter copy path
-      // later by probing the input streams.
-      const canCopy = false;
-
-    pushJobDebug(job, 'ffmpeg_start', {
-      container,
-      inputPath,
-      outputPath,
-      width,
-      height,
-      fps,
-      durationSeconds,
-      videoCodec,
-      audioCodec,
-      canCopy,
-      datamosh,
+    warnings.push({ code: 'long_duration', durationSeconds });
+  }
+
+  // ffmpeg here cannot decode animated WebP, so those exports get no previews
+  plan.previews =
+    container === 'webp'
+      ? null
+      : getPreviewPlan(safeSettings, {
+          startFrame: getExportStartFrame(project, safeSettings),
+          frameCount: Math.round(durationSeconds * fps),
+          timelineFps: getTimelineFps(project),
+        });
+  if (plan.previews?.posterClamped) {
+    warnings.push({
+      code: 'poster_frame_out_of_range',
+      requested: safeSettings.previews.posterFrame,
+      used: plan.previews.posterFrame,
     });
+  }
 
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('[dmosh-export-service] starting render', {
-        id: job.id,
-        container,
-        inputPath,
-        outputPath,
-        width,
-        height,
-        fps,
-        durationSeconds,
-        videoCodec,
-        audioCodec,
-        canCopy,
-        datamosh,
+  errors.push(...encodingPlan.errors);
+  warnings.push(...encodingPlan.warnings);
+  plan.encoding = encodingPlan.encoding;
+  plan.videoCodec = encodingPlan.encoding.videoCodec;
+  plan.audioCodec = encodingPlan.encoding.audioCodec;
+
+  const audioPlan = planAudio(project, safeSettings, plan);
+  errors.push(...audioPlan.errors);
+  warnings.push(...audioPlan.warnings);
+  plan.audio = audioPlan.audio;
+
+  plan.moshOptions = getPacketMoshOptions(datamosh, { fps, project, settings: safeSettings });
+  if (plan.moshOptions) {
+    plan.datamoshEngine = 'packet';
+  } else {
+    const hasFilters = buildDatamoshFilterChain(datamosh, { fps, project, settings: safeSettings }).length > 0;
+    plan.datamoshEngine = hasFilters ? 'filter' : null;
+  }
+  plan.estimatedSizeBytes = estimateOutputBytes({
+    videoCodec: plan.videoCodec,
+    audioCodec: plan.audioCodec,
+    width,
+    height,
+    fps,
+    durationSeconds,
+    settings: safeSettings,
+  });
+
+  return { errors, warnings, plan };
+}
+
+/**
+ * planExport for jobs that may list `settings.outputs`. `renditions` holds
+ * each rendition's own plan (null for a single-output job); `plan` is the
+ * shared decode and filter plan, taken from the rendition with the highest
+ * frame rate. Problems every rendition has are reported once; the rest name
+ * their `output`.
+ */
+function planRenditions(project, settings, options) {
+  if (!hasRenditions(settings)) {
+    return { ...planExport(project, settings, options), renditions: null };
+  }
+
+  const requested = getRenditionSettings(settings);
+  if (requested.errors.length > 0) {
+    return { errors: requested.errors, warnings: requested.warnings, plan: {}, renditions: null };
+  }
+
+  const renditions = requested.renditions.map(({ name, settings: renditionSettings }) => ({
+    name,
+    settings: renditionSettings,
+    ...planExport(project, renditionSettings, options),
+  }));
+
+  const mergeProblems = (key) => {
+    const seen = new Map();
+    renditions.forEach(({ name, [key]: problems }) => {
+      problems.forEach((problem) => {
+        const id = JSON.stringify(problem);
+        if (!seen.has(id)) seen.set(id, { problem, outputs: [] });
+        seen.get(id).outputs.push(name);
       });
-    }
+    });
+    return [...seen.values()].map(({ problem, outputs }) => {
+      if (outputs.length === renditions.length) return problem;
+      return problem.details
+        ? { ...problem, details: { ...problem.details, outputs } }
+        : { ...problem, outputs };
+    });
+  };
 
-  logMemory(`job ${job.id} start`);
+  const primary = renditions.reduce((best, r) => ((r.plan.fps ?? 0) > (best.plan.fps ?? 0) ? r : best));
+  const plan = {
+    ...primary.plan,
+    // A rendition without audio (e.g. a GIF) must not drop it for the rest
+    audio: renditions.find((r) => r.plan.audio)?.plan.audio ?? null,
+    estimatedSizeBytes: renditions.reduce((sum, r) => sum + (r.plan.estimatedSizeBytes ?? 0), 0),
+  };
 
-  const command = ffmpeg(inputPath);
-    let lastFfmpegCommandLine = null;
+  return {
+    errors: [...requested.errors, ...mergeProblems('errors')],
+    warnings: [...requested.warnings, ...mergeProblems('warnings')],
+    plan,
+    renditions: renditions.map(({ name, settings: renditionSettings, plan: renditionPlan }) => ({
+      name,
+      settings: renditionSettings,
+      plan: renditionPlan,
+    })),
+  };
+}
+
+function startRenderJob(job, project, settings) {
+  // Cancelled between createJob's setImmediate and now; cancelJob has
+  // already released the reserved slot.
+  if (job.status === 'cancelled') return;
+
+  getLane(job).running.add(job.id);
+
+  const safeSettings = settings || {};
+  const datamosh = safeSettings.datamosh || { mode: 'none' };
+  const container = safeSettings.container || 'mp4';
+  const outputPath = getOutputPath(job.id, container);
+
+  // Planned first so a job that cannot render fails without ever reporting
+  // `rendering`, and the warnings are on the job (and in the trail) when
+  // its next status is persisted and sent to subscribers
+  const { errors, warnings, plan, renditions } = planRenditions(project, safeSettings, { log: getJobLogger(job) });
+  if (warnings.length > 0) {
+    getJobLogger(job).warn('plan_warnings', { warnings });
+  }
+  if (plan.media) {
+    getJobLogger(job).debug('resolve_media', plan.media);
+  }
+  job.warnings = [...warnings];
+
+  if (errors.length > 0) {
+    const [{ code, details }] = errors;
+    getJobLogger(job).error(code, details);
+    releaseFailedJob(job, code);
+    return;
+  }
+
+  job.status = 'rendering';
+  job.progress = 0;
+  job.error = null;
+  job.codecs = null;
+  job.previews = null;
+  job.outputs = null;
+  job.downloadPath = outputPath;
+  recordJobTransition(job);
+  removePreviews(job.id);
+  // Files left by an interrupted earlier attempt
+  removeOutput(outputPath);
+
+  const {
+    inputPath,
+    singleClip,
+    timelineSegments,
+    timelineLayers,
+    timelineInputs,
+    width,
+    height,
+    fps,
+    durationSeconds,
+    encoding,
+    videoCodec,
+    audioCodec,
+    moshOptions,
+    previews,
+    audio,
+  } = plan;
+  recordRenderStarted(job.id, durationSeconds);
+  // The encoders actually used, after fallbacks (and stream copy, below);
+  // renditions report their own
+  job.codecs = renditions ? null : { video: videoCodec, audio: audioCodec };
   const sourceRef = safeSettings.source || { kind: 'timeline' };
-  let startSeconds = null;
-  let clipDurationSeconds = null;
+  const useTimelineGraph = plan.mode !== 'single';
+  const moshContext = { fps, project, settings: safeSettings };
+  const watermarkFilters = encoding.draft ? getWatermarkFilters(job.id, { width, height }) : [];
+
+  let renditionsTarget = null;
+  if (renditions) {
+    job.outputs = renditions.map(({ name, plan: renditionPlan }) => {
+      const renditionPath = getOutputPath(job.id, renditionPlan.container, name);
+      removeOutput(renditionPath);
+      return {
+        name,
+        container: renditionPlan.container,
+        status: 'rendering',
+        progress: 0,
+        error: null,
+        codecs: { video: renditionPlan.videoCodec, audio: renditionPlan.audioCodec },
+        downloadPath: renditionPath,
+      };
+    });
+    // GET /exports/:id/download serves the first rendition
+    job.container = job.outputs[0].container;
+    job.downloadPath = job.outputs[0].downloadPath;
+    renditionsTarget = getRenditionsTarget(job, renditions);
+  }
 
-  if (sourceRef.kind === 'clip' && sourceRef.clipId && Array.isArray(project?.timeline?.clips)) {
-    const clip = project.timeline.clips.find((c) => c.id === sourceRef.clipId);
-    if (clip) {
-      startSeconds = (clip.startFrame || 0) / fps;
-      clipDurationSeconds = Math.max(0.1, (clip.endFrame - clip.startFrame + 1) / fps);
+  // Final encode of a packet mosh; the watermark goes on after the corruption.
+  // `hasAudio` tells whether the intermediate carries audio.
+  const getMoshEncoder = (hasAudio) => (final) => {
+    if (renditionsTarget) {
+      const filters = [`[0:v]${watermarkFilters.join(',') || 'null'}[vout]`];
+      if (hasAudio) filters.push('[1:a]anull[aout]');
+      renditionsTarget.attach(final, filters, { video: 'vout', audio: hasAudio ? 'aout' : null });
+      return;
     }
-  } else if (sourceRef.kind === 'timeline' && typeof sourceRef.inFrame === 'number' && typeof sourceRef.outFrame === 'number') {
-    startSeconds = sourceRef.inFrame / fps;
-    clipDurationSeconds = Math.max(0.1, (sourceRef.outFrame - sourceRef.inFrame + 1) / fps);
+    final.outputOptions(['-map 0:v:0', '-map 1:a:0?']);
+    if (watermarkFilters.length > 0) final.videoFilters(watermarkFilters);
+    applyEncodingOptions(final, safeSettings, encoding);
+  };
+
+  getJobLogger(job).info('ffmpeg_start', {
+    container,
+    inputPath,
+    timelineSegments,
+    timelineLayers: timelineLayers ? timelineLayers.layers : null,
+    outputPath: renditionsTarget ? renditionsTarget.outputPaths : outputPath,
+    width,
+    height,
+    fps,
+    durationSeconds,
+    videoCodec,
+    audioCodec,
+    datamosh,
+  });
+
+  logMemory(job, 'start');
+
+  const renderContext = {
+    inputPath,
+    outputPath,
+    container,
+    width,
+    height,
+    fps,
+    durationSeconds,
+    videoCodec,
+    audioCodec,
+    encoding,
+    previews,
+    canCopy: false,
+  };
+  if (renditionsTarget) {
+    Object.assign(renderContext, {
+      outputPath: renditionsTarget.outputPaths,
+      previews: renditionsTarget.previews,
+      renditionsTarget,
+    });
   }
 
-    const needsScale =
-      safeSettings.outputResolution === 'custom' ||
-      (width !== project?.settings?.width || height !== project?.settings?.height) ||
-      safeSettings.renderResolutionScale !== 1;
+  const timelineFps = getTimelineFps(project);
+  const inputRange = useTimelineGraph ? null : getSingleInputRange(project, sourceRef, singleClip);
 
-    const videoFilters = [];
+  if (useTimelineGraph) {
+    prepareAudio(job, audio, { timelineFps })
+      .then(({ audioFlags, loudnessFilters }) => {
+        if (job.status === 'cancelled') return;
 
-    if (needsScale) {
-      videoFilters.push(`scale=${width}:${height}`);
-    }
+        const command = ffmpeg();
+        timelineInputs.forEach(({ segment, inputPath: p }) => {
+          command.input(p).inputOptions([
+            `-ss ${(segment.sourceStartFrame / timelineFps).toFixed(6)}`,
+            `-t ${(segment.frames / timelineFps).toFixed(6)}`,
+          ]);
+        });
 
-    const datamoshFilters = buildDatamoshFilterChain(datamosh);
-    if (datamoshFilters.length > 0) {
-      videoFilters.push(...datamoshFilters);
-    }
+        const graphInputs = timelineInputs.map((_, index) => ({ index }));
+        const postFilters = moshOptions ? [] : [...buildDatamoshFilterChain(datamosh, moshContext), ...watermarkFilters];
+        const graph = timelineLayers
+          ? buildCompositeFilterGraph({
+              layers: timelineLayers.layers,
+              inputs: graphInputs,
+              durationFrames: timelineLayers.durationFrames,
+              width,
+              height,
+              fps,
+              timelineFps,
+              canvasScale: width / (project?.settings?.width ?? 640),
+              postFilters,
+            })
+          : buildTimelineFilterGraph({
+              segments: timelineSegments,
+              inputs: graphInputs,
+              width,
+              height,
+              fps,
+              timelineFps,
+              postFilters,
+            });
+        const filters = [...graph.filters];
+        const [videoLabel] = graph.outputs;
+        let audioLabel = null;
+        if (audio) {
+          const mix = addAudioMixInputs(command, audio, {
+            audioFlags,
+            firstIndex: timelineInputs.length,
+            timelineFps,
+            postFilters: loudnessFilters,
+          });
+          filters.push(...mix.filters);
+          audioLabel = mix.output;
+        }
 
-    if (videoFilters.length > 0) {
-      command.videoFilters(videoFilters);
-    }
+        if (renditionsTarget && !moshOptions) {
+          renditionsTarget.attach(command, filters, { video: videoLabel, audio: audioLabel });
+          runRenderCommand(job, command, renderContext);
+          return;
+        }
+        command.complexFilter(filters, audioLabel ? [videoLabel, audioLabel] : [videoLabel]);
+
+        if (moshOptions) {
+          runPacketDatamoshRender(job, command, {
+            ...renderContext,
+            moshOptions,
+            gopSize: getGopSize(datamosh),
+            keyframeTimes: getTimelineCutTimes(timelineSegments, timelineLayers, timelineFps),
+            encode: getMoshEncoder(Boolean(audioLabel)),
+          });
+          return;
+        }
 
-  if (safeSettings.fpsMode === 'override' && safeSettings.fps) {
-    command.outputOptions(['-r', String(safeSettings.fps)]);
+        applyEncodingOptions(command, safeSettings, encoding);
+        runRenderCommand(job, command, renderContext);
+      })
+      .catch((err) => {
+        if (job.status === 'cancelled') return;
+        getJobLogger(job).error('timeline_prepare_failed', { errorMessage: err?.message });
+        releaseFailedJob(job, 'timeline_prepare_failed');
+      });
+    return;
   }
 
-  if (startSeconds !== null) {
-    command.setStartTime(startSeconds);
-  }
-  if (clipDurationSeconds !== null) {
-    command.setDuration(clipDurationSeconds);
-  }
+  let loudnessFilters = [];
+  prepareAudio(job, audio, { inputPath, range: inputRange, timelineFps })
+    .then((prepared) => {
+      loudnessFilters = prepared.loudnessFilters;
+      return probeMedia(inputPath).catch((err) => {
+        getJobLogger(job).warn('probe_failed', { inputPath, errorMessage: err?.message || null });
+        return null;
+      });
+    })
+    .then((probe) => {
+      if (job.status === 'cancelled') return;
+
+      const command = ffmpeg(inputPath);
+      const { startSeconds, durationSeconds: clipDurationSeconds } = inputRange;
+      const audioFilters = audio ? [...audio.filters, ...loudnessFilters] : [];
+
+      // A range that starts at zero and reaches the end of the file is not a
+      // trim, so untouched single-clip timelines can still take the copy path.
+      const isTrimmed =
+        (startSeconds !== null && startSeconds > 0) ||
+        (clipDurationSeconds !== null &&
+          (!probe?.durationSeconds || clipDurationSeconds < probe.durationSeconds - 1 / timelineFps));
+
+      const datamoshFilters = moshOptions
+        ? []
+        : buildDatamoshFilterChain(datamosh, { ...moshContext, timeOffset: startSeconds || 0 });
+      const isVariableFrameRate = Boolean(readMediaMetadata(inputPath)?.video?.isVariableFrameRate);
+      const needsScale =
+        safeSettings.outputResolution === 'custom' ||
+        (width !== project?.settings?.width || height !== project?.settings?.height) ||
+        safeSettings.renderResolutionScale !== 1;
+
+      if (renditionsTarget) {
+        // Never stream-copied: one decode and filter pass feeds every encoder
+        const hasAudio = Boolean(audio && probe?.audio);
+        const videoFilters = [
+          ...(needsScale ? [`scale=${width}:${height}`] : []),
+          ...datamoshFilters,
+          ...(moshOptions ? [] : watermarkFilters),
+        ];
+        const filters = [`[0:v]${videoFilters.join(',') || 'null'}[vout]`];
+        if (hasAudio) filters.push(`[0:a]${audioFilters.join(',') || 'anull'}[aout]`);
+        if (startSeconds !== null) command.setStartTime(startSeconds);
+        if (clipDurationSeconds !== null) command.inputOptions([`-t ${clipDurationSeconds}`]);
+
+        if (moshOptions) {
+          command.complexFilter(filters, hasAudio ? ['vout', 'aout'] : ['vout']);
+          runPacketDatamoshRender(job, command, {
+            ...renderContext,
+            moshOptions,
+            gopSize: getGopSize(datamosh),
+            keyframeTimes: [],
+            encode: getMoshEncoder(hasAudio),
+          });
+          return;
+        }
+        renditionsTarget.attach(command, filters, { video: 'vout', audio: hasAudio ? 'aout' : null });
+        runRenderCommand(job, command, renderContext);
+        return;
+      }
 
-    if (canCopy && startSeconds === null && clipDurationSeconds === null) {
-        // Fast path: copy video stream, but transcode audio so the MP4 muxer
-        // never chokes on unsupported PCM variants (like pcm_s24le).
+      const copyPlan = planStreamCopy({
+        probe,
+        settings: { ...safeSettings, pixelFormat: encoding.pixelFormat },
+        container,
+        width,
+        height,
+        fps,
+        hasFilters: datamoshFilters.length > 0 || Boolean(moshOptions) || watermarkFilters.length > 0,
+        hasAudioFilters: audioFilters.length > 0,
+        isTrimmed,
+        isVariableFrameRate,
+      });
+
+      getJobLogger(job).debug('copy_decision', {
+        canCopy: copyPlan.canCopy,
+        reasons: copyPlan.reasons,
+        audio: copyPlan.audio,
+        inputVideo: probe?.video || null,
+        inputAudio: probe?.audio || null,
+      });
+
+      if (copyPlan.canCopy) {
+        // Fast path: the input already matches the requested output, so the
+        // video is copied untouched. Audio is only re-encoded when the
+        // container cannot hold the source codec (e.g. pcm_s24le in mp4).
         command.outputOptions(['-c:v copy']);
-    
-        if (safeSettings.includeAudio === false || audioCodec === 'none') {
+        if (encoding.hls) {
+          command.outputOptions(getHlsMuxerOptions(encoding.hls));
+        }
+        job.codecs = { video: 'copy', audio: copyPlan.audio === 'transcode' ? audioCodec : copyPlan.audio };
+
+        if (copyPlan.audio === 'none') {
           command.noAudio();
+        } else if (copyPlan.audio === 'copy') {
+          command.audioCodec('copy');
         } else {
-          // Re-encode audio to a container-safe codec (defaults to AAC).
           command.audioCodec(audioCodec);
+          if (audioFilters.length > 0) command.audioFilters(audioFilters);
         }
       } else {
-    command.videoCodec(videoCodec);
+        const videoFilters = [];
 
-    const pixelFormat = safeSettings.pixelFormat || 'yuv420p';
-    const outputOptions = [`-pix_fmt ${pixelFormat}`];
+        if (needsScale) {
+          videoFilters.push(`scale=${width}:${height}`);
+        }
 
-    if (safeSettings.rateControl?.mode === 'crf' && typeof safeSettings.rateControl.value === 'number') {
-      outputOptions.push(`-crf ${safeSettings.rateControl.value}`);
-    } else if (safeSettings.rateControl?.mode === 'bitrate' && typeof safeSettings.rateControl.kbps === 'number') {
-      outputOptions.push(`-b:v ${safeSettings.rateControl.kbps}k`);
-    }
+        if (datamoshFilters.length > 0) {
+          videoFilters.push(...datamoshFilters);
+        }
+
+        if (watermarkFilters.length > 0 && !moshOptions) {
+          videoFilters.push(...watermarkFilters);
+        }
 
-    if (audioCodec === 'none' || safeSettings.includeAudio === false) {
-      command.noAudio();
+        if (videoFilters.length > 0) {
+          command.videoFilters(videoFilters);
+        }
+        if (audioFilters.length > 0) {
+          command.audioFilters(audioFilters);
+        }
+
+        const overridesFps = safeSettings.fpsMode === 'override' && safeSettings.fps;
+        if (overridesFps || isVariableFrameRate || encoding.animation || encoding.imageSequence || encoding.draft) {
+          // Pin the output to the planned rate whenever it can differ from the
+          // source's, so duration and frame count hold
+          command.outputOptions(['-r', String(fps)]);
+        }
+
+        if (startSeconds !== null) {
+          command.setStartTime(startSeconds);
+        }
+        if (clipDurationSeconds !== null) {
+          command.setDuration(clipDurationSeconds);
+        }
+
+        if (moshOptions) {
+          runPacketDatamoshRender(job, command, {
+            ...renderContext,
+            moshOptions,
+            gopSize: getGopSize(datamosh),
+            keyframeTimes: [],
+            encode: getMoshEncoder(true),
+          });
+          return;
+        }
+
+        applyEncodingOptions(command, safeSettings, encoding);
+      }
+
+      runRenderCommand(job, command, { ...renderContext, canCopy: copyPlan.canCopy });
+    })
+    .catch((err) => {
+      if (job.status === 'cancelled') return;
+      getJobLogger(job).error('render_prepare_failed', { errorMessage: err?.message });
+      releaseFailedJob(job, 'render_prepare_failed');
+    });
+}
+
+/**
+ * Runs one ffmpeg command for a job and resolves when it finishes. Progress
+ * from this command is mapped into `progressRange` of the job's overall
+ * progress; `onProgress` also gets the command's own percentage. A null
+ * `outputPath` runs a command that already has its outputs. On failure the
+ * error carries the command line and output tails.
+ */
+function runFfmpegCommand(job, command, outputPath, { progressRange = [0, 100], logContext = {}, onProgress = null } = {}) {
+  const [progressStart, progressEnd] = progressRange;
+
+  // ffmpeg's own output goes to the debug trail and, at FFMPEG_LOG_LEVEL, the logs
+  const ffmpegLogger = getJobLogger(job).child({}, { level: FFMPEG_LOG_LEVEL });
+
+  return new Promise((resolve, reject) => {
+    let lastFfmpegCommandLine = null;
+
+    RUNNING_COMMANDS.set(job.id, command);
+
+    command
+      .on('start', (cmdLine) => {
+        lastFfmpegCommandLine = cmdLine;
+        ffmpegLogger.info('ffmpeg_command', { cmdLine, outputPath, ...logContext });
+      })
+      .on('stderr', (line) => {
+        ffmpegLogger.debug('ffmpeg_stderr', line);
+      })
+      .on('progress', (progress) => {
+        if (!JOBS.has(job.id)) {
+          try {
+            command.kill('SIGKILL');
+          } catch (_) {}
+          return;
+        }
+        const pct =
+          typeof progress.percent === 'number'
+            ? progressStart + (Math.min(100, progress.percent) * (progressEnd - progressStart)) / 100
+            : Math.min(progressEnd - 1, job.progress + 1);
+        const previous = job.progress;
+        job.progress = Math.max(job.progress, Math.min(100, Math.round(pct)));
+        if (job.progress !== previous) {
+          emitJobEvent(job.id, 'progress', { progress: job.progress });
+        }
+        if (onProgress && typeof progress.percent === 'number') {
+          onProgress(Math.min(100, progress.percent));
+        }
+      })
+      .on('error', (err, stdout, stderr) => {
+        RUNNING_COMMANDS.delete(job.id);
+        const error = err || new Error('ffmpeg_error');
+        error.ffmpegCommand = lastFfmpegCommandLine;
+        error.stdout = stdout && stdout.slice ? stdout.slice(0, 2000) : stdout;
+        error.stderr = stderr && stderr.slice ? stderr.slice(0, 2000) : stderr;
+        reject(error);
+      })
+      .on('end', () => {
+        RUNNING_COMMANDS.delete(job.id);
+        resolve();
+      });
+    if (outputPath) {
+      command.save(outputPath);
     } else {
-      command.audioCodec(audioCodec);
+      command.run();
     }
+  });
+}
 
-    command.outputOptions(outputOptions);
+function completeRender(job, outputPath) {
+  if (job.status === 'cancelled') {
+    removeOutput(outputPath);
+    return;
   }
 
-  command
-    .on('start', (cmdLine) => {
-      lastFfmpegCommandLine = cmdLine;
-      if (IS_DEV) {
-        debugLog('ffmpeg_start', {
-          jobId: job.id,
-          cmdLine,
-          inputPath,
-          outputPath,
-          container,
-          width,
-          height,
-          fps,
-          durationSeconds,
-          videoCodec,
-          audioCodec,
-          canCopy,
-        });
-      }
+  // Trail entries go out before the status: SSE streams close on it
+  getJobLogger(job).info('ffmpeg_complete', {
+    outputPath,
+  });
+  logMemory(job, 'end');
+
+  job.status = 'complete';
+  job.progress = 100;
+  recordJobTransition(job);
+
+  getLane(job).running.delete(job.id);
+  pruneOldJobs();
+  scheduleNext();
+}
+
+function failRender(job, err, outputPath) {
+  if (job.status === 'cancelled') {
+    // Killed by cancelJob, which already released the slot; ffmpeg may
+    // have kept writing until the signal landed.
+    removeOutput(outputPath);
+    logMemory(job, 'end');
+    return;
+  }
+
+  getJobLogger(job).error('ffmpeg_error', {
+    errorMessage: err?.message || null,
+    errorCode: err?.code || null,
+    ffmpegCommand: err?.ffmpegCommand || null,
+    stdout: err?.stdout,
+    stderr: err?.stderr,
+  });
+  logMemory(job, 'end');
+
+  job.status = 'failed';
+  job.error = err?.code || err?.message || 'ffmpeg_error';
+  job.progress = 0;
+  endRenditions(job, 'failed');
+  recordJobTransition(job);
+
+  removeOutput(outputPath);
+
+  getLane(job).running.delete(job.id);
+  pruneOldJobs();
+  scheduleNext();
+}
+
+/**
+ * Second half of a GIF export: palettegen reads the whole lossless render
+ * into one palette image, then paletteuse maps every frame onto it.
+ */
+function runPaletteEncode(job, sourcePath, outputPath, encoding, [progressStart, progressEnd], tmpName = job.id) {
+  const palettePath = path.join(TMP_DIR, `${tmpName}.palette.png`);
+  const progressSplit = progressStart + (progressEnd - progressStart) / 3;
+
+  if (job.status === 'cancelled') return Promise.reject(new Error('cancelled'));
+  const generate = ffmpeg(sourcePath).videoFilters(getPaletteGenFilter(encoding.animation));
+  return runFfmpegCommand(job, generate, palettePath, {
+    progressRange: [progressStart, progressSplit],
+    logContext: { stage: 'palettegen' },
+  })
+    .then(() => {
+      if (job.status === 'cancelled') throw new Error('cancelled');
+      getJobLogger(job).debug('palette', encoding.animation);
+      const apply = ffmpeg(sourcePath)
+        .input(palettePath)
+        .complexFilter([`[0:v][1:v]${getPaletteUseFilter(encoding.animation)}[out]`], 'out')
+        .videoCodec(encoding.videoCodec)
+        .outputOptions(encoding.videoOptions);
+      return runFfmpegCommand(job, apply, outputPath, {
+        progressRange: [progressSplit, progressEnd],
+        logContext: { stage: 'paletteuse' },
+      });
     })
-    .on('stderr', (line) => {
-          // Streaming ffmpeg stderr into both server logs and job.debug
-          debugLog('ffmpeg_stderr', {
-            jobId: job.id,
-            line,
-          });
-          pushJobDebug(job, 'ffmpeg_stderr', line);
-        })
-    .on('progress', (progress) => {
-      if (!JOBS.has(job.id)) {
+    .finally(() => removeFileQuietly(palettePath));
+}
+
+/**
+ * Where a job's final ffmpeg command writes, and the step (if any) that turns
+ * that into `outputPath`: GIFs are palettised from a lossless intermediate and
+ * image sequences are zipped. `finish(progressRange)` returns a promise.
+ * `previewInput` is what previews are generated from once it has finished.
+ * Temporary files are named after `tmpName` (one per rendition).
+ */
+function getRenderTarget(job, outputPath, encoding, fps, tmpName = job.id) {
+  if (encoding && usesPalette(encoding)) {
+    const sourcePath = path.join(TMP_DIR, `${tmpName}.palette-source.mkv`);
+    return {
+      renderPath: sourcePath,
+      finish: (progressRange) => runPaletteEncode(job, sourcePath, outputPath, encoding, progressRange, tmpName),
+      previewInput: { path: outputPath },
+      cleanup: () => removeFileQuietly(sourcePath),
+    };
+  }
+
+  if (encoding?.imageSequence) {
+    const framesDir = path.join(TMP_DIR, `${tmpName}.frames`);
+    // Stills left by an interrupted earlier attempt must not end up in the ZIP
+    fs.rmSync(framesDir, { recursive: true, force: true });
+    fs.mkdirSync(framesDir, { recursive: true });
+    return {
+      renderPath: path.join(framesDir, encoding.imageSequence.pattern),
+      finish: () => {
+        if (job.status === 'cancelled') return Promise.reject(new Error('cancelled'));
+        return zipDirectory(framesDir, outputPath).then((sizeBytes) => {
+          getJobLogger(job).debug('image_sequence_zip', { frames: fs.readdirSync(framesDir).length, sizeBytes });
+        });
+      },
+      // The ZIP itself cannot be decoded, so previews read the stills
+      previewInput: {
+        path: path.join(framesDir, encoding.imageSequence.pattern),
+        inputOptions: [`-framerate ${fps}`, `-start_number ${encoding.imageSequence.startNumber}`],
+      },
+      cleanup: () => fs.rmSync(framesDir, { recursive: true, force: true }),
+    };
+  }
+
+  if (encoding?.hls) {
+    // Segments are written straight into the job's directory as they finish
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  }
+
+  return { renderPath: outputPath, finish: null, previewInput: { path: outputPath }, cleanup: () => {} };
+}
+
+// Records a rendition's progress or status and tells event subscribers
+function updateRendition(job, output, changes) {
+  const previous = { status: output.status, progress: output.progress };
+  Object.assign(output, changes);
+  if (output.status !== previous.status || output.progress !== previous.progress) {
+    emitJobEvent(job.id, 'output', { name: output.name, status: output.status, progress: output.progress });
+  }
+}
+
+/**
+ * Output stage of a multi-rendition job, in the shape of getRenderTarget.
+ * `attach(command, filters, labels)` adds the shared filter graph and splits
+ * its `video` / `audio` outputs into one encoder per rendition, re-timed to
+ * the rendition's frame rate. Once that single ffmpeg run is done, `finish`
+ * runs each rendition's palette or ZIP step. Previews are generated from the
+ * first rendition that has them.
+ */
+function getRenditionsTarget(job, renditions) {
+  const outputs = renditions.map((rendition, k) => {
+    const state = job.outputs[k];
+    const target = getRenderTarget(
+      job,
+      state.downloadPath,
+      rendition.plan.encoding,
+      rendition.plan.fps,
+      `${job.id}.${rendition.name}`,
+    );
+    return { ...rendition, state, target };
+  });
+  const withPreviews = outputs.find(({ plan }) => plan.previews);
+
+  return {
+    renderPath: null,
+    outputPaths: outputs.map(({ state }) => state.downloadPath),
+    previews: withPreviews ? withPreviews.plan.previews : null,
+    previewInput: withPreviews ? withPreviews.target.previewInput : null,
+    attach(command, filters, { video, audio }) {
+      const split = buildSplitFilters({
+        video,
+        audio,
+        withAudio: outputs.map(({ plan }) => plan.audioCodec !== 'none'),
+      });
+      command.complexFilter([...filters, ...split.filters]);
+      outputs.forEach(({ settings, plan, target }, k) => {
+        command.output(target.renderPath).outputOptions([`-map [${split.video[k]}]`, '-r', String(plan.fps)]);
+        if (split.audio[k]) {
+          command.outputOptions([`-map [${split.audio[k]}]`]);
+        }
+        applyEncodingOptions(command, settings, plan.encoding);
+      });
+    },
+    // Renditions with a second step leave room for it
+    onProgress(percent) {
+      outputs.forEach(({ state, target }) => {
+        updateRendition(job, state, { progress: Math.floor((percent * (target.finish ? 80 : 99)) / 100) });
+      });
+    },
+    async finish([progressStart, progressEnd]) {
+      const pending = outputs.filter(({ target }) => target.finish);
+      outputs
+        .filter(({ target }) => !target.finish)
+        .forEach(({ state }) => updateRendition(job, state, { status: 'complete', progress: 100 }));
+
+      const step = (progressEnd - progressStart) / Math.max(1, pending.length);
+      for (const [k, { name, state, target }] of pending.entries()) {
+        if (job.status === 'cancelled') throw new Error('cancelled');
         try {
-          command.kill('SIGKILL');
-        } catch (_) {}
-        return;
+          await target.finish([progressStart + k * step, progressStart + (k + 1) * step]);
+        } catch (err) {
+          updateRendition(job, state, { status: 'failed', error: err?.message || 'ffmpeg_error' });
+          getJobLogger(job).error('rendition_failed', { output: name, errorMessage: err?.message || null });
+          throw err;
+        }
+        updateRendition(job, state, { status: 'complete', progress: 100 });
       }
-      const pct = typeof progress.percent === 'number' ? progress.percent : Math.min(99, job.progress + 1);
-      job.progress = Math.max(job.progress, Math.min(100, Math.round(pct)));
-    })
-    .on('error', (err, stdout, stderr) => {
-      job.status = 'failed';
-      job.error = err?.code || err?.message || 'ffmpeg_error';
-      job.progress = 0;
+    },
+    cleanup() {
+      outputs.forEach(({ target }) => target.cleanup());
+    },
+  };
+}
 
-      debugError('ffmpeg_error', {
-        jobId: job.id,
-        errorMessage: err?.message,
-        errorCode: err?.code,
-        ffmpegCommand: lastFfmpegCommandLine,
-        stdout: stdout && stdout.slice ? stdout.slice(0, 2000) : stdout,
-        stderr: stderr && stderr.slice ? stderr.slice(0, 2000) : stderr,
+/**
+ * Writes the poster frame, animated preview and contact sheet for a finished
+ * render. A preview that fails is reported as a warning; the export itself
+ * still completes.
+ */
+async function generatePreviews(job, input, previewPlan) {
+  if (!previewPlan) return;
+  const previewDir = getPreviewDir(job.id);
+  fs.mkdirSync(previewDir, { recursive: true });
+
+  const commands = buildPreviewCommands(input, previewPlan);
+  const available = [];
+  for (const [kind, command] of Object.entries(commands)) {
+    if (job.status === 'cancelled') throw new Error('cancelled');
+    try {
+      await runFfmpegCommand(job, command, path.join(previewDir, PREVIEW_FILES[kind].fileName), {
+        progressRange: [95, 99],
+        logContext: { stage: 'preview', preview: kind },
       });
+      available.push(kind);
+    } catch (err) {
+      if (job.status === 'cancelled') throw err;
+      job.warnings.push({ code: 'preview_failed', preview: kind, errorMessage: err?.message || null });
+      getJobLogger(job).warn('preview_failed', { preview: kind, errorMessage: err?.message || null });
+    }
+  }
 
-        pushJobDebug(job, 'ffmpeg_error', {
-                errorMessage: err?.message || null,
-                errorCode: err?.code || null,
-                ffmpegCommand: lastFfmpegCommandLine,
-                stdout: stdout && stdout.slice ? stdout.slice(0, 2000) : stdout,
-                stderr: stderr && stderr.slice ? stderr.slice(0, 2000) : stderr,
-              });
+  job.previews = { posterFrame: previewPlan.posterFrame, available };
+  getJobLogger(job).debug('previews', job.previews);
+}
 
-      try {
-        if (fs.existsSync(outputPath)) {
-          fs.unlinkSync(outputPath);
-        }
-      } catch (_) {}
+/**
+ * Adds one pre-trimmed input per audio layer to `command`, numbered from
+ * `firstIndex`, and returns the filter graph that mixes them.
+ */
+function addAudioMixInputs(command, audio, { audioFlags, firstIndex, timelineFps, postFilters = [] }) {
+  audio.inputs.forEach(({ segment, inputPath: p }) => {
+    command.input(p).inputOptions([
+      `-ss ${(segment.sourceStartFrame / timelineFps).toFixed(6)}`,
+      `-t ${(segment.frames / timelineFps).toFixed(6)}`,
+    ]);
+  });
+  return buildAudioMixGraph({
+    layers: audio.inputs.map(({ segment }) => segment),
+    inputs: audioFlags.map((hasAudio, k) => ({ index: firstIndex + k, hasAudio })),
+    durationFrames: audio.durationFrames,
+    timelineFps,
+    postFilters,
+  });
+}
 
-      logMemory(`job ${job.id} end`);
+/**
+ * First loudness pass: runs `command` (audio only) through loudnorm's
+ * measurement and resolves with what it measured, or null.
+ */
+function measureLoudness(job, command) {
+  const stderrLines = [];
+  command
+    .on('stderr', (line) => stderrLines.push(line))
+    .noVideo()
+    .format('null');
+  return runFfmpegCommand(job, command, os.devNull, {
+    progressRange: [0, 10],
+    logContext: { stage: 'loudness_measure' },
+  }).then(() => parseLoudnessMeasurement(stderrLines));
+}
 
-      RUNNING_JOBS.delete(job.id);
-      pruneOldJobs();
-      scheduleNext();
-    })
-    .on('end', () => {
-      job.status = 'complete';
-      job.progress = 100;
+/**
+ * Probes the inputs of a timeline mix for audio streams and, for two-pass
+ * loudness, measures the audio before the render. Resolves with the flags
+ * and the filters that normalise the audio (none without `audio.loudness`).
+ * A failed measurement falls back to single-pass normalisation with a warning.
+ */
+async function prepareAudio(job, audio, { inputPath, range, timelineFps }) {
+  if (!audio) return { audioFlags: [], loudnessFilters: [] };
+  const audioFlags = audio.inputs ? await Promise.all(audio.inputs.map(({ inputPath: p }) => hasAudioStream(p))) : [];
+  const { loudness } = audio;
+  // Nothing to normalise in a single input without audio
+  if (!loudness || (!audio.inputs && !(await hasAudioStream(inputPath)))) {
+    return { audioFlags, loudnessFilters: [] };
+  }
 
-      pushJobDebug(job, 'ffmpeg_complete', {
-        outputPath,
-      });
+  let measurement = null;
+  if (loudness.twoPass) {
+    try {
+      const measureFilter = getLoudnessMeasureFilter(loudness);
+      let command;
+      if (audio.inputs) {
+        command = ffmpeg();
+        const graph = addAudioMixInputs(command, audio, {
+          audioFlags,
+          firstIndex: 0,
+          timelineFps,
+          postFilters: [measureFilter],
+        });
+        command.complexFilter(graph.filters, [graph.output]);
+      } else {
+        command = ffmpeg(inputPath).audioFilters([...audio.filters, measureFilter]);
+        if (range.startSeconds !== null) command.setStartTime(range.startSeconds);
+        if (range.durationSeconds !== null) command.setDuration(range.durationSeconds);
+      }
+      measurement = await measureLoudness(job, command);
+      if (!measurement) throw new Error('loudness_not_measured');
+      getJobLogger(job).debug('loudness_measured', { ...measurement, target: loudness.target });
+    } catch (err) {
+      if (job.status === 'cancelled') throw err;
+      job.warnings.push({ code: 'loudness_measurement_failed', errorMessage: err?.message || null });
+      getJobLogger(job).warn('loudness_measurement_failed', { errorMessage: err?.message || null });
+      measurement = null;
+    }
+  }
 
-      debugLog('ffmpeg_complete', { jobId: job.id, outputPath });
+  return { audioFlags, loudnessFilters: getLoudnessFilters(loudness, measurement) };
+}
 
-      logMemory(`job ${job.id} end`);
+function runRenderCommand(job, command, { outputPath, encoding, previews, renditionsTarget, ...logContext }) {
+  const target = renditionsTarget || getRenderTarget(job, outputPath, encoding, logContext.fps);
+  const renderEnd = target.finish ? 80 : 95;
+
+  runFfmpegCommand(job, command, target.renderPath, {
+    progressRange: [0, renderEnd],
+    logContext,
+    onProgress: target.onProgress,
+  })
+    .then(() => target.finish && target.finish([renderEnd, 95]))
+    .then(() => generatePreviews(job, target.previewInput, previews))
+    .then(() => completeRender(job, outputPath))
+    .catch((err) => failRender(job, err, outputPath))
+    .finally(target.cleanup);
+}
+
+/**
+ * Packet-level datamosh: `command` (already carrying inputs, trims and
+ * scaling) renders an MPEG-4 Part 2 intermediate with a controlled GOP, the
+ * elementary stream's packets are rewritten by moshElementaryStream, and the
+ * corrupted stream is decoded and re-encoded to the requested output. Audio
+ * rides along untouched in the intermediate.
+ */
+function runPacketDatamoshRender(
+  job,
+  command,
+  { outputPath, fps, keyframeTimes, moshOptions, gopSize, encode, encoding, previews, renditionsTarget, ...logContext },
+) {
+  const target = renditionsTarget || getRenderTarget(job, outputPath, encoding, fps);
+  const intermediatePath = path.join(TMP_DIR, `${job.id}.intermediate.mkv`);
+  const streamPath = path.join(TMP_DIR, `${job.id}.intermediate.m4v`);
+  const moshedPath = path.join(TMP_DIR, `${job.id}.moshed.m4v`);
+  const throwIfCancelled = () => {
+    if (job.status === 'cancelled') throw new Error('cancelled');
+  };
 
-      RUNNING_JOBS.delete(job.id);
-      pruneOldJobs();
-      scheduleNext();
+  const intermediateOptions = ['-c:v mpeg4', '-q:v 2', '-bf 0', `-g ${gopSize}`, `-r ${fps}`, '-pix_fmt yuv420p'];
+  if (keyframeTimes.length > 0) {
+    // Cuts get an I-frame so dropping it smears one clip into the next
+    intermediateOptions.push(`-force_key_frames ${keyframeTimes.join(',')}`);
+  }
+  command.outputOptions(intermediateOptions).audioCodec('pcm_s16le').format('matroska');
+
+  runFfmpegCommand(job, command, intermediatePath, { progressRange: [0, 60], logContext: { ...logContext, stage: 'intermediate' } })
+    .then(() => {
+      throwIfCancelled();
+      const extract = ffmpeg(intermediatePath)
+        .noAudio()
+        .outputOptions(['-c:v copy', '-bsf:v dump_extra'])
+        .format('m4v');
+      return runFfmpegCommand(job, extract, streamPath, { progressRange: [60, 65], logContext: { stage: 'extract' } });
+    })
+    .then(() => {
+      throwIfCancelled();
+      return moshElementaryStream(streamPath, moshedPath, moshOptions);
+    })
+    .then((stats) => {
+      throwIfCancelled();
+      getJobLogger(job).debug('packet_datamosh', { ...stats, gopSize, moshOptions, keyframes: keyframeTimes.length });
+
+      // `encode` maps the moshed video (input 0) and the audio (input 1)
+      const final = ffmpeg().input(moshedPath).inputOptions(['-f m4v', `-r ${fps}`]).input(intermediatePath);
+      encode(final);
+      return runFfmpegCommand(job, final, target.renderPath, {
+        progressRange: [65, target.finish ? 90 : 95],
+        logContext: { ...logContext, stage: 'encode' },
+        onProgress: target.onProgress,
+      });
     })
-    .save(outputPath);
+    .then(() => target.finish && target.finish([90, 95]))
+    .then(() => generatePreviews(job, target.previewInput, previews))
+    .then(() => completeRender(job, outputPath))
+    .catch((err) => failRender(job, err, outputPath))
+    .finally(() => {
+      removeFileQuietly(intermediatePath);
+      removeFileQuietly(streamPath);
+      removeFileQuietly(moshedPath);
+      target.cleanup();
+    });
 }
 
-function createJob({ project, settings, clientVersion }) {
+function createJob({ project, settings, clientVersion, callbackUrl, requestId }) {
   const id = uuidv4();
 
   const safeSettings = settings || {};
@@ -714,30 +2081,46 @@ function createJob({ project, settings, clientVersion }) {
     status: 'queued',
     progress: 0,
     error: null,
-    container: safeSettings.container || 'mp4',
+    // The first rendition's, for multi-rendition jobs
+    container: (hasRenditions(safeSettings) && safeSettings.outputs[0]?.container) || safeSettings.container || 'mp4',
+    quality: getQuality(safeSettings),
     createdAt: new Date().toISOString(),
     clientVersion: clientVersion || null,
+    requestId: requestId || null,
+    callback: callbackUrl ? { url: callbackUrl, status: 'waiting', attempts: 0 } : null,
     downloadPath: null,
+    warnings: [],
     debug: [],
   };
 
   JOBS.set(id, job);
-    debugLog('create_job', {
-      jobId: id,
-      container: job.container,
-      clientVersion,
-      runningJobs: RUNNING_JOBS.size,
-      queueLength: QUEUE.length,
-    });
+  const lane = getLane(job);
+  try {
+    jobStore.insert(job, { project: project || {}, settings: safeSettings });
+  } catch (err) {
+    getJobLogger(job).error('job_store_write_failed', { errorMessage: err?.message });
+  }
+  emitJobEvent(id, 'status', { status: job.status, error: null, progress: 0 });
+  getJobLogger(job).info('create_job', {
+    container: job.container,
+    quality: job.quality,
+    clientVersion,
+    runningJobs: lane.running.size,
+    queueLength: lane.queue.length,
+  });
 
-  if (RUNNING_JOBS.size < MAX_CONCURRENT_JOBS) {
+  if (lane.running.size < lane.maxConcurrent) {
+    // Reserve the slot now so a burst of requests cannot all start before
+    // the deferred startRenderJob runs.
+    lane.running.add(id);
     setImmediate(() => startRenderJob(job, project || {}, safeSettings));
-  } else if (QUEUE.length < MAX_QUEUE_LENGTH) {
-    QUEUE.push({ jobId: id, project: project || {}, settings: safeSettings });
+  } else if (lane.queue.length < lane.maxQueueLength) {
+    lane.queue.push({ jobId: id, project: project || {}, settings: safeSettings });
   } else {
     job.status = 'failed';
     job.error = 'over_capacity';
     job.progress = 0;
+    recordJobTransition(job);
   }
 
   return job;
@@ -747,12 +2130,153 @@ function getJob(id) {
   return JOBS.get(id) || null;
 }
 
+/**
+ * Reloads jobs from the job store after a restart. Finished jobs are served
+ * again as long as their output still exists; jobs that were queued or
+ * interrupted mid-render go back on the queue in submission order.
+ */
+function restoreJobs() {
+  let records;
+  try {
+    records = jobStore.loadAll();
+  } catch (err) {
+    logger.error('job_store_load_failed', { errorMessage: err?.message });
+    return { restored: 0, requeued: 0, overCapacity: 0 };
+  }
+
+  const resumable = [];
+  let restored = 0;
+
+  for (const { job: stored, project, settings } of records) {
+    if (!stored?.id || JOBS.has(stored.id)) continue;
+
+    const job = { ...stored, debug: [] };
+    if (job.status === 'queued' || job.status === 'rendering') {
+      getJobLogger(job).info('job_restored', { previousStatus: job.status });
+      job.status = 'queued';
+      job.progress = 0;
+      job.error = null;
+      job.downloadPath = null;
+      job.outputs = null;
+      resumable.push({ job, project, settings });
+    } else if (
+      job.status === 'complete' &&
+      (!job.downloadPath || !getJobOutputPaths(job).every((outputPath) => fs.existsSync(outputPath)))
+    ) {
+      job.status = 'failed';
+      job.error = 'output_missing';
+      removeOutput(getJobOutputPaths(job));
+      job.downloadPath = null;
+      job.outputs = null;
+    }
+
+    JOBS.set(job.id, job);
+    if (job.status !== stored.status) {
+      recordJobTransition(job);
+    } else if (isTerminalStatus(job.status) && job.callback?.status === 'delivering') {
+      // Interrupted mid-delivery: start it over
+      job.callback.status = 'waiting';
+      sendJobCallback(job);
+    }
+    restored += 1;
+  }
+
+  // Oldest first; what no longer fits the lane (e.g. after MAX_QUEUE_LENGTH
+  // was lowered) fails as createJob would have failed it
+  resumable.sort((a, b) => (Date.parse(a.job.createdAt || '') || 0) - (Date.parse(b.job.createdAt || '') || 0));
+  let requeued = 0;
+  for (const { job, project, settings } of resumable) {
+    const lane = getLane(job);
+    const freeSlots = Math.max(0, lane.maxConcurrent - lane.running.size);
+    if (lane.queue.length < freeSlots + lane.maxQueueLength) {
+      lane.queue.push({ jobId: job.id, project: project || {}, settings: settings || {} });
+      requeued += 1;
+    } else {
+      getJobLogger(job).warn('restore_over_capacity', { queueLength: lane.queue.length });
+      job.status = 'failed';
+      job.error = 'over_capacity';
+      job.progress = 0;
+      recordJobTransition(job);
+    }
+  }
+
+  pruneOldJobs();
+  for (const lane of Object.values(LANES)) {
+    for (let i = 0; i < lane.maxConcurrent; i += 1) {
+      scheduleLane(lane);
+    }
+  }
+
+  const overCapacity = resumable.length - requeued;
+  logger.info('restore_jobs', { restored, requeued, overCapacity, store: jobStore.kind });
+  return { restored, requeued, overCapacity };
+}
+
+/**
+ * Replaces the job store, e.g. with createMemoryJobStore() in tests. Call it
+ * before any job is created.
+ */
+function setJobStore(store) {
+  jobStore = store;
+}
+
+/**
+ * Stops a queued or running job. Returns the job, or null when it does not
+ * exist; callers check `job.status` to tell whether it was already terminal.
+ */
+function cancelJob(id) {
+  const job = JOBS.get(id);
+  if (!job) return null;
+  if (TERMINAL_STATUSES.has(job.status)) return job;
+
+  const lane = getLane(job);
+  const queueIndex = lane.queue.findIndex((entry) => entry.jobId === id);
+  if (queueIndex !== -1) {
+    lane.queue.splice(queueIndex, 1);
+  }
+
+  const wasRunning = lane.running.has(id);
+  const outputPaths = getJobOutputPaths(job);
+  getJobLogger(job).info('job_cancelled', { wasRunning, wasQueued: queueIndex !== -1 });
+
+  job.status = 'cancelled';
+  job.error = null;
+  job.progress = 0;
+  job.downloadPath = null;
+  endRenditions(job, 'cancelled');
+  recordJobTransition(job);
+
+  const command = RUNNING_COMMANDS.get(id);
+  if (command) {
+    try {
+      command.kill('SIGKILL');
+    } catch (_) {}
+  }
+  removeOutput(outputPaths);
+  removePreviews(id);
+
+  if (wasRunning) {
+    lane.running.delete(id);
+    pruneOldJobs();
+    scheduleNext();
+  }
+
+  return job;
+}
+
 module.exports = {
   createJob,
   getJob,
+  cancelJob,
+  isTerminalStatus,
+  restoreJobs,
+  setJobStore,
+  planExport,
+  planRenditions,
   deriveRenderParams,
   computeDurationFrames,
   // exporting helpers for potential external use/testing
+  getPreviewPath,
   resolveMediaPathForSource,
   getMediaCandidatePaths,
 };
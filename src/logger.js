@@ -0,0 +1,151 @@
+// Structured logging. Every entry is one line: `time`, `level`, `msg`, the
+// logger's context (e.g. `requestId`, `jobId`) and the fields logged with it.
+//
+//   LOG_LEVEL         error, warn, info, debug or silent (default info in
+//                     production, debug otherwise)
+//   LOG_FORMAT        json or text (default json in production, text otherwise)
+//   FFMPEG_LOG_LEVEL  threshold for ffmpeg's own output, whose stderr lines
+//                     are logged at debug (default warn in production, so
+//                     they stay out of the logs, and debug otherwise)
+//
+// Hooks added with `child(context, { onEntry })` see every entry of that
+// logger and its children whatever the level; the per-job debug trail is
+// kept that way.
+
+const { v4: uuidv4 } = require('uuid');
+
+const LEVELS = { error: 50, warn: 40, info: 30, debug: 20 };
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+function parseLevel(value, fallback) {
+  if (value === 'silent') return 'silent';
+  return Object.prototype.hasOwnProperty.call(LEVELS, value) ? value : fallback;
+}
+
+function isLevelEnabled(threshold, level) {
+  return threshold !== 'silent' && LEVELS[level] >= LEVELS[threshold];
+}
+
+// Errors have no enumerable fields, so JSON would drop their message
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code !== undefined ? { code: value.code } : {}) };
+  }
+  return value;
+}
+
+function serializeFields(fields) {
+  if (fields === undefined || fields === null) return {};
+  if (typeof fields !== 'object' || Array.isArray(fields) || fields instanceof Error) {
+    return { data: serializeValue(fields) };
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    out[key] = serializeValue(value);
+  }
+  return out;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...rest } = entry;
+  const pairs = Object.entries(rest)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+}
+
+function defaultWrite(line, level) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * `write(line, level)` receives each formatted entry at or above `level`;
+ * `hooks` are called with `{ time, level, msg, fields }` for every entry.
+ */
+function createLogger({ level = 'info', format = 'json', context = {}, hooks = [], write = defaultWrite } = {}) {
+  const log = (entryLevel, msg, fields) => {
+    const time = new Date().toISOString();
+    hooks.forEach((hook) => hook({ time, level: entryLevel, msg, fields }));
+    if (!isLevelEnabled(level, entryLevel)) return;
+
+    const entry = { time, level: entryLevel, msg, ...context, ...serializeFields(fields) };
+    let line;
+    try {
+      line = format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    } catch (_) {
+      // Circular fields
+      line = JSON.stringify({ time, level: entryLevel, msg, ...context, unserializable: true });
+    }
+    write(line, entryLevel);
+  };
+
+  return {
+    level,
+    error: (msg, fields) => log('error', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    debug: (msg, fields) => log('debug', msg, fields),
+    isLevelEnabled: (entryLevel) => isLevelEnabled(level, entryLevel),
+    /** A logger that adds `childContext` to every entry; `options.level` overrides the threshold. */
+    child(childContext, options = {}) {
+      return createLogger({
+        level: options.level ? parseLevel(options.level, level) : level,
+        format,
+        context: { ...context, ...childContext },
+        hooks: options.onEntry ? [...hooks, options.onEntry] : hooks,
+        write,
+      });
+    },
+  };
+}
+
+const LOG_LEVEL = parseLevel(process.env.LOG_LEVEL, IS_PRODUCTION ? 'info' : 'debug');
+const FFMPEG_LOG_LEVEL = parseLevel(process.env.FFMPEG_LOG_LEVEL, IS_PRODUCTION ? 'warn' : 'debug');
+
+const logger = createLogger({
+  level: LOG_LEVEL,
+  format: process.env.LOG_FORMAT === 'text' || (!process.env.LOG_FORMAT && !IS_PRODUCTION) ? 'text' : 'json',
+});
+
+// Callers may pass their own X-Request-Id to correlate logs across services
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// Polled endpoints log at debug so they do not drown out the rest
+const QUIET_PATHS = new Set(['/health', '/metrics']);
+
+/**
+ * Middleware that gives every request an id, echoed in X-Request-Id, and a
+ * `req.log` that tags its lines with it; logs each request once the
+ * response is done.
+ */
+function requestLogger(baseLogger = logger) {
+  return (req, res, next) => {
+    const requested = req.get('X-Request-Id');
+    req.requestId = requested && REQUEST_ID_PATTERN.test(requested) ? requested : uuidv4();
+    req.log = baseLogger.child({ requestId: req.requestId });
+    res.set('X-Request-Id', req.requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.once('close', () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        ...(res.writableFinished ? {} : { aborted: true }),
+      };
+      if (QUIET_PATHS.has(req.path)) req.log.debug('http_request', fields);
+      else req.log.info('http_request', fields);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  LEVELS,
+  FFMPEG_LOG_LEVEL,
+  parseLevel,
+  createLogger,
+  logger,
+  requestLogger,
+};
@@ -0,0 +1,105 @@
+// Loudness normalisation of export audio with ffmpeg's loudnorm (EBU R128).
+// `settings.loudness` is either a target in LUFS (e.g. -14) or:
+//
+//   target    integrated loudness, -70 to -5 LUFS (required)
+//   truePeak  maximum true peak, -9 to 0 dBTP (default -1)
+//   range     loudness range target, 1-20 LU (default 11)
+//   twoPass   measure the mix first, then normalise it linearly (default
+//             true); single-pass loudnorm adjusts the gain dynamically
+//
+// loudnorm upsamples to 192 kHz, so its output is resampled back. That goes
+// through aformat: a bare aresample after loudnorm leaves the channel layout
+// unresolved and ffmpeg fails to configure the graph.
+
+const { AUDIO_SAMPLE_RATE } = require('./audioMix');
+
+const DEFAULT_TRUE_PEAK = -1;
+const DEFAULT_RANGE = 11;
+
+function clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+/**
+ * Normalised `settings.loudness`, or null when it is unset. `invalid` is set
+ * when it was given without a usable target.
+ */
+function getLoudnessOptions(settings) {
+  const raw = settings?.loudness;
+  if (raw === undefined || raw === null || raw === false) return null;
+  const options = typeof raw === 'number' ? { target: raw } : raw;
+  if (typeof options?.target !== 'number' || !Number.isFinite(options.target)) {
+    return { invalid: true };
+  }
+
+  return {
+    target: clamp(options.target, -70, -5),
+    truePeak: clamp(options.truePeak, -9, 0, DEFAULT_TRUE_PEAK),
+    range: clamp(options.range, 1, 20, DEFAULT_RANGE),
+    twoPass: options.twoPass !== false,
+  };
+}
+
+function getTargetParams(options) {
+  return `I=${options.target}:TP=${options.truePeak}:LRA=${options.range}`;
+}
+
+/** First pass: measures the audio and prints the result as JSON on stderr. */
+function getLoudnessMeasureFilter(options) {
+  return `loudnorm=${getTargetParams(options)}:print_format=json`;
+}
+
+/**
+ * Reads the measurement loudnorm prints at the end of a first pass from the
+ * lines of ffmpeg's stderr, or null when there is none.
+ */
+function parseLoudnessMeasurement(stderrLines) {
+  const text = stderrLines.join('\n');
+  const start = text.lastIndexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(text.slice(start, end + 1));
+  } catch (_) {
+    return null;
+  }
+
+  const measurement = {
+    inputI: Number(raw.input_i),
+    inputTp: Number(raw.input_tp),
+    inputLra: Number(raw.input_lra),
+    inputThresh: Number(raw.input_thresh),
+    targetOffset: Number(raw.target_offset),
+  };
+  // Silence measures as -inf, which loudnorm cannot take back
+  return Object.values(measurement).every(Number.isFinite) ? measurement : null;
+}
+
+/**
+ * Filters that normalise the audio: linear with a first-pass `measurement`,
+ * dynamic (single pass) without one.
+ */
+function getLoudnessFilters(options, measurement) {
+  const params = [getTargetParams(options)];
+  if (measurement) {
+    params.push(
+      `measured_I=${measurement.inputI}`,
+      `measured_TP=${measurement.inputTp}`,
+      `measured_LRA=${measurement.inputLra}`,
+      `measured_thresh=${measurement.inputThresh}`,
+      `offset=${measurement.targetOffset}`,
+      'linear=true',
+    );
+  }
+  return [`loudnorm=${params.join(':')}`, `aformat=sample_rates=${AUDIO_SAMPLE_RATE}`];
+}
+
+module.exports = {
+  getLoudnessOptions,
+  getLoudnessMeasureFilter,
+  parseLoudnessMeasurement,
+  getLoudnessFilters,
+};
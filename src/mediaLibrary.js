@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { getSidecarPath } = require('./mediaMetadata');
+
+// Read side of MEDIA_ROOT. Stored media is named `<sha256><ext>`; upload
+// temporaries (`upload-*`), metadata sidecars (`<file>.json`, so `<sha256>.json`
+// for extensionless media) and the resumable upload directory never match.
+
+const MEDIA_FILE_PATTERN = /^([a-f0-9]{64})(?!\.json$)(\.[A-Za-z0-9]+)?$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function isMediaHash(value) {
+  return typeof value === 'string' && /^[a-f0-9]{64}$/.test(value);
+}
+
+function createMediaLibrary({ root }) {
+  function describe(name) {
+    const match = MEDIA_FILE_PATTERN.exec(name);
+    if (!match) return null;
+    try {
+      const stats = fs.statSync(path.join(root, name));
+      if (!stats.isFile() || stats.size === 0) return null;
+      return {
+        hash: match[1],
+        ext: match[2] || '',
+        fileName: name,
+        filePath: path.join(root, name),
+        sizeBytes: stats.size,
+        modifiedAt: stats.mtime.toISOString(),
+      };
+    } catch (_) {
+      // Removed between readdir and stat
+      return null;
+    }
+  }
+
+  function readEntries(filter) {
+    let names;
+    try {
+      names = fs.readdirSync(root);
+    } catch (_) {
+      return [];
+    }
+    return names
+      .filter((name) => MEDIA_FILE_PATTERN.test(name) && (!filter || filter(name)))
+      .sort()
+      .map(describe)
+      .filter(Boolean);
+  }
+
+  /**
+   * Every stored file for `hash` (normally one; the same bytes uploaded under
+   * two extensions are stored twice).
+   */
+  function findAll(hash) {
+    if (!isMediaHash(hash)) return [];
+    return readEntries((name) => name.startsWith(hash));
+  }
+
+  function find(hash) {
+    return findAll(hash)[0] || null;
+  }
+
+  /**
+   * One page of stored files ordered by name. `cursor` is the `nextCursor` of
+   * the previous page, so files added or removed meanwhile never shift pages.
+   */
+  function list({ limit, cursor } = {}) {
+    const requested = Math.round(Number(limit));
+    const pageSize = Number.isFinite(requested) && requested > 0 ? Math.min(MAX_PAGE_SIZE, requested) : DEFAULT_PAGE_SIZE;
+    const entries = readEntries();
+    const remaining = cursor ? entries.filter((entry) => entry.fileName > cursor) : entries;
+    const items = remaining.slice(0, pageSize);
+
+    return {
+      items,
+      total: entries.length,
+      nextCursor: remaining.length > pageSize ? items[items.length - 1].fileName : null,
+    };
+  }
+
+  /** Removes every file stored for `hash` (and its sidecar) and returns the removed entries. */
+  function remove(hash) {
+    const entries = findAll(hash);
+    for (const entry of entries) {
+      fs.rmSync(entry.filePath, { force: true });
+      fs.rmSync(getSidecarPath(entry.filePath), { force: true });
+    }
+    return entries;
+  }
+
+  return {
+    root,
+    find,
+    findAll,
+    list,
+    remove,
+  };
+}
+
+module.exports = {
+  isMediaHash,
+  createMediaLibrary,
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfprobe, parseFrameRate, toNumberOrNull } = require('./mediaProbe');
+
+// Server-side analysis of stored media, written at ingest as a sidecar
+// `<media file>.json` next to the file. Render planning trusts these records
+// over the durations and rates the client sends in `project.sources`.
+
+const METADATA_VERSION = 1;
+// avg_frame_rate this far from r_frame_rate means timestamps are irregular
+const VFR_TOLERANCE = 0.01;
+
+function getSidecarPath(mediaPath) {
+  return `${mediaPath}.json`;
+}
+
+function toPositiveIntOrNull(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** Clockwise rotation in degrees (0, 90, 180 or 270) from the rotate tag or display matrix. */
+function getRotation(stream) {
+  let degrees = toNumberOrNull(stream?.tags?.rotate);
+  if (degrees === null) {
+    const displayMatrix = (stream?.side_data_list || []).find((entry) => entry.rotation !== undefined);
+    // The display matrix angle is counter-clockwise
+    if (displayMatrix) degrees = -Number(displayMatrix.rotation);
+  }
+  if (!Number.isFinite(degrees)) return 0;
+  return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+}
+
+function buildMetadata(data, { fileName, sizeBytes, frameCount }) {
+  const streams = Array.isArray(data?.streams) ? data.streams : [];
+  const video = streams.find((s) => s.codec_type === 'video' && !s.disposition?.attached_pic) || null;
+  const audio = streams.find((s) => s.codec_type === 'audio') || null;
+
+  let videoRecord = null;
+  if (video) {
+    const frameRate = parseFrameRate(video.r_frame_rate);
+    const averageFrameRate = parseFrameRate(video.avg_frame_rate) || frameRate;
+    const rotation = getRotation(video);
+    const width = toNumberOrNull(video.width);
+    const height = toNumberOrNull(video.height);
+    const sideways = rotation === 90 || rotation === 270;
+
+    videoRecord = {
+      codec: video.codec_name || null,
+      profile: video.profile || null,
+      pixelFormat: video.pix_fmt || null,
+      width,
+      height,
+      rotation,
+      displayWidth: sideways ? height : width,
+      displayHeight: sideways ? width : height,
+      frameRate,
+      averageFrameRate,
+      isVariableFrameRate: Boolean(
+        frameRate && averageFrameRate && Math.abs(frameRate - averageFrameRate) / frameRate > VFR_TOLERANCE,
+      ),
+      frameCount,
+      durationSeconds: toNumberOrNull(video.duration),
+    };
+  }
+
+  return {
+    version: METADATA_VERSION,
+    fileName,
+    sizeBytes,
+    analyzedAt: new Date().toISOString(),
+    container: data?.format?.format_name || null,
+    durationSeconds: toNumberOrNull(data?.format?.duration),
+    bitRate: toNumberOrNull(data?.format?.bit_rate),
+    video: videoRecord,
+    audio: audio
+      ? {
+          codec: audio.codec_name || null,
+          sampleRate: toNumberOrNull(audio.sample_rate),
+          channels: toNumberOrNull(audio.channels),
+          channelLayout: audio.channel_layout || null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Probes a media file and resolves with its metadata record. Containers that
+ * do not store a frame count (Matroska, WebM) have their packets counted.
+ */
+async function analyzeMedia(mediaPath) {
+  const data = await runFfprobe(mediaPath);
+  const video = (data.streams || []).find((s) => s.codec_type === 'video' && !s.disposition?.attached_pic);
+
+  let frameCount = toPositiveIntOrNull(video?.nb_frames);
+  if (video && frameCount === null) {
+    const counted = await runFfprobe(mediaPath, ['-count_packets', '-select_streams', `${video.index}`]);
+    frameCount = toPositiveIntOrNull(counted.streams?.[0]?.nb_read_packets);
+  }
+
+  return buildMetadata(data, {
+    fileName: path.basename(mediaPath),
+    sizeBytes: fs.statSync(mediaPath).size,
+    frameCount,
+  });
+}
+
+/**
+ * The stored record for `mediaPath`, or null when there is none (media
+ * uploaded before ingest analysis) or it no longer matches the file.
+ */
+function readMediaMetadata(mediaPath) {
+  if (!mediaPath) return null;
+  try {
+    const record = JSON.parse(fs.readFileSync(getSidecarPath(mediaPath), 'utf8'));
+    if (record.version !== METADATA_VERSION) return null;
+    if (record.sizeBytes !== fs.statSync(mediaPath).size) return null;
+    return record;
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeMediaMetadata(mediaPath, record) {
+  const sidecarPath = getSidecarPath(mediaPath);
+  const tempPath = `${sidecarPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+  fs.renameSync(tempPath, sidecarPath);
+}
+
+/**
+ * Returns the stored record, analysing the file and writing its sidecar first
+ * when needed. Resolves with null when ffprobe cannot read the file.
+ */
+async function ensureMediaMetadata(mediaPath) {
+  const existing = readMediaMetadata(mediaPath);
+  if (existing) return existing;
+
+  let record;
+  try {
+    record = await analyzeMedia(mediaPath);
+  } catch (_) {
+    return null;
+  }
+  writeMediaMetadata(mediaPath, record);
+  return record;
+}
+
+module.exports = {
+  getSidecarPath,
+  buildMetadata,
+  analyzeMedia,
+  readMediaMetadata,
+  ensureMediaMetadata,
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const ffprobeInstaller = require('@ffprobe-installer/ffprobe');
+
+ffmpeg.setFfprobePath(process.env.FFPROBE_PATH || ffprobeInstaller.path);
+
+// Probe results keyed on path, size and mtime: files stored under their
+// original name can be replaced in place. Oldest entries go first.
+const PROBE_CACHE = new Map();
+const PROBE_CACHE_LIMIT = 500;
+
+function getProbeCacheKey(filePath) {
+  try {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    return `${filePath}:${size}:${mtimeMs}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseFrameRate(rate) {
+  if (!rate || typeof rate !== 'string') return null;
+  const [num, den] = rate.split('/').map(Number);
+  if (!Number.isFinite(num) || num <= 0) return null;
+  if (den === undefined) return num;
+  if (!Number.isFinite(den) || den <= 0) return null;
+  return num / den;
+}
+
+function toNumberOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeProbe(data) {
+  const streams = Array.isArray(data?.streams) ? data.streams : [];
+  const video = streams.find((s) => s.codec_type === 'video' && !s.disposition?.attached_pic) || null;
+  const audio = streams.find((s) => s.codec_type === 'audio') || null;
+
+  return {
+    formatName: data?.format?.format_name || null,
+    durationSeconds: toNumberOrNull(data?.format?.duration),
+    sizeBytes: toNumberOrNull(data?.format?.size),
+    bitRate: toNumberOrNull(data?.format?.bit_rate),
+    video: video
+      ? {
+          codec: video.codec_name || null,
+          profile: video.profile || null,
+          pixelFormat: video.pix_fmt || null,
+          width: toNumberOrNull(video.width),
+          height: toNumberOrNull(video.height),
+          fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+        }
+      : null,
+    audio: audio
+      ? {
+          codec: audio.codec_name || null,
+          sampleRate: toNumberOrNull(audio.sample_rate),
+          channels: toNumberOrNull(audio.channels),
+          channelLayout: audio.channel_layout || null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Raw ffprobe output (`streams` and `format`) for a file. `options` are extra
+ * ffprobe arguments such as `-count_packets`.
+ */
+function runFfprobe(filePath, options = []) {
+  if (!filePath) return Promise.reject(new Error('probe_missing_path'));
+
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, options, (err, data) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Runs ffprobe on a file and resolves with a normalized summary of its first
+ * video and audio streams. Rejects when ffprobe cannot read the file.
+ */
+function probeMedia(filePath) {
+  if (!filePath) return Promise.reject(new Error('probe_missing_path'));
+  const cacheKey = getProbeCacheKey(filePath);
+  if (cacheKey && PROBE_CACHE.has(cacheKey)) {
+    return Promise.resolve(PROBE_CACHE.get(cacheKey));
+  }
+
+  return runFfprobe(filePath).then((data) => {
+    const probe = normalizeProbe(data);
+    if (cacheKey) {
+      PROBE_CACHE.set(cacheKey, probe);
+      if (PROBE_CACHE.size > PROBE_CACHE_LIMIT) PROBE_CACHE.delete(PROBE_CACHE.keys().next().value);
+    }
+    return probe;
+  });
+}
+
+function hasAudioStream(filePath) {
+  return probeMedia(filePath)
+    .then((probe) => Boolean(probe.audio))
+    .catch(() => false);
+}
+
+module.exports = {
+  runFfprobe,
+  probeMedia,
+  hasAudioStream,
+  parseFrameRate,
+  toNumberOrNull,
+};
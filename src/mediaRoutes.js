@@ -5,12 +5,27 @@ const crypto = require('crypto');
 const os = require('os');
 const multer = require('multer');
 const { getMediaCandidatePaths } = require('./jobs');
+const { createUploadSessionStore } = require('./uploadSessions');
+const { isMediaHash, createMediaLibrary } = require('./mediaLibrary');
+const { ensureMediaMetadata } = require('./mediaMetadata');
+const { recordUpload } = require('./metrics');
 
 const MEDIA_ROOT = process.env.MEDIA_ROOT || path.join(os.tmpdir(), 'dmosh-media');
 if (!fs.existsSync(MEDIA_ROOT)) {
   fs.mkdirSync(MEDIA_ROOT, { recursive: true });
 }
 
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 20 * 1024 * 1024 * 1024;
+
+// Chunks stay on the same volume as MEDIA_ROOT so finalizing is a rename
+const uploadSessions = createUploadSessionStore({
+  dir: process.env.UPLOAD_SESSION_DIR || path.join(MEDIA_ROOT, '.uploads'),
+});
+// Sessions currently being assembled; a second finalize gets a 409
+const FINALIZING = new Set();
+
+const mediaLibrary = createMediaLibrary({ root: MEDIA_ROOT });
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, MEDIA_ROOT);
@@ -50,6 +65,13 @@ function deduceExtension(originalName, mimetype) {
       'video/quicktime': '.mov',
       'video/webm': '.webm',
       'video/x-matroska': '.mkv',
+      'audio/mpeg': '.mp3',
+      'audio/wav': '.wav',
+      'audio/x-wav': '.wav',
+      'audio/mp4': '.m4a',
+      'audio/aac': '.aac',
+      'audio/flac': '.flac',
+      'audio/ogg': '.ogg',
     };
     ext = map[mimetype] || '';
   }
@@ -67,6 +89,38 @@ async function computeFileHash(filePath) {
   });
 }
 
+function removeQuietly(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (_) {}
+}
+
+/**
+ * Moves a verified upload of `sizeBytes` to `${hash}${ext}` in MEDIA_ROOT,
+ * where getMediaCandidatePaths looks for it, and analyses it (see
+ * mediaMetadata.js). An existing non-empty copy wins and the new file is
+ * discarded. Resolves with the upload response body.
+ */
+async function landVerifiedUpload(tempPath, hash, ext, sizeBytes) {
+  const finalPath = path.join(MEDIA_ROOT, `${hash}${ext}`);
+  let cached = false;
+  try {
+    cached = fs.statSync(finalPath).size > 0;
+  } catch (_) {
+    // Not stored yet
+  }
+  recordUpload({ bytes: sizeBytes, cached });
+  if (cached) {
+    removeQuietly(tempPath);
+  } else {
+    fs.renameSync(tempPath, finalPath);
+  }
+
+  // Unreadable media is still stored; it just has no metadata to plan with
+  const metadata = await ensureMediaMetadata(finalPath);
+  return { ok: true, hash, cached, path: `/media-root/${path.basename(finalPath)}`, metadata };
+}
+
 router.post('/upload', upload.single('file'), async (req, res, next) => {
   const file = req.file;
   const { hash, originalName } = req.body || {};
@@ -90,18 +144,9 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
     }
 
     const ext = deduceExtension(originalName, file.mimetype);
-    const finalPath = path.join(MEDIA_ROOT, `${hash}${ext}`);
-
-    if (fs.existsSync(finalPath) && fs.statSync(finalPath).size > 0) {
-      try {
-        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
-      } catch (_) {}
-      return res.status(200).json({ ok: true, hash, cached: true, path: `/media-root/${path.basename(finalPath)}` });
-    }
-
-    fs.renameSync(file.path, finalPath);
+    const landed = await landVerifiedUpload(file.path, hash, ext, file.size);
 
-    return res.status(201).json({ ok: true, hash, cached: false, path: `/media-root/${path.basename(finalPath)}` });
+    return res.status(landed.cached ? 200 : 201).json(landed);
   } catch (err) {
     try {
       if (file?.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
@@ -110,6 +155,193 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
   }
 });
 
+function describeSession(session) {
+  const received = uploadSessions.listReceived(session);
+  return {
+    uploadId: session.id,
+    hash: session.hash,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    received,
+    complete: received.length === session.totalChunks,
+  };
+}
+
+// Resumable uploads: create a session, PUT chunks in any order (re-sending is
+// harmless), GET the session to see what arrived, then finalize.
+router.post('/uploads', (req, res) => {
+  const { hash, size, originalName, mimetype, chunkSize } = req.body || {};
+  const totalBytes = Number(size);
+
+  if (!isMediaHash(hash) || !Number.isInteger(totalBytes) || totalBytes <= 0) {
+    return res.status(400).json({ error: 'invalid_request', details: 'hash (sha256 hex) and size are required' });
+  }
+  if (totalBytes > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: 'upload_too_large', maxBytes: MAX_UPLOAD_BYTES });
+  }
+
+  const ext = deduceExtension(originalName, mimetype);
+  const existing = path.join(MEDIA_ROOT, `${hash}${ext}`);
+  if (fs.existsSync(existing) && fs.statSync(existing).size > 0) {
+    return res.status(200).json({ ok: true, hash, cached: true, path: `/media-root/${path.basename(existing)}` });
+  }
+
+  const session = uploadSessions.create({ hash, size: totalBytes, ext, originalName, chunkSize });
+  return res.status(201).json(describeSession(session));
+});
+
+router.get('/uploads/:id', (req, res) => {
+  const session = uploadSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  return res.json(describeSession(session));
+});
+
+router.put('/uploads/:id/chunks/:index', async (req, res, next) => {
+  const session = uploadSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  if (FINALIZING.has(session.id)) {
+    return res.status(409).json({ error: 'upload_finalizing' });
+  }
+
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    return res.status(400).json({ error: 'chunk_out_of_range', totalChunks: session.totalChunks });
+  }
+
+  const declaredLength = req.get('Content-Length');
+  if (declaredLength !== undefined && Number(declaredLength) !== uploadSessions.getExpectedChunkSize(session, index)) {
+    return res.status(400).json({ error: 'chunk_size_mismatch' });
+  }
+
+  try {
+    const written = await uploadSessions.writeChunk(session, index, req);
+    return res.json({ ok: true, ...written });
+  } catch (err) {
+    if (err.message === 'chunk_size_mismatch') {
+      return res.status(400).json({ error: 'chunk_size_mismatch' });
+    }
+    if (err.message === 'chunk_too_large') {
+      // The rest of the body is never read, so the connection is closed,
+      // but only once the client has its answer
+      res.once('finish', () => req.destroy());
+      return res.set('Connection', 'close').status(400).json({ error: 'chunk_too_large' });
+    }
+    if (req.destroyed) return undefined;
+    return next(err);
+  }
+});
+
+router.post('/uploads/:id/complete', async (req, res, next) => {
+  const session = uploadSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  if (FINALIZING.has(session.id)) {
+    return res.status(409).json({ error: 'upload_finalizing' });
+  }
+
+  FINALIZING.add(session.id);
+  const assembledPath = path.join(MEDIA_ROOT, `upload-${session.id}${session.ext}`);
+  try {
+    await uploadSessions.assemble(session, assembledPath);
+
+    const computed = await computeFileHash(assembledPath);
+    if (computed !== session.hash) {
+      // There is no telling which chunk is bad, so the session is discarded
+      removeQuietly(assembledPath);
+      uploadSessions.remove(session.id);
+      return res.status(400).json({ error: 'hash_mismatch' });
+    }
+
+    const landed = await landVerifiedUpload(assembledPath, session.hash, session.ext, session.size);
+    uploadSessions.remove(session.id);
+    return res.status(landed.cached ? 200 : 201).json(landed);
+  } catch (err) {
+    removeQuietly(assembledPath);
+    if (err.message === 'chunks_missing') {
+      return res.status(409).json({ error: 'chunks_missing', missing: err.missing });
+    }
+    return next(err);
+  } finally {
+    FINALIZING.delete(session.id);
+  }
+});
+
+router.delete('/uploads/:id', (req, res) => {
+  const session = uploadSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  if (FINALIZING.has(session.id)) {
+    return res.status(409).json({ error: 'upload_finalizing' });
+  }
+  uploadSessions.remove(session.id);
+  return res.status(204).end();
+});
+
+function toMediaResponse(entry) {
+  return {
+    hash: entry.hash,
+    fileName: entry.fileName,
+    ext: entry.ext,
+    sizeBytes: entry.sizeBytes,
+    modifiedAt: entry.modifiedAt,
+    path: `/media-root/${entry.fileName}`,
+  };
+}
+
+router.get('/', (req, res) => {
+  const { items, total, nextCursor } = mediaLibrary.list({ limit: req.query.limit, cursor: req.query.cursor });
+  res.json({ items: items.map(toMediaResponse), total, nextCursor });
+});
+
+// Cheap existence check for skipping uploads: no probing, no body
+router.head('/:hash', (req, res) => {
+  const entry = isMediaHash(req.params.hash) ? mediaLibrary.find(req.params.hash) : null;
+  if (!entry) {
+    return res.status(404).end();
+  }
+  return res
+    .status(200)
+    .set({ 'X-Media-Size': String(entry.sizeBytes), 'Last-Modified': new Date(entry.modifiedAt).toUTCString() })
+    .end();
+});
+
+router.get('/:hash', async (req, res) => {
+  const { hash } = req.params;
+  if (!isMediaHash(hash)) {
+    return res.status(400).json({ error: 'invalid_hash' });
+  }
+
+  const entry = mediaLibrary.find(hash);
+  if (!entry) {
+    return res.status(404).json({ error: 'not_found', hash, exists: false });
+  }
+
+  // Media stored before ingest analysis gets its sidecar written here
+  const metadata = await ensureMediaMetadata(entry.filePath);
+  return res.json({ ...toMediaResponse(entry), exists: true, metadata });
+});
+
+// Exports already queued against this media will fail with media_missing
+router.delete('/:hash', (req, res) => {
+  const { hash } = req.params;
+  if (!isMediaHash(hash)) {
+    return res.status(400).json({ error: 'invalid_hash' });
+  }
+
+  const removed = mediaLibrary.remove(hash);
+  if (removed.length === 0) {
+    return res.status(404).json({ error: 'not_found', hash });
+  }
+  return res.json({ ok: true, hash, removed: removed.map((entry) => entry.fileName) });
+});
+
 if (process.env.NODE_ENV !== 'production') {
   router.get('/debug/:hash', (req, res) => {
     const { hash } = req.params;
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-process metrics served by GET /metrics in the Prometheus text format
+// (version 0.0.4). Counters and histograms are updated as things happen;
+// gauges are read when the endpoint is scraped. Everything resets on restart,
+// which Prometheus handles for counters.
+
+const METRICS = new Map();
+
+const RENDER_DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+const REALTIME_FACTOR_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16];
+// Disk usage walks whole directories, so scrapes share one reading for a while
+const DISK_USAGE_TTL_MS = 30 * 1000;
+// Error codes are short snake_case ids; anything else (ffmpeg's messages)
+// would give every failure its own series
+const ERROR_CODE_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function register(metric) {
+  if (METRICS.has(metric.name)) throw new Error(`metric_already_registered: ${metric.name}`);
+  METRICS.set(metric.name, metric);
+  return metric;
+}
+
+function defineCounter(name, help) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    get(labels = {}) {
+      return series.get(labelKey(labels))?.value ?? 0;
+    },
+    collect: () => [...series.values()],
+  });
+}
+
+/** `collect` returns the current `[{ labels, value }]` at every scrape. */
+function defineGauge(name, help, collect) {
+  return register({ name, help, type: 'gauge', collect });
+}
+
+function defineHistogram(name, help, buckets) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((le, k) => {
+        if (value <= le) entry.counts[k] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    collect: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, k) => ({ suffix: '_bucket', labels: { ...labels, le }, value: counts[k] })),
+        { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+        { suffix: '_sum', labels, value: sum },
+        { suffix: '_count', labels, value: count },
+      ]),
+  });
+}
+
+/** Every registered metric in the Prometheus text exposition format. */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of METRICS.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const { suffix = '', labels, value } of metric.collect()) {
+      lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/** Total size of the files under `dir` in bytes; 0 when it does not exist. */
+function getDirectorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      try {
+        total += fs.statSync(entryPath).size;
+      } catch (_) {
+        // Removed while walking
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Gauge of the bytes stored under each of `dirs` (`{ label: path }`), read at
+ * most once per DISK_USAGE_TTL_MS.
+ */
+function defineDiskUsageGauge(name, help, dirs) {
+  let cached = null;
+  let readAt = 0;
+  return defineGauge(name, help, () => {
+    if (!cached || Date.now() - readAt > DISK_USAGE_TTL_MS) {
+      cached = Object.entries(dirs).map(([dir, dirPath]) => ({ labels: { dir }, value: getDirectorySize(dirPath) }));
+      readAt = Date.now();
+    }
+    return cached;
+  });
+}
+
+// Service metrics
+
+const jobsFinished = defineCounter(
+  'dmosh_export_jobs_total',
+  'Export jobs that ended, by terminal status and error code.',
+);
+const renderDuration = defineHistogram(
+  'dmosh_export_render_duration_seconds',
+  'Wall-clock time of completed renders.',
+  RENDER_DURATION_BUCKETS,
+);
+const realtimeFactor = defineHistogram(
+  'dmosh_export_realtime_factor',
+  'Seconds of export rendered per second of wall-clock time, for completed renders.',
+  REALTIME_FACTOR_BUCKETS,
+);
+const uploads = defineCounter('dmosh_media_uploads_total', 'Verified media uploads, by whether the file was already stored.');
+const uploadBytes = defineCounter('dmosh_media_upload_bytes_total', 'Bytes received in verified media uploads.');
+defineGauge('dmosh_media_upload_cache_hit_ratio', 'Share of verified uploads whose file was already stored.', () => {
+  const cached = uploads.get({ result: 'cached' });
+  const total = cached + uploads.get({ result: 'stored' });
+  return [{ labels: {}, value: total > 0 ? cached / total : 0 }];
+});
+
+// jobId -> { startedAt, mediaSeconds } while a render runs
+const RENDERS = new Map();
+
+function getErrorLabel(error) {
+  if (!error) return '';
+  return ERROR_CODE_PATTERN.test(error) ? error : 'ffmpeg_error';
+}
+
+function recordRenderStarted(jobId, mediaSeconds) {
+  RENDERS.set(jobId, { startedAt: Date.now(), mediaSeconds });
+}
+
+/** Counts a job that reached a terminal status and times it when it rendered. */
+function recordJobFinished(job) {
+  jobsFinished.inc({ status: job.status, error: getErrorLabel(job.error) });
+
+  const render = RENDERS.get(job.id);
+  RENDERS.delete(job.id);
+  if (!render || job.status !== 'complete') return;
+  const seconds = Math.max(0.001, (Date.now() - render.startedAt) / 1000);
+  renderDuration.observe({ quality: job.quality }, seconds);
+  if (render.mediaSeconds > 0) {
+    realtimeFactor.observe({ quality: job.quality }, render.mediaSeconds / seconds);
+  }
+}
+
+function recordUpload({ bytes, cached }) {
+  const labels = { result: cached ? 'cached' : 'stored' };
+  uploads.inc(labels);
+  uploadBytes.inc(labels, bytes);
+}
+
+module.exports = {
+  defineCounter,
+  defineGauge,
+  defineHistogram,
+  defineDiskUsageGauge,
+  renderMetrics,
+  getDirectorySize,
+  recordRenderStarted,
+  recordJobFinished,
+  recordUpload,
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+
+// Packet-level datamosh on an MPEG-4 Part 2 elementary stream (ffmpeg's
+// `-c:v mpeg4 -f m4v`). Each picture starts with a VOP start code
+// (00 00 01 B6) and the top two bits of the following byte give its coding
+// type. Rewriting the packet sequence before decoding makes the decoder apply
+// P-frame motion to the wrong reference, which is where the real smear and
+// bloom come from.
+//
+// The transform always emits exactly one packet per input packet, so the
+// moshed stream keeps its length and stays in sync with the untouched audio:
+// a removed packet is replaced by a repeat of the previous output packet, and
+// a repeated packet takes the place of the packets that follow it.
+
+const VOP_START_CODE = 0xb6;
+const VOP_TYPES = ['I', 'P', 'B', 'S'];
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+function findVopStart(buffer, from) {
+  for (let i = Math.max(0, from); i + 4 < buffer.length; i += 1) {
+    if (buffer[i] === 0 && buffer[i + 1] === 0 && buffer[i + 2] === 1 && buffer[i + 3] === VOP_START_CODE) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function getVopType(packet) {
+  return VOP_TYPES[packet[4] >> 6];
+}
+
+/**
+ * Returns a function mapping each `{ type, data }` packet (in stream order) to
+ * the packet that should be written in its place. `operations` come from
+ * getPacketMoshOptions: `DropIntraFrames` (I-frames after the first),
+ * `DropPredictedFrames`, `HoldReferenceFrame` (repeat the first P-frame after
+ * each I-frame `repeat` times) and `DuplicatePredictedFrames` (repeat every
+ * P-frame), each active for packets `startIndex` up to `endIndex` (exclusive,
+ * null for open-ended). A repeat never covers a kept I-frame.
+ */
+function createPacketMosher({ operations = [] } = {}) {
+  let previous = null;
+  let repeatPacket = null;
+  let repeatsLeft = 0;
+  let repeatEnd = Infinity;
+  let afterIntra = false;
+  let index = 0;
+
+  const activeOperation = (type, at) =>
+    operations.find((op) => op.type === type && at >= (op.startIndex || 0) && at < (op.endIndex ?? Infinity));
+
+  return function mosh(packet) {
+    const at = index;
+    index += 1;
+
+    // Repeats stop at the end of the operation's range, and at the next
+    // I-frame unless I-frames are being dropped there
+    if (
+      repeatsLeft > 0 &&
+      repeatPacket &&
+      at < repeatEnd &&
+      (packet.type !== 'I' || activeOperation('DropIntraFrames', at))
+    ) {
+      repeatsLeft -= 1;
+      // A swallowed I-frame still starts a new hold
+      if (packet.type === 'I') afterIntra = true;
+      previous = repeatPacket;
+      return repeatPacket;
+    }
+    repeatsLeft = 0;
+
+    // Matches the filter engine: dropping I-frames takes precedence
+    const dropIntra = activeOperation('DropIntraFrames', at);
+    const dropPredicted = !dropIntra && activeOperation('DropPredictedFrames', at);
+
+    let output = packet.data;
+    if (at > 0 && previous) {
+      if ((packet.type === 'I' && dropIntra) || (packet.type === 'P' && dropPredicted)) {
+        output = previous;
+      }
+    }
+
+    if (packet.type === 'I') {
+      afterIntra = true;
+    } else if (packet.type === 'P' && output === packet.data) {
+      const repeatOp =
+        (afterIntra && activeOperation('HoldReferenceFrame', at)) || activeOperation('DuplicatePredictedFrames', at);
+      if (repeatOp) {
+        repeatPacket = output;
+        repeatsLeft = repeatOp.repeat;
+        repeatEnd = repeatOp.endIndex ?? Infinity;
+      }
+      afterIntra = false;
+    }
+
+    previous = output;
+    return output;
+  };
+}
+
+/**
+ * Streams `inputPath` through createPacketMosher into `outputPath`. Only the
+ * current packet and the one being repeated are held in memory. Resolves with
+ * packet counts for the job's debug trail.
+ */
+function moshElementaryStream(inputPath, outputPath, options) {
+  const mosh = createPacketMosher(options);
+  const stats = { packets: 0, intra: 0, predicted: 0, replaced: 0 };
+
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(inputPath, { highWaterMark: READ_CHUNK_BYTES });
+    const output = fs.createWriteStream(outputPath);
+    let pending = Buffer.alloc(0);
+    let headerWritten = false;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      input.destroy();
+      output.destroy();
+      reject(err);
+    };
+
+    const writePacket = (data) => {
+      const type = getVopType(data);
+      stats.packets += 1;
+      if (type === 'I') stats.intra += 1;
+      if (type === 'P') stats.predicted += 1;
+      const moshed = mosh({ type, data });
+      if (moshed !== data) stats.replaced += 1;
+      return output.write(moshed);
+    };
+
+    // Splits `pending` into complete packets; with `flush` the tail is final.
+    const drainPackets = (flush) => {
+      let start = findVopStart(pending, 0);
+      if (start === -1) {
+        if (flush && pending.length > 0) output.write(pending);
+        if (flush) pending = Buffer.alloc(0);
+        return true;
+      }
+
+      if (!headerWritten) {
+        // VOS/VOL headers before the first picture pass through untouched
+        output.write(pending.subarray(0, start));
+        headerWritten = true;
+      }
+
+      let writable = true;
+      for (;;) {
+        const next = findVopStart(pending, start + 4);
+        if (next === -1) break;
+        writable = writePacket(Buffer.from(pending.subarray(start, next))) && writable;
+        start = next;
+      }
+
+      if (flush) {
+        writable = writePacket(Buffer.from(pending.subarray(start))) && writable;
+        pending = Buffer.alloc(0);
+      } else {
+        pending = pending.subarray(start);
+      }
+      return writable;
+    };
+
+    input.on('data', (chunk) => {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      if (!drainPackets(false)) {
+        input.pause();
+        output.once('drain', () => input.resume());
+      }
+    });
+    input.on('error', fail);
+    output.on('error', fail);
+    input.on('end', () => {
+      if (failed) return;
+      drainPackets(true);
+      output.end(() => resolve(stats));
+    });
+  });
+}
+
+module.exports = {
+  createPacketMosher,
+  moshElementaryStream,
+  getVopType,
+};
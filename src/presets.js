@@ -0,0 +1,145 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// Named export settings. `settings.preset` on POST /exports picks one; any
+// top-level field the request also sets wins over the preset's value.
+//
+// Operators can add presets (or replace built-in ones by id) with a JSON file
+// named by PRESETS_FILE, shaped like BUILT_IN_PRESETS:
+//
+//   { "archive_h265": { "label": "...", "description": "...", "settings": { ... } } }
+
+const BUILT_IN_PRESETS = {
+  web_h264_1080p: {
+    label: 'Web H.264 1080p',
+    description: 'H.264/AAC MP4 at 1920x1080 that plays everywhere.',
+    settings: {
+      container: 'mp4',
+      videoCodec: 'h264',
+      audioCodec: 'aac',
+      pixelFormat: 'yuv420p',
+      rateControl: { mode: 'crf', value: 20 },
+      outputResolution: 'custom',
+      width: 1920,
+      height: 1080,
+    },
+  },
+  social_square: {
+    label: 'Square social',
+    description: 'H.264/AAC MP4 at 1080x1080 and 30 fps for social feeds.',
+    settings: {
+      container: 'mp4',
+      videoCodec: 'h264',
+      audioCodec: 'aac',
+      pixelFormat: 'yuv420p',
+      rateControl: { mode: 'crf', value: 21 },
+      outputResolution: 'custom',
+      width: 1080,
+      height: 1080,
+      fpsMode: 'override',
+      fps: 30,
+    },
+  },
+  webm_vp9: {
+    label: 'VP9 WebM',
+    description: 'VP9/Opus WebM at the project resolution.',
+    settings: {
+      container: 'webm',
+      videoCodec: 'vp9',
+      audioCodec: 'opus',
+      pixelFormat: 'yuv420p',
+      rateControl: { mode: 'bitrate', kbps: 4000 },
+    },
+  },
+  prores_master: {
+    label: 'ProRes master',
+    description: 'ProRes 422 HQ MOV with PCM audio at the project resolution, for finishing.',
+    settings: {
+      container: 'mov',
+      videoCodec: 'prores_422_hq',
+      audioCodec: 'pcm_s16le',
+      pixelFormat: 'yuv422p10le',
+    },
+  },
+};
+
+function isValidPreset(preset) {
+  return Boolean(preset) && typeof preset === 'object' && preset.settings && typeof preset.settings === 'object';
+}
+
+function readPresetsFile(filePath) {
+  if (!filePath) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger.warn('unreadable_presets_file', { filePath, errorMessage: err.message });
+    return {};
+  }
+
+  const presets = {};
+  for (const [id, preset] of Object.entries(parsed || {})) {
+    if (!isValidPreset(preset)) {
+      logger.warn('invalid_preset_ignored', { preset: id });
+      continue;
+    }
+    presets[id] = preset;
+  }
+  return presets;
+}
+
+/**
+ * Registry of the built-in presets plus those in `file`. Presets are returned
+ * as `{ id, label, description, source, settings }`.
+ */
+function createPresetRegistry({ file } = {}) {
+  const presets = new Map();
+  const add = (entries, source) => {
+    for (const [id, preset] of Object.entries(entries)) {
+      presets.set(id, {
+        id,
+        label: preset.label || id,
+        description: preset.description || null,
+        source,
+        settings: { ...preset.settings },
+      });
+    }
+  };
+  add(BUILT_IN_PRESETS, 'built_in');
+  add(readPresetsFile(file), 'config');
+
+  function get(id) {
+    return presets.get(id) || null;
+  }
+
+  function list() {
+    return Array.from(presets.values());
+  }
+
+  /**
+   * `settings` with its preset expanded underneath it. Returns `{ settings }`,
+   * or `{ error: 'unknown_preset' }` when the id is not registered. Settings
+   * without a preset are returned unchanged.
+   */
+  function expand(settings) {
+    if (!settings || settings.preset === undefined || settings.preset === null) return { settings };
+    const preset = get(settings.preset);
+    if (!preset) return { error: 'unknown_preset' };
+    return { settings: { ...preset.settings, ...settings } };
+  }
+
+  return {
+    get,
+    list,
+    expand,
+  };
+}
+
+// The service's registry, loaded once at startup
+const presetRegistry = createPresetRegistry({ file: process.env.PRESETS_FILE });
+
+module.exports = {
+  BUILT_IN_PRESETS,
+  createPresetRegistry,
+  presetRegistry,
+};
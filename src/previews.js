@@ -0,0 +1,97 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Preview images made from a finished render, for the export history:
+//
+//   thumbnail      poster frame (JPEG), `settings.previews.posterFrame` or the
+//                  export's middle frame
+//   animated       short looping GIF of frames sampled across the export
+//   contactSheet   JPEG grid of frames sampled across the export
+//
+// `settings.previews: false` skips them. The thumbnail and animated preview
+// are at most PREVIEW_WIDTH pixels wide; contact-sheet tiles half that.
+
+const PREVIEW_FILES = {
+  thumbnail: { fileName: 'thumbnail.jpg', mimeType: 'image/jpeg' },
+  animated: { fileName: 'preview.gif', mimeType: 'image/gif' },
+  contactSheet: { fileName: 'contact-sheet.jpg', mimeType: 'image/jpeg' },
+};
+
+const PREVIEW_WIDTH = 320;
+const ANIMATED_FRAMES = 12;
+const ANIMATED_FPS = 4;
+const CONTACT_SHEET_COLUMNS = 4;
+const CONTACT_SHEET_ROWS = 4;
+
+const scaleFilter = `scale='min(${PREVIEW_WIDTH},iw)':-2`;
+
+/**
+ * What to generate for an export of `frameCount` frames starting at timeline
+ * frame `startFrame`, or null when previews are off. `posterSeconds`
+ * is the poster frame's time in the output; `posterClamped` is set when the
+ * requested frame was outside the export.
+ */
+function getPreviewPlan(settings, { startFrame, frameCount, timelineFps }) {
+  if (settings?.previews === false) return null;
+
+  const lastFrame = startFrame + Math.max(1, frameCount) - 1;
+  const requested = Number(settings?.previews?.posterFrame);
+  const hasRequest = Number.isFinite(requested);
+  const middleFrame = startFrame + Math.floor((lastFrame - startFrame) / 2);
+  const posterFrame = hasRequest ? Math.min(lastFrame, Math.max(startFrame, Math.round(requested))) : middleFrame;
+
+  return {
+    posterFrame,
+    posterClamped: hasRequest && posterFrame !== Math.round(requested),
+    posterSeconds: (posterFrame - startFrame) / timelineFps,
+    frameCount: Math.max(1, frameCount),
+  };
+}
+
+// Keeps every nth frame so about `count` frames survive across the export
+function sampleFilter(frameCount, count) {
+  const step = Math.max(1, Math.ceil(frameCount / count));
+  return `select='not(mod(n\\,${step}))'`;
+}
+
+function createInput(input) {
+  return ffmpeg(input.path).inputOptions(input.inputOptions || []);
+}
+
+/** Commands that write each preview, keyed like PREVIEW_FILES. */
+function buildPreviewCommands(input, plan) {
+  const { frameCount } = plan;
+
+  const thumbnail = createInput(input)
+    .seekInput(plan.posterSeconds.toFixed(6))
+    .outputOptions(['-frames:v 1', '-q:v 3'])
+    .videoFilters([scaleFilter]);
+
+  const animated = createInput(input)
+    .complexFilter(
+      [
+        `[0:v]${sampleFilter(frameCount, ANIMATED_FRAMES)},${scaleFilter},setpts=N/(${ANIMATED_FPS}*TB),split[a][b]`,
+        '[a]palettegen[p]',
+        '[b][p]paletteuse[out]',
+      ],
+      'out',
+    )
+    .outputOptions([`-r ${ANIMATED_FPS}`, '-loop 0'])
+    .videoCodec('gif');
+
+  const tiles = CONTACT_SHEET_COLUMNS * CONTACT_SHEET_ROWS;
+  const contactSheet = createInput(input)
+    .videoFilters([
+      sampleFilter(frameCount, tiles),
+      `scale='min(${Math.round(PREVIEW_WIDTH / 2)},iw)':-2`,
+      `tile=${CONTACT_SHEET_COLUMNS}x${CONTACT_SHEET_ROWS}:padding=2`,
+    ])
+    .outputOptions(['-frames:v 1', '-q:v 3']);
+
+  return { thumbnail, animated, contactSheet };
+}
+
+module.exports = {
+  PREVIEW_FILES,
+  getPreviewPlan,
+  buildPreviewCommands,
+};
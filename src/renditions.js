@@ -0,0 +1,109 @@
+// Multi-rendition exports: `settings.outputs` lists several files one job
+// produces, e.g. a ProRes master, an H.264 web copy and a GIF. The source is
+// decoded and filtered (timeline, datamosh, watermark, audio mix) once and the
+// result is split into one encoder per rendition inside a single ffmpeg run.
+// Each entry needs a unique `name` and may set the encoding settings below;
+// they override the top-level settings, which every rendition shares:
+//
+//   container, videoCodec, audioCodec, pixelFormat, rateControl, includeAudio,
+//   animation, imageSequence, hls, preset (expanded like settings.preset)
+//
+// Renditions share the resolution; one that caps its frame rate (animated
+// images) is re-timed on its own output.
+
+const MAX_RENDITIONS = 8;
+const RENDITION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+const RENDITION_KEYS = [
+  'container',
+  'videoCodec',
+  'audioCodec',
+  'pixelFormat',
+  'rateControl',
+  'includeAudio',
+  'animation',
+  'imageSequence',
+  'hls',
+];
+
+function hasRenditions(settings) {
+  return settings?.outputs !== undefined && settings?.outputs !== null;
+}
+
+function isValidRenditionName(name) {
+  return typeof name === 'string' && RENDITION_NAME_PATTERN.test(name);
+}
+
+/**
+ * The settings each rendition renders with: the shared settings with the
+ * rendition's own encoding settings on top. `errors` describes an unusable
+ * `outputs` list; keys a rendition cannot change are ignored with a warning.
+ */
+function getRenditionSettings(settings) {
+  const errors = [];
+  const warnings = [];
+  const { outputs, ...shared } = settings || {};
+
+  if (!Array.isArray(outputs) || outputs.length === 0) {
+    errors.push({ code: 'invalid_outputs', details: { reason: 'empty' } });
+    return { errors, warnings, renditions: [] };
+  }
+  if (outputs.length > MAX_RENDITIONS) {
+    errors.push({ code: 'invalid_outputs', details: { reason: 'too_many', max: MAX_RENDITIONS } });
+    return { errors, warnings, renditions: [] };
+  }
+
+  const names = new Set();
+  const renditions = [];
+  outputs.forEach((output, index) => {
+    const name = output?.name;
+    if (!isValidRenditionName(name)) {
+      errors.push({ code: 'invalid_outputs', details: { reason: 'invalid_name', index } });
+      return;
+    }
+    if (names.has(name)) {
+      errors.push({ code: 'invalid_outputs', details: { reason: 'duplicate_name', name } });
+      return;
+    }
+    names.add(name);
+
+    const own = {};
+    const ignored = [];
+    for (const [key, value] of Object.entries(output)) {
+      if (RENDITION_KEYS.includes(key)) own[key] = value;
+      else if (key !== 'name' && key !== 'preset') ignored.push(key);
+    }
+    if (ignored.length > 0) {
+      warnings.push({ code: 'output_settings_ignored', output: name, keys: ignored });
+    }
+    renditions.push({ name, settings: { ...shared, ...own } });
+  });
+
+  return { errors, warnings, renditions };
+}
+
+/**
+ * Filters that fan a graph's `video` output out to one encoder per entry of
+ * `withAudio`, and its `audio` output (when given) to the entries that are
+ * true. Returns the filters plus each rendition's video and audio label; the
+ * audio label is null for renditions without audio.
+ */
+function buildSplitFilters({ video, audio, withAudio }) {
+  const videoLabels = withAudio.map((_, k) => `${video}${k}`);
+  const audioLabels = withAudio.map((hasAudio, k) => (audio && hasAudio ? `${audio}${k}` : null));
+  const filters = [`[${video}]split=${videoLabels.length}${videoLabels.map((l) => `[${l}]`).join('')}`];
+  const audioOutputs = audioLabels.filter(Boolean);
+  if (audioOutputs.length > 0) {
+    filters.push(`[${audio}]asplit=${audioOutputs.length}${audioOutputs.map((l) => `[${l}]`).join('')}`);
+  }
+  return { filters, video: videoLabels, audio: audioLabels };
+}
+
+module.exports = {
+  MAX_RENDITIONS,
+  RENDITION_KEYS,
+  hasRenditions,
+  isValidRenditionName,
+  getRenditionSettings,
+  buildSplitFilters,
+};
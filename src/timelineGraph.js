@@ -0,0 +1,284 @@
+// Builds ffmpeg filter graphs for multi-clip timelines. Clip frame ranges are
+// inclusive (`endFrame - startFrame + 1` frames), matching the way
+// computeDurationFrames measures clip and timeline lengths. The graphs here
+// are video only; audioMix.js mixes the timeline's audio.
+
+function getTimelineFps(project) {
+  const fps = project?.timeline?.fps ?? project?.settings?.fps ?? 24;
+  return Number.isFinite(fps) && fps > 0 ? fps : 24;
+}
+
+function getClipLengthFrames(clip) {
+  if (!clip) return 0;
+  const start = clip.startFrame || 0;
+  const end = typeof clip.endFrame === 'number' ? clip.endFrame : start;
+  return Math.max(0, end - start + 1);
+}
+
+function sortClipsByTimelineStart(clips) {
+  return [...(clips || [])].sort((a, b) => (a.timelineStartFrame || 0) - (b.timelineStartFrame || 0));
+}
+
+function computeTimelineWindow(project, settings) {
+  const sourceRef = settings?.source || { kind: 'timeline' };
+  const clips = project?.timeline?.clips || [];
+
+  if (typeof sourceRef.inFrame === 'number' && typeof sourceRef.outFrame === 'number') {
+    return {
+      startFrame: sourceRef.inFrame,
+      endFrame: Math.max(sourceRef.inFrame, sourceRef.outFrame),
+    };
+  }
+
+  if (clips.length === 0) {
+    return { startFrame: 0, endFrame: 0 };
+  }
+
+  const startFrame = Math.min(...clips.map((c) => c.timelineStartFrame || 0));
+  const endFrame = Math.max(...clips.map((c) => (c.timelineStartFrame || 0) + getClipLengthFrames(c) - 1));
+  return { startFrame, endFrame: Math.max(startFrame, endFrame) };
+}
+
+/**
+ * Timeline frame that lands at output time zero: the clip's timeline start for
+ * clip exports, the window start (as in computeDurationFrames) for timelines.
+ * Source exports are not on the timeline, so their frames map one-to-one.
+ */
+function getExportStartFrame(project, settings) {
+  const sourceRef = settings?.source || { kind: 'timeline' };
+  if (sourceRef.kind === 'clip') {
+    const clip = (project?.timeline?.clips || []).find((c) => c.id === sourceRef.clipId);
+    return clip ? clip.timelineStartFrame || 0 : 0;
+  }
+  if (sourceRef.kind === 'source') return 0;
+  return computeTimelineWindow(project, settings).startFrame;
+}
+
+/**
+ * Walks the timeline in `timelineStartFrame` order and returns a flat list of
+ * segments covering the export window. Uncovered ranges become `gap` segments;
+ * where clips overlap, the earlier clip keeps the frames it already covers.
+ */
+function buildTimelineSegments(project, settings) {
+  const window = computeTimelineWindow(project, settings);
+  const windowEnd = window.endFrame + 1;
+  const segments = [];
+  let cursor = window.startFrame;
+
+  for (const clip of sortClipsByTimelineStart(project?.timeline?.clips)) {
+    const clipStart = clip.timelineStartFrame || 0;
+    const clipEnd = clipStart + getClipLengthFrames(clip);
+    const visibleStart = Math.max(clipStart, cursor);
+    const visibleEnd = Math.min(clipEnd, windowEnd);
+    if (visibleEnd <= visibleStart) continue;
+
+    if (visibleStart > cursor) {
+      segments.push({ type: 'gap', frames: visibleStart - cursor });
+    }
+
+    segments.push({
+      type: 'clip',
+      clipId: clip.id || null,
+      sourceId: clip.sourceId || null,
+      sourceStartFrame: (clip.startFrame || 0) + (visibleStart - clipStart),
+      frames: visibleEnd - visibleStart,
+    });
+    cursor = visibleEnd;
+  }
+
+  if (cursor < windowEnd) {
+    segments.push({ type: 'gap', frames: windowEnd - cursor });
+  }
+
+  return segments;
+}
+
+function getTrackRanks(project) {
+  const ranks = new Map();
+  (project?.timeline?.tracks || []).forEach((track, position) => {
+    if (!track || track.id === undefined) return;
+    ranks.set(track.id, typeof track.index === 'number' ? track.index : position);
+  });
+  return ranks;
+}
+
+function getClipTrackRank(clip, ranks) {
+  if (!clip || clip.trackId === undefined || !ranks.has(clip.trackId)) return 0;
+  return ranks.get(clip.trackId);
+}
+
+/**
+ * Reads the compositing properties the editor stores on a clip: `opacity`
+ * (0-1), `scale` (relative to fitting the canvas) and `position` ({ x, y },
+ * top-left corner in project pixels). Missing values mean "fit and centre".
+ */
+function getClipTransform(clip) {
+  const opacity = Number.isFinite(clip?.opacity) ? Math.min(1, Math.max(0, clip.opacity)) : 1;
+  const scale = Number.isFinite(clip?.scale) && clip.scale > 0 ? clip.scale : 1;
+  const x = Number.isFinite(clip?.position?.x) ? clip.position.x : null;
+  const y = Number.isFinite(clip?.position?.y) ? clip.position.y : null;
+  return { opacity, scale, x, y };
+}
+
+function hasClipTransform(clip) {
+  const { opacity, scale, x, y } = getClipTransform(clip);
+  return opacity !== 1 || scale !== 1 || x !== null || y !== null;
+}
+
+/**
+ * Returns one layer per visible clip, ordered bottom-to-top: by track rank
+ * (array position in `timeline.tracks`, or `track.index`), then by
+ * `timelineStartFrame`. Each layer is offset from the start of the export
+ * window rather than cut against its neighbours.
+ */
+function buildTimelineLayers(project, settings) {
+  const window = computeTimelineWindow(project, settings);
+  const windowEnd = window.endFrame + 1;
+  const ranks = getTrackRanks(project);
+  const layers = [];
+
+  for (const clip of sortClipsByTimelineStart(project?.timeline?.clips)) {
+    const clipStart = clip.timelineStartFrame || 0;
+    const clipEnd = clipStart + getClipLengthFrames(clip);
+    const visibleStart = Math.max(clipStart, window.startFrame);
+    const visibleEnd = Math.min(clipEnd, windowEnd);
+    if (visibleEnd <= visibleStart) continue;
+
+    layers.push({
+      clipId: clip.id || null,
+      sourceId: clip.sourceId || null,
+      trackRank: getClipTrackRank(clip, ranks),
+      sourceStartFrame: (clip.startFrame || 0) + (visibleStart - clipStart),
+      offsetFrames: visibleStart - window.startFrame,
+      frames: visibleEnd - visibleStart,
+      transform: getClipTransform(clip),
+    });
+  }
+
+  // Array.prototype.sort is stable, so clips on one track keep timeline order.
+  layers.sort((a, b) => a.trackRank - b.trackRank);
+
+  return {
+    layers,
+    durationFrames: windowEnd - window.startFrame,
+  };
+}
+
+function formatSeconds(seconds) {
+  return String(Number(Math.max(0, seconds).toFixed(6)));
+}
+
+/**
+ * Turns timeline segments into a concat graph. `inputs` holds one entry per
+ * clip segment (in segment order) with the ffmpeg input index; clip inputs
+ * are expected to be pre-trimmed with `-ss`/`-t` input options.
+ */
+function buildTimelineFilterGraph({ segments, inputs, width, height, fps, timelineFps, postFilters }) {
+  const filters = [];
+  const concatPads = [];
+  const normalizeVideo = [
+    `fps=${fps}`,
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+    'setsar=1',
+    'format=yuv420p',
+  ].join(',');
+
+  let clipIndex = 0;
+  segments.forEach((segment, k) => {
+    const duration = formatSeconds(segment.frames / timelineFps);
+
+    if (segment.type === 'clip') {
+      const input = inputs[clipIndex];
+      clipIndex += 1;
+      filters.push(`[${input.index}:v]setpts=PTS-STARTPTS,${normalizeVideo}[v${k}]`);
+    } else {
+      filters.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${duration},setsar=1,format=yuv420p[v${k}]`);
+    }
+
+    concatPads.push(`[v${k}]`);
+  });
+
+  const videoLabel = postFilters && postFilters.length > 0 ? 'vcat' : 'vout';
+  filters.push(`${concatPads.join('')}concat=n=${segments.length}:v=1:a=0[${videoLabel}]`);
+
+  if (videoLabel === 'vcat') {
+    filters.push(`[vcat]${postFilters.join(',')}[vout]`);
+  }
+
+  return {
+    filters,
+    outputs: ['vout'],
+  };
+}
+
+/**
+ * Composites timeline layers over a black canvas with one overlay per layer,
+ * so higher tracks draw over lower ones. `inputs` holds one entry per layer
+ * (same order) and `canvasScale` maps project pixels to output pixels.
+ */
+function buildCompositeFilterGraph({
+  layers,
+  inputs,
+  durationFrames,
+  width,
+  height,
+  fps,
+  timelineFps,
+  canvasScale,
+  postFilters,
+}) {
+  const filters = [];
+  const totalDuration = formatSeconds(durationFrames / timelineFps);
+  const pixelScale = Number.isFinite(canvasScale) && canvasScale > 0 ? canvasScale : 1;
+
+  filters.push(`color=c=black:s=${width}x${height}:r=${fps}:d=${totalDuration},format=yuv420p[base]`);
+
+  let canvas = 'base';
+  layers.forEach((layer, k) => {
+    const input = inputs[k];
+    const { opacity, scale, x, y } = layer.transform;
+    const offset = formatSeconds(layer.offsetFrames / timelineFps);
+    const layerWidth = Math.max(2, Math.round(width * scale));
+    const layerHeight = Math.max(2, Math.round(height * scale));
+
+    const chain = [
+      'setpts=PTS-STARTPTS',
+      `fps=${fps}`,
+      `scale=w=${layerWidth}:h=${layerHeight}:force_original_aspect_ratio=decrease`,
+      'setsar=1',
+      'format=yuva420p',
+    ];
+    if (opacity < 1) {
+      chain.push(`colorchannelmixer=aa=${opacity}`);
+    }
+    chain.push(`setpts=PTS+${offset}/TB`);
+    filters.push(`[${input.index}:v]${chain.join(',')}[l${k}]`);
+
+    const overlayX = x === null ? '(W-w)/2' : String(Math.round(x * pixelScale));
+    const overlayY = y === null ? '(H-h)/2' : String(Math.round(y * pixelScale));
+    filters.push(`[${canvas}][l${k}]overlay=x=${overlayX}:y=${overlayY}:eof_action=pass[c${k}]`);
+    canvas = `c${k}`;
+  });
+
+  filters.push(`[${canvas}]${['format=yuv420p', ...(postFilters || [])].join(',')}[vout]`);
+
+  return {
+    filters,
+    outputs: ['vout'],
+  };
+}
+
+module.exports = {
+  getTimelineFps,
+  getClipLengthFrames,
+  computeTimelineWindow,
+  getExportStartFrame,
+  buildTimelineSegments,
+  buildTimelineFilterGraph,
+  getTrackRanks,
+  getClipTransform,
+  hasClipTransform,
+  buildTimelineLayers,
+  buildCompositeFilterGraph,
+};
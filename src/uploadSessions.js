@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, finished, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+// Resumable uploads. Each session lives in `dir/<id>/` as a `session.json`
+// plus one `<index>.chunk` file per received chunk, so a client that loses
+// its connection (or a server that restarts) can ask which chunks arrived and
+// send only the rest. Chunks are written to a temporary name and renamed into
+// place, so a chunk file that exists is always complete.
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function chunkFileName(index) {
+  return `${String(index).padStart(6, '0')}.chunk`;
+}
+
+function getExpectedChunkSize(session, index) {
+  if (index < session.totalChunks - 1) return session.chunkSize;
+  return session.size - session.chunkSize * (session.totalChunks - 1);
+}
+
+/**
+ * Upload session store rooted at `dir`. Sessions untouched for `maxAgeMs` are
+ * removed the next time a session is created.
+ */
+function createUploadSessionStore({ dir, maxAgeMs = DEFAULT_MAX_AGE_MS }) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const sessionDir = (id) => path.join(dir, id);
+  const sessionFile = (id) => path.join(sessionDir(id), 'session.json');
+
+  function get(id) {
+    if (!SESSION_ID_PATTERN.test(id || '')) return null;
+    try {
+      return JSON.parse(fs.readFileSync(sessionFile(id), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function touch(session) {
+    session.updatedAt = new Date().toISOString();
+    fs.writeFileSync(sessionFile(session.id), JSON.stringify(session));
+  }
+
+  function remove(id) {
+    if (!SESSION_ID_PATTERN.test(id || '')) return;
+    fs.rmSync(sessionDir(id), { recursive: true, force: true });
+  }
+
+  function pruneStale() {
+    const cutoff = Date.now() - maxAgeMs;
+    for (const id of fs.readdirSync(dir)) {
+      const session = get(id);
+      const updatedAt = session ? Date.parse(session.updatedAt) : 0;
+      if (!session || updatedAt < cutoff) remove(id);
+    }
+  }
+
+  /**
+   * Starts a session for a file of `size` bytes expected to hash to `hash`.
+   * `chunkSize` is clamped to the supported range.
+   */
+  function create({ hash, size, ext, originalName, chunkSize }) {
+    pruneStale();
+
+    const requested = Math.round(Number(chunkSize));
+    const effectiveChunkSize = Number.isFinite(requested) && requested > 0
+      ? Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, requested))
+      : DEFAULT_CHUNK_SIZE;
+
+    const now = new Date().toISOString();
+    const session = {
+      id: uuidv4(),
+      hash,
+      size,
+      ext: ext || '',
+      originalName: originalName || null,
+      chunkSize: effectiveChunkSize,
+      totalChunks: Math.max(1, Math.ceil(size / effectiveChunkSize)),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    fs.mkdirSync(sessionDir(session.id), { recursive: true });
+    fs.writeFileSync(sessionFile(session.id), JSON.stringify(session));
+    return session;
+  }
+
+  function listReceived(session) {
+    const received = [];
+    for (let index = 0; index < session.totalChunks; index += 1) {
+      if (fs.existsSync(path.join(sessionDir(session.id), chunkFileName(index)))) {
+        received.push(index);
+      }
+    }
+    return received;
+  }
+
+  /**
+   * Streams one chunk to disk. Rejects with `chunk_out_of_range`,
+   * `chunk_size_mismatch` or, as soon as it runs past its size,
+   * `chunk_too_large` (the chunk is discarded and can be re-sent). An
+   * oversized `input` is left paused rather than destroyed, so the caller
+   * can still answer on its connection. Re-sending a chunk that already
+   * arrived replaces it.
+   */
+  function writeChunk(session, index, input) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      input.resume();
+      return Promise.reject(new Error('chunk_out_of_range'));
+    }
+
+    const expected = getExpectedChunkSize(session, index);
+    const finalPath = path.join(sessionDir(session.id), chunkFileName(index));
+    const tempPath = `${finalPath}.${uuidv4()}.tmp`;
+    let received = 0;
+
+    return new Promise((resolve, reject) => {
+      // `input` stays out of the pipeline, which would destroy it on error
+      const limited = new PassThrough();
+      const output = fs.createWriteStream(tempPath);
+      input.pipe(limited);
+      input.on('data', (data) => {
+        received += data.length;
+        if (received > expected) {
+          input.unpipe(limited);
+          input.pause();
+          limited.destroy(new Error('chunk_too_large'));
+        }
+      });
+      finished(input, (err) => {
+        if (err) limited.destroy(err);
+      });
+
+      pipeline(limited, output, (err) => {
+        if (err || received !== expected) {
+          fs.rmSync(tempPath, { force: true });
+          reject(err || new Error('chunk_size_mismatch'));
+          return;
+        }
+        fs.renameSync(tempPath, finalPath);
+        touch(session);
+        resolve({ index, size: received });
+      });
+    });
+  }
+
+  /**
+   * Concatenates every chunk, in order, into `destPath`. Rejects with
+   * `chunks_missing` (and `err.missing`) when the session is incomplete.
+   */
+  function assemble(session, destPath) {
+    const received = new Set(listReceived(session));
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index += 1) {
+      if (!received.has(index)) missing.push(index);
+    }
+    if (missing.length > 0) {
+      const err = new Error('chunks_missing');
+      err.missing = missing;
+      return Promise.reject(err);
+    }
+
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(destPath);
+      let index = 0;
+
+      const fail = (err) => {
+        output.destroy();
+        fs.rmSync(destPath, { force: true });
+        reject(err);
+      };
+
+      const next = () => {
+        if (index >= session.totalChunks) {
+          output.end(() => resolve(destPath));
+          return;
+        }
+        const chunk = fs.createReadStream(path.join(sessionDir(session.id), chunkFileName(index)));
+        index += 1;
+        chunk.on('error', fail);
+        chunk.on('end', next);
+        chunk.pipe(output, { end: false });
+      };
+
+      output.on('error', fail);
+      next();
+    });
+  }
+
+  return {
+    dir,
+    get,
+    create,
+    remove,
+    listReceived,
+    getExpectedChunkSize,
+    writeChunk,
+    assemble,
+  };
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  createUploadSessionStore,
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// Completion webhooks: a job created with `callbackUrl` POSTs a JSON payload
+// there once it is complete, failed or cancelled. The body is signed with
+// HMAC-SHA256 under WEBHOOK_SECRET and sent as
+//
+//   X-Export-Signature: sha256=<hex digest of the raw body>
+//   X-Export-Delivery:  <id, the same for every attempt of one delivery>
+//
+// Network errors, timeouts and 408/429/5xx responses are retried with
+// exponential backoff; any other response ends the delivery.
+//
+//   WEBHOOK_SECRET        signing secret; callbacks are refused without it
+//   WEBHOOK_MAX_ATTEMPTS  attempts per delivery (default 6)
+//   WEBHOOK_RETRY_MS      delay before the first retry, doubled after each
+//                         (default 2000, capped at 5 minutes)
+//   WEBHOOK_TIMEOUT_MS    per-attempt timeout (default 10000)
+
+const SIGNATURE_HEADER = 'X-Export-Signature';
+const DELIVERY_HEADER = 'X-Export-Delivery';
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+function toPositiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function getWebhookConfig(env = process.env) {
+  return {
+    secret: env.WEBHOOK_SECRET || null,
+    maxAttempts: Math.max(1, Math.floor(toPositiveNumber(env.WEBHOOK_MAX_ATTEMPTS, 6))),
+    retryBaseMs: toPositiveNumber(env.WEBHOOK_RETRY_MS, 2000),
+    timeoutMs: toPositiveNumber(env.WEBHOOK_TIMEOUT_MS, 10000),
+  };
+}
+
+/** Whether `url` is an absolute http(s) URL a callback can be sent to. */
+function isValidCallbackUrl(url) {
+  if (typeof url !== 'string' || url.length > 2048) return false;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+function signWebhookBody(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/** Delay before retrying after failed attempt number `attempt` (1-based). */
+function getRetryDelayMs(attempt, retryBaseMs) {
+  return Math.min(MAX_RETRY_DELAY_MS, retryBaseMs * 2 ** (attempt - 1));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * What a callback reports about a finished job. Download URLs are paths on
+ * this service and need the X-Export-Token header like any other request.
+ */
+function buildWebhookPayload(job) {
+  const complete = job.status === 'complete';
+  return {
+    event: 'export.finished',
+    jobId: job.id,
+    status: job.status,
+    error: job.error || null,
+    quality: job.quality,
+    warnings: job.warnings || [],
+    finishedAt: job.updatedAt || new Date().toISOString(),
+    download: complete
+      ? {
+          url: `/exports/${job.id}/download`,
+          container: job.container,
+          outputs: job.outputs
+            ? job.outputs.map(({ name, container, status }) => ({
+                name,
+                container,
+                status,
+                url: status === 'complete' ? `/exports/${job.id}/outputs/${name}/download` : null,
+              }))
+            : null,
+        }
+      : null,
+  };
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * POSTs `payload` to `url` until it is accepted (2xx), rejected for good or
+ * `maxAttempts` run out. `onAttempt` is called after every attempt with
+ * `{ attempt, statusCode, errorMessage, durationMs, retryInMs }`. Resolves
+ * with `{ delivered, attempts }`; never rejects.
+ */
+async function deliverWebhook({ url, payload, secret, maxAttempts, retryBaseMs, timeoutMs, onAttempt = () => {} }) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    [SIGNATURE_HEADER]: signWebhookBody(body, secret),
+    [DELIVERY_HEADER]: crypto.randomUUID(),
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const startedAt = Date.now();
+    let statusCode = null;
+    let errorMessage = null;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      statusCode = response.status;
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+    } catch (err) {
+      errorMessage = err?.cause?.message || err?.message || 'request_failed';
+    }
+
+    const delivered = statusCode !== null && statusCode >= 200 && statusCode < 300;
+    const retryable = !delivered && (statusCode === null || isRetryableStatus(statusCode));
+    const retryInMs = retryable && attempt < maxAttempts ? getRetryDelayMs(attempt, retryBaseMs) : null;
+    onAttempt({ attempt, statusCode, errorMessage, durationMs: Date.now() - startedAt, retryInMs });
+
+    if (delivered) return { delivered: true, attempts: attempt };
+    if (retryInMs === null) return { delivered: false, attempts: attempt };
+    await wait(retryInMs);
+  }
+  return { delivered: false, attempts: maxAttempts };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DELIVERY_HEADER,
+  getWebhookConfig,
+  isValidCallbackUrl,
+  signWebhookBody,
+  getRetryDelayMs,
+  buildWebhookPayload,
+  deliverWebhook,
+};
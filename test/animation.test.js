@@ -0,0 +1,48 @@
+const assert = require('assert');
+
+const {
+  isAnimatedContainer,
+  getAnimatedCodec,
+  getAnimationOptions,
+  getLoopOptions,
+  getPaletteGenFilter,
+  getPaletteUseFilter,
+} = require('../src/animation');
+
+assert.strictEqual(isAnimatedContainer('gif'), true);
+assert.strictEqual(isAnimatedContainer('mp4'), false);
+assert.strictEqual(getAnimatedCodec('webp'), 'webp');
+assert.strictEqual(getAnimatedCodec('mkv'), null);
+assert.strictEqual(getAnimationOptions({}, 'mp4'), null);
+
+// Defaults
+assert.deepStrictEqual(getAnimationOptions({}, 'gif'), {
+  options: { loop: 0, maxFps: 30, dither: 'sierra2_4a', bayerScale: 2, maxColors: 256 },
+  warnings: [],
+});
+
+// GIF frame rates stay at or below 50; other containers take any cap
+assert.strictEqual(getAnimationOptions({ animation: { maxFps: 60 } }, 'gif').options.maxFps, 50);
+assert.strictEqual(getAnimationOptions({ animation: { maxFps: 60 } }, 'apng').options.maxFps, 60);
+assert.strictEqual(getAnimationOptions({ animation: { maxFps: -1 } }, 'webp').options.maxFps, 30);
+
+const tuned = getAnimationOptions({ animation: { loop: 3, dither: 'bayer', bayerScale: 9, maxColors: 1 } }, 'gif');
+assert.deepStrictEqual(tuned.options, { loop: 3, maxFps: 30, dither: 'bayer', bayerScale: 5, maxColors: 2 });
+
+const unknownDither = getAnimationOptions({ animation: { dither: 'atkinson' } }, 'gif');
+assert.strictEqual(unknownDither.options.dither, 'sierra2_4a');
+assert.deepStrictEqual(unknownDither.warnings, [{ code: 'unsupported_dither', dither: 'atkinson', used: 'sierra2_4a' }]);
+
+// `loop` counts plays; each muxer encodes that differently
+assert.deepStrictEqual(getLoopOptions('gif', 0), ['-loop 0']);
+assert.deepStrictEqual(getLoopOptions('gif', 1), ['-loop -1']);
+assert.deepStrictEqual(getLoopOptions('gif', 3), ['-loop 2']);
+assert.deepStrictEqual(getLoopOptions('webp', 3), ['-loop 3']);
+assert.deepStrictEqual(getLoopOptions('apng', 0), ['-plays 0']);
+assert.deepStrictEqual(getLoopOptions('mp4', 2), []);
+
+assert.strictEqual(getPaletteGenFilter(tuned.options), 'palettegen=max_colors=2');
+assert.strictEqual(getPaletteUseFilter(tuned.options), 'paletteuse=dither=bayer:bayer_scale=5');
+assert.strictEqual(getPaletteUseFilter(unknownDither.options), 'paletteuse=dither=sierra2_4a');
+
+console.log('All animation tests passed');
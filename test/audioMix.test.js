@@ -0,0 +1,87 @@
+const assert = require('assert');
+
+const {
+  getClipAudio,
+  getMutedTracks,
+  buildAudioLayers,
+  getAudioFilters,
+  buildAudioMixGraph,
+} = require('../src/audioMix');
+
+const project = {
+  timeline: {
+    fps: 24,
+    tracks: [{ id: 'v1' }, { id: 'music', muted: true }],
+    clips: [
+      { id: 'c1', sourceId: 'a', startFrame: 0, endFrame: 47, timelineStartFrame: 0, gainDb: -6 },
+      { id: 'c2', sourceId: 'b', startFrame: 24, endFrame: 71, timelineStartFrame: 48, fadeOutFrames: 12 },
+    ],
+    audioClips: [
+      { id: 'vo', sourceId: 'v', startFrame: 0, endFrame: 47, timelineStartFrame: 24, fadeInFrames: 6 },
+      { id: 'bgm', sourceId: 'm', trackId: 'music', startFrame: 0, endFrame: 95, timelineStartFrame: 0 },
+      { id: 'cut', sourceId: 'v', startFrame: 0, endFrame: 23, timelineStartFrame: 0, muted: true },
+    ],
+  },
+};
+
+// Clip and track mutes both silence a clip
+const mutedTracks = getMutedTracks(project);
+assert.deepStrictEqual([...mutedTracks], ['music']);
+assert.strictEqual(getClipAudio(project.timeline.audioClips[1], mutedTracks).muted, true);
+assert.deepStrictEqual(getClipAudio({}), { gainDb: 0, muted: false, fadeInFrames: 0, fadeOutFrames: 0 });
+
+// Video clips and audio-only clips are mixed; muted ones are left out
+const { layers, durationFrames } = buildAudioLayers(project, {});
+assert.strictEqual(durationFrames, 96);
+assert.deepStrictEqual(
+  layers.map((l) => [l.clipId, l.kind, l.offsetFrames, l.frames]),
+  [
+    ['c1', 'video', 0, 48],
+    ['c2', 'video', 48, 48],
+    ['vo', 'audio', 24, 48],
+  ],
+);
+
+// A window cutting into a clip keeps only the part of its fades inside it
+const window = buildAudioLayers(project, { source: { kind: 'timeline', inFrame: 26, outFrame: 89 } });
+const vo = window.layers.find((l) => l.clipId === 'vo');
+assert.deepStrictEqual([vo.sourceStartFrame, vo.offsetFrames, vo.fadeInFrames], [2, 0, 4]);
+const c2 = window.layers.find((l) => l.clipId === 'c2');
+assert.deepStrictEqual([c2.frames, c2.fadeOutFrames], [42, 6]);
+
+assert.deepStrictEqual(getAudioFilters({ gainDb: -6, fadeInFrames: 12, fadeOutFrames: 24, frames: 96 }, 24), [
+  'volume=-6dB',
+  'afade=t=in:st=0:d=0.5',
+  'afade=t=out:st=3:d=1',
+]);
+assert.deepStrictEqual(getAudioFilters({ muted: true, frames: 24 }, 24), ['volume=0']);
+assert.deepStrictEqual(getAudioFilters({ frames: 24 }, 24), []);
+
+// Each layer is delayed to its offset and mixed over a silent bed
+const graph = buildAudioMixGraph({
+  layers,
+  inputs: [
+    { index: 2, hasAudio: true },
+    { index: 3, hasAudio: false },
+    { index: 4, hasAudio: true },
+  ],
+  durationFrames,
+  timelineFps: 24,
+  postFilters: ['aresample=48000'],
+});
+assert.strictEqual(graph.output, 'aout');
+assert.ok(graph.filters[0].startsWith('anullsrc=r=48000:cl=stereo,atrim=duration=4,'));
+assert.ok(graph.filters[1].startsWith('[2:a]asetpts=PTS-STARTPTS,'));
+assert.ok(graph.filters[1].includes('atrim=duration=2,volume=-6dB,apad[a0]'));
+assert.ok(graph.filters[2].startsWith('[4:a]'));
+assert.ok(graph.filters[2].includes('afade=t=in:st=0:d=0.25,adelay=1000|1000,apad[a2]'));
+assert.strictEqual(
+  graph.filters[3],
+  '[abase][a0][a2]amix=inputs=3:duration=first:dropout_transition=0,volume=3,aresample=48000[aout]',
+);
+
+// Without any audio the bed alone is the output
+const silent = buildAudioMixGraph({ layers: [], inputs: [], durationFrames: 24, timelineFps: 24 });
+assert.strictEqual(silent.filters[1], '[abase]anull[aout]');
+
+console.log('All audioMix tests passed');
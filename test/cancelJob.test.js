@@ -0,0 +1,175 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// One render at a time, so later jobs wait in the queue
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-cancel-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.EXPORT_TMP_DIR = path.join(dir, 'exports');
+process.env.MEDIA_ROOT = path.join(dir, 'media');
+process.env.MAX_CONCURRENT_JOBS = '1';
+process.env.LOG_LEVEL = 'silent';
+process.env.FFMPEG_LOG_LEVEL = 'silent';
+
+const express = require('express');
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const { createJob, getJob, cancelJob, setJobStore } = require('../src/jobs');
+const { createMemoryJobStore } = require('../src/jobStore');
+const { subscribeJobEvents } = require('../src/jobEvents');
+const exportsRouter = require('../src/exportsRoutes');
+
+const HASH = 'c'.repeat(64);
+const FPS = 24;
+const FRAMES = 60 * FPS;
+
+// A minute of test pattern, long enough to still be rendering when cancelled
+fs.mkdirSync(process.env.MEDIA_ROOT, { recursive: true });
+execFileSync(ffmpegInstaller.path, [
+  '-v', 'error',
+  '-f', 'lavfi',
+  '-i', `testsrc=size=320x180:rate=${FPS}:duration=60`,
+  '-c:v', 'libx264',
+  '-preset', 'ultrafast',
+  path.join(process.env.MEDIA_ROOT, `${HASH}.mp4`),
+]);
+
+const project = {
+  // Upscaled, so the encode runs slower than real time
+  settings: { width: 1280, height: 720, fps: FPS },
+  timeline: {
+    fps: FPS,
+    clips: [{ id: 'c1', sourceId: 's1', startFrame: 0, endFrame: FRAMES - 1, timelineStartFrame: 0 }],
+  },
+  sources: [{ id: 's1', hash: HASH, durationFrames: FRAMES }],
+};
+const settings = { container: 'mp4', videoCodec: 'h264', audioCodec: 'none', allowStreamCopy: false };
+
+function waitFor(check, label, timeoutMs = 20000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error(`timed out waiting for ${label}`));
+      return setTimeout(poll, 50);
+    };
+    poll();
+  });
+}
+
+function hasLogged(job, label) {
+  return job.debug.some((entry) => entry.label === label);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function post(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: 'POST' }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function statuses(jobId) {
+  return subscribeJobEvents(jobId, NaN, () => {})
+    .replay.filter((event) => event.type === 'status')
+    .map((event) => event.data.status);
+}
+
+async function main() {
+  const app = express();
+  app.use('/exports', exportsRouter);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/exports`;
+
+  const store = createMemoryJobStore();
+  setJobStore(store);
+
+  try {
+    // Plan warnings are on the job before the rendering status goes out
+    const conflicting = {
+      mode: 'timeline',
+      engine: 'filter',
+      operations: ['DropIntraFrames', 'DropPredictedFrames'],
+    };
+    const running = createJob({ project, settings: { ...settings, datamosh: conflicting } });
+    const atRendering = {};
+    const { unsubscribe } = subscribeJobEvents(running.id, NaN, (event) => {
+      if (event.type !== 'status' || event.data.status !== 'rendering') return;
+      atRendering.job = getJob(running.id).warnings.map((w) => w.code);
+      atRendering.stored = store.loadAll()[0].job.warnings.map((w) => w.code);
+      atRendering.trail = running.debug.map((entry) => entry.label);
+    });
+    const queued = createJob({ project, settings });
+    const next = createJob({ project, settings });
+    await waitFor(() => hasLogged(running, 'ffmpeg_command'), 'the first render');
+    assert.deepStrictEqual([queued.status, next.status], ['queued', 'queued']);
+    unsubscribe();
+    assert.deepStrictEqual(atRendering.job, ['conflicting_operations']);
+    assert.deepStrictEqual(atRendering.stored, ['conflicting_operations']);
+    assert.ok(atRendering.trail.includes('plan_warnings'));
+
+    // A queued job leaves the queue: it never starts, even once the slot frees
+    assert.strictEqual(cancelJob(queued.id).status, 'cancelled');
+
+    // A running job has its ffmpeg killed and its output removed
+    const outputPath = running.downloadPath;
+    await waitFor(() => fs.existsSync(outputPath), 'the first output');
+    const cancelled = await post(`${base}/${running.id}/cancel`);
+    assert.deepStrictEqual(cancelled, { statusCode: 200, body: { id: running.id, status: 'cancelled' } });
+    assert.strictEqual(running.downloadPath, null);
+    assert.strictEqual(fs.existsSync(outputPath), false);
+
+    // ...and its slot goes to the next job in the queue
+    await waitFor(() => hasLogged(next, 'ffmpeg_command'), 'the next render');
+    assert.deepStrictEqual(statuses(queued.id), ['queued', 'cancelled']);
+    assert.deepStrictEqual(statuses(running.id), ['queued', 'rendering', 'cancelled']);
+
+    // A live ffmpeg would keep reporting progress on stderr twice a second
+    await sleep(200);
+    const trailLength = running.debug.length;
+    await sleep(1500);
+    assert.strictEqual(running.debug.length, trailLength);
+    assert.strictEqual(fs.existsSync(outputPath), false);
+
+    // Terminal jobs: the route answers 409 and cancelJob changes nothing
+    assert.deepStrictEqual(await post(`${base}/${queued.id}/cancel`), {
+      statusCode: 409,
+      body: { error: 'not_cancellable', status: 'cancelled' },
+    });
+    assert.strictEqual(cancelJob(queued.id), getJob(queued.id));
+    assert.deepStrictEqual(statuses(queued.id), ['queued', 'cancelled']);
+    assert.strictEqual((await post(`${base}/missing/cancel`)).statusCode, 404);
+    assert.strictEqual(cancelJob('missing'), null);
+
+    assert.strictEqual(cancelJob(next.id).status, 'cancelled');
+
+    // A job that fails at planning never reports rendering
+    const missing = createJob({ project: { ...project, sources: [{ id: 's1', hash: 'd'.repeat(64) }] }, settings });
+    await waitFor(() => missing.status === 'failed', 'the planning failure');
+    assert.strictEqual(missing.error, 'media_missing');
+    assert.deepStrictEqual(statuses(missing.id), ['queued', 'failed']);
+  } finally {
+    server.close();
+  }
+}
+
+main()
+  .then(() => console.log('All cancelJob tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,93 @@
+const assert = require('assert');
+
+delete process.env.ENCODER_FALLBACKS;
+
+const {
+  parseEncoders,
+  parseMuxers,
+  setCapabilities,
+  resolveEncoder,
+  resolvePixelFormat,
+  getEncoderOptions,
+  isMuxerAvailable,
+} = require('../src/capabilities');
+
+const ENCODERS_OUTPUT = `Encoders:
+ V..... = Video
+ A..... = Audio
+ S..... = Subtitle
+ .F.... = Frame-level multithreading
+ ..S... = Slice-level multithreading
+ ...X.. = Codec is experimental
+ ....B. = Supports draw_horiz_band
+ .....D = Supports direct rendering method 1
+ ------
+ V..... libx264              libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10 (codec h264)
+ V..X.. libaom-av1           libaom AV1 (codec av1)
+ VFS... prores_ks            Apple ProRes (iCodec Pro) (codec prores)
+ A..... aac                  AAC (Advanced Audio Coding)
+ S..... srt                  SubRip subtitle
+`;
+
+const MUXERS_OUTPUT = `File formats:
+ D. = Demuxing supported
+ .E = Muxing supported
+ --
+  E mov             QuickTime / MOV
+ DE matroska,webm   Matroska
+  E mp4             MP4 (MPEG-4 Part 14)
+ D  aac             raw ADTS AAC
+`;
+
+const encoders = parseEncoders(ENCODERS_OUTPUT);
+assert.deepStrictEqual(encoders, [
+  { name: 'libx264', kind: 'video', codec: 'h264', experimental: false },
+  { name: 'libaom-av1', kind: 'video', codec: 'av1', experimental: true },
+  { name: 'prores_ks', kind: 'video', codec: 'prores', experimental: false },
+  { name: 'aac', kind: 'audio', codec: 'aac', experimental: false },
+  { name: 'srt', kind: 'subtitle', codec: 'srt', experimental: false },
+]);
+assert.deepStrictEqual(parseMuxers(MUXERS_OUTPUT), ['mov', 'matroska', 'webm', 'mp4']);
+
+// Before detection every encoder in a chain is assumed present
+setCapabilities(null);
+assert.deepStrictEqual(resolveEncoder('video', 'h265', 'mp4'), {
+  requested: 'h265',
+  compatible: true,
+  encoder: 'libx265',
+  candidates: ['libx265', 'libx264'],
+  fallback: false,
+});
+assert.strictEqual(resolvePixelFormat('prores_ks'), 'yuv420p');
+assert.strictEqual(isMuxerAvailable('mkv'), true);
+
+encoders.find((e) => e.name === 'prores_ks').pixelFormats = ['yuv422p10le', 'yuv444p10le'];
+setCapabilities({ encoders, muxers: ['mov', 'mp4'], pixelFormats: [] });
+
+// Missing encoders fall through the chain; the container still has to hold the result
+const h265 = resolveEncoder('video', 'h265', 'mp4');
+assert.strictEqual(h265.encoder, 'libx264');
+assert.strictEqual(h265.fallback, true);
+assert.strictEqual(resolveEncoder('video', 'vp9', 'webm').encoder, null);
+assert.strictEqual(resolveEncoder('video', 'vp9', 'webm').compatible, true);
+assert.strictEqual(resolveEncoder('video', 'h264', 'webm').compatible, false);
+assert.strictEqual(resolveEncoder('audio', 'opus', 'webm').encoder, null);
+assert.strictEqual(resolveEncoder('audio', 'aac', 'mp4').encoder, 'aac');
+
+assert.strictEqual(isMuxerAvailable('mov'), true);
+assert.strictEqual(isMuxerAvailable('mkv'), false);
+
+// Pixel formats follow what the encoder can produce
+assert.strictEqual(resolvePixelFormat('prores_ks'), 'yuv422p10le');
+assert.strictEqual(resolvePixelFormat('prores_ks', 'yuv444p10le'), 'yuv444p10le');
+assert.strictEqual(resolvePixelFormat('prores_ks', 'yuv420p'), null);
+assert.strictEqual(resolvePixelFormat('libx264', 'yuv422p'), 'yuv422p');
+
+assert.deepStrictEqual(getEncoderOptions('prores_ks', 'prores_422_hq'), ['-profile:v 3']);
+assert.deepStrictEqual(getEncoderOptions('prores_ks', 'prores_422'), ['-profile:v 2']);
+assert.deepStrictEqual(getEncoderOptions('libaom-av1', 'av1'), ['-strict experimental']);
+assert.deepStrictEqual(getEncoderOptions('libx264', 'h264'), []);
+
+setCapabilities(null);
+
+console.log('All capabilities tests passed');
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { containerAcceptsVideo, planStreamCopy } = require('../src/codecs');
+
+const probe = {
+  durationSeconds: 4,
+  video: { codec: 'h264', profile: 'High', pixelFormat: 'yuv420p', width: 320, height: 240, fps: 24 },
+  audio: { codec: 'pcm_s24le', sampleRate: 48000, channels: 2 },
+};
+const base = { probe, container: 'mp4', width: 320, height: 240, fps: 24, hasFilters: false, isTrimmed: false };
+
+// Matching input is copied; PCM audio is transcoded because mp4 cannot hold it
+const plan = planStreamCopy({ ...base, settings: { videoCodec: 'h264' } });
+assert.deepStrictEqual(plan, { canCopy: true, reasons: [], audio: 'transcode' });
+
+// mov holds PCM, so audio is copied too
+assert.strictEqual(planStreamCopy({ ...base, container: 'mov', settings: { videoCodec: 'h264' } }).audio, 'copy');
+
+// Audio filters (gain, fades, loudness) keep the video copy but re-encode the audio
+const filteredAudio = planStreamCopy({ ...base, container: 'mov', hasAudioFilters: true, settings: { videoCodec: 'h264' } });
+assert.strictEqual(filteredAudio.canCopy, true);
+assert.strictEqual(filteredAudio.audio, 'transcode');
+
+// Any mismatch forces a re-encode and is reported
+const mismatched = planStreamCopy({
+  ...base,
+  width: 640,
+  hasFilters: true,
+  settings: { videoCodec: 'h265', includeAudio: false },
+});
+assert.strictEqual(mismatched.canCopy, false);
+assert.deepStrictEqual(mismatched.reasons, ['filters_required', 'codec_mismatch', 'resolution_mismatch']);
+assert.strictEqual(mismatched.audio, 'none');
+
+// Variable frame rate sources are always re-timed
+assert.deepStrictEqual(
+  planStreamCopy({ ...base, isVariableFrameRate: true, settings: { videoCodec: 'h264' } }).reasons,
+  ['variable_frame_rate'],
+);
+
+// A CRF or bitrate has to be encoded
+assert.deepStrictEqual(
+  planStreamCopy({ ...base, settings: { videoCodec: 'h264', rateControl: { mode: 'crf', value: 18 } } }).reasons,
+  ['rate_control_requested'],
+);
+
+// Without a probe there is nothing to copy
+assert.deepStrictEqual(planStreamCopy({ ...base, probe: null, settings: {} }).reasons, ['no_video_stream']);
+
+// The tables follow the muxers: mp4 and MPEG-TS take VP9, mov does not
+assert.strictEqual(containerAcceptsVideo('mp4', 'vp9'), true);
+assert.strictEqual(containerAcceptsVideo('mp4', 'mpeg4'), true);
+assert.strictEqual(containerAcceptsVideo('mov', 'mjpeg'), true);
+assert.strictEqual(containerAcceptsVideo('hls', 'vp9'), true);
+assert.strictEqual(containerAcceptsVideo('mov', 'vp9'), false);
+assert.strictEqual(containerAcceptsVideo('webm', 'h264'), false);
+
+console.log('All codecs tests passed');
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const {
+  buildDatamoshFilterChain,
+  getUnsupportedOperations,
+  resolveOperations,
+  getPacketMoshOptions,
+} = require('../src/datamosh');
+
+// Classic mode is unchanged
+assert.deepStrictEqual(buildDatamoshFilterChain({ mode: 'classic' }), [
+  'select=not(eq(pict_type\\,I))',
+  'setpts=N/(FRAME_RATE*TB)',
+]);
+
+// Hold and duplicate re-time with the fps filter after their select
+const filters = buildDatamoshFilterChain(
+  {
+    mode: 'timeline',
+    operations: [{ type: 'HoldReferenceFrame', holdFrames: 6 }, 'DuplicatePredictedFrames'],
+  },
+  { fps: 30 },
+);
+assert.strictEqual(filters.length, 4);
+assert(filters[0].includes('gt(n+1-ld(0)\\,6)'));
+assert.strictEqual(filters[1], 'fps=30');
+assert(filters[2].includes('gt(n+1-ld(1)\\,1)'));
+assert.strictEqual(filters[3], 'fps=30');
+
+// Unknown operations are reported once each
+assert.deepStrictEqual(
+  getUnsupportedOperations({ mode: 'timeline', operations: ['DropIntraFrames', 'Bloom', { type: 'Bloom' }] }),
+  ['Bloom'],
+);
+assert.deepStrictEqual(getUnsupportedOperations({ mode: 'classic', operations: ['Bloom'] }), []);
+
+// Scoped operations: timeline frames are measured from the export window start
+const project = {
+  timeline: {
+    fps: 24,
+    clips: [
+      { id: 'a', sourceId: 's1', timelineStartFrame: 24, startFrame: 0, endFrame: 47 },
+      { id: 'b', sourceId: 's2', timelineStartFrame: 72, startFrame: 10, endFrame: 57 },
+    ],
+  },
+};
+const scoped = {
+  mode: 'timeline',
+  operations: [
+    { type: 'DropIntraFrames', startFrame: 48, endFrame: 71 },
+    { type: 'DropPredictedFrames', clipId: 'b' },
+    { type: 'HoldReferenceFrame', clipId: 'missing' },
+    { type: 'DuplicatePredictedFrames', startFrame: 0, endFrame: 23 },
+    'DuplicatePredictedFrames',
+  ],
+};
+const settings = { source: { kind: 'timeline' } };
+const resolved = resolveOperations(scoped, { project, settings });
+assert.deepStrictEqual(resolved.operations[0].scope, { startSeconds: 1, endSeconds: 2 });
+assert.deepStrictEqual(resolved.operations[1].scope, { startSeconds: 2, endSeconds: 4 });
+assert.strictEqual(resolved.operations[2].scope, null);
+assert.deepStrictEqual(
+  resolved.outOfRange.map((op) => op.type),
+  ['HoldReferenceFrame', 'DuplicatePredictedFrames'],
+);
+
+// Ranges starting after the export's end (4 seconds here) are out of range
+// too, open-ended or not, once the duration is known
+const late = {
+  mode: 'timeline',
+  operations: [
+    { type: 'DropIntraFrames', startFrame: 200, endFrame: 220 },
+    { type: 'DropPredictedFrames', startFrame: 120 },
+    { type: 'HoldReferenceFrame', startFrame: 100 },
+  ],
+};
+assert.strictEqual(resolveOperations(late, { project, settings }).outOfRange.length, 0);
+const lateResolved = resolveOperations(late, { project, settings, durationSeconds: 4 });
+assert.deepStrictEqual(
+  lateResolved.outOfRange.map((op) => op.type),
+  ['DropIntraFrames', 'DropPredictedFrames'],
+);
+assert.deepStrictEqual(lateResolved.operations[0].scope, { startSeconds: 19 / 6, endSeconds: null });
+
+// Dropping I-frames overrides dropping P-frames wherever both apply
+const overlapping = {
+  mode: 'timeline',
+  operations: [
+    { type: 'DropIntraFrames', startFrame: 24, endFrame: 47 },
+    { type: 'DropPredictedFrames', startFrame: 40, endFrame: 60 },
+    { type: 'DropPredictedFrames', startFrame: 48, endFrame: 71 },
+  ],
+};
+const conflicts = resolveOperations(overlapping, { project, settings }).conflicts;
+assert.deepStrictEqual(
+  conflicts.map(({ op, overriddenBy }) => [op.startFrame, overriddenBy]),
+  [[40, 'DropIntraFrames']],
+);
+// The filter engine chains scoped drops, so only two unscoped ones conflict
+assert.deepStrictEqual(resolveOperations({ ...overlapping, engine: 'filter' }, { project, settings }).conflicts, []);
+const unscoped = { mode: 'timeline', engine: 'filter', operations: ['ClassicDatamosh', 'DropPredictedFrames'] };
+assert.deepStrictEqual(
+  resolveOperations(unscoped, { project, settings }).conflicts.map(({ overriddenBy }) => overriddenBy),
+  ['ClassicDatamosh'],
+);
+
+const scopedFilters = buildDatamoshFilterChain(scoped, { fps: 24, project, settings });
+assert.strictEqual(scopedFilters[0], "select='not(eq(pict_type\\,I)*gte(t\\,0.979167)*lt(t\\,1.979167))'");
+assert.strictEqual(scopedFilters[1], 'fps=24');
+assert(scopedFilters[2].includes('eq(pict_type\\,P)*gte(t\\,1.979167)*lt(t\\,3.979167)'));
+// The unscoped duplicate follows the scoped filters
+assert(scopedFilters[4].includes('gt(n+1-ld(1)\\,1)'));
+assert.strictEqual(scopedFilters.length, 6);
+
+// A trimmed input shifts filter time by the seek offset
+const offsetFilters = buildDatamoshFilterChain(scoped, { fps: 24, project, settings, timeOffset: 10 });
+assert(offsetFilters[0].includes('gte(t\\,10.979167)*lt(t\\,11.979167)'));
+
+// The packet engine gets the same ranges as indices at the output fps
+const packetOptions = getPacketMoshOptions(scoped, { fps: 30, project, settings });
+assert.deepStrictEqual(packetOptions.operations, [
+  { type: 'DropIntraFrames', startIndex: 30, endIndex: 60 },
+  { type: 'DropPredictedFrames', startIndex: 60, endIndex: 120 },
+  { type: 'DuplicatePredictedFrames', startIndex: 0, endIndex: null, repeat: 1 },
+]);
+
+// Clip exports start at the clip's own timeline position
+const clipResolved = resolveOperations(
+  { mode: 'timeline', operations: [{ type: 'DropIntraFrames', startFrame: 84, endFrame: 95 }] },
+  { project, settings: { source: { kind: 'clip', clipId: 'b' } } },
+);
+assert.deepStrictEqual(clipResolved.operations[0].scope, { startSeconds: 0.5, endSeconds: 1 });
+
+console.log('All datamosh tests passed');
@@ -0,0 +1,34 @@
+const assert = require('assert');
+
+const {
+  DRAFT_MAX_FPS,
+  isDraft,
+  getQuality,
+  getDraftScale,
+  getDraftEncoderOptions,
+  getWatermarkFilters,
+} = require('../src/draft');
+
+assert.strictEqual(isDraft({ quality: 'draft' }), true);
+assert.strictEqual(isDraft({}), false);
+assert.strictEqual(getQuality({ quality: 'draft' }), 'draft');
+assert.strictEqual(getQuality({ quality: 'best' }), 'full');
+assert.strictEqual(DRAFT_MAX_FPS, 15);
+
+// Drafts fit within 640 pixels on the long edge and are never upscaled
+assert.strictEqual(getDraftScale(1920, 1080), 1 / 3);
+assert.strictEqual(getDraftScale(1080, 1920), 1 / 3);
+assert.strictEqual(getDraftScale(320, 240), 1);
+
+assert.deepStrictEqual(getDraftEncoderOptions('libx264'), ['-preset ultrafast']);
+assert.deepStrictEqual(getDraftEncoderOptions('libvpx-vp9'), ['-deadline realtime', '-cpu-used 8']);
+assert.deepStrictEqual(getDraftEncoderOptions('gif'), []);
+
+const [title, jobId] = getWatermarkFilters('1234-abcd', { width: 640, height: 360 });
+assert.ok(title.startsWith("drawtext=text='DRAFT':"));
+assert.ok(title.includes('fontsize=60'));
+assert.ok(jobId.startsWith("drawtext=text='1234-abcd':"));
+// Anything that could break out of the filter's quoting is dropped
+assert.ok(getWatermarkFilters("x':y", { width: 640, height: 360 })[1].startsWith("drawtext=text='xy':"));
+
+console.log('All draft tests passed');
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const path = require('path');
+
+const {
+  isHlsContainer,
+  getHlsOptions,
+  getHlsMuxerOptions,
+  getHlsKeyframeOptions,
+  resolveHlsFile,
+  getHlsMimeType,
+} = require('../src/hls');
+
+assert.strictEqual(isHlsContainer('hls'), true);
+assert.strictEqual(isHlsContainer('mp4'), false);
+assert.strictEqual(getHlsOptions({}, 'mp4'), null);
+
+assert.deepStrictEqual(getHlsOptions({}, 'hls'), { segmentSeconds: 4 });
+assert.deepStrictEqual(getHlsOptions({ hls: { segmentSeconds: 90 } }, 'hls'), { segmentSeconds: 30 });
+assert.deepStrictEqual(getHlsOptions({ hls: { segmentSeconds: 0.5 } }, 'hls'), { segmentSeconds: 1 });
+assert.deepStrictEqual(getHlsOptions({ hls: { segmentSeconds: 'long' } }, 'hls'), { segmentSeconds: 4 });
+
+// An EVENT playlist keeps every segment so it can be watched from the start while it grows
+const options = getHlsOptions({ hls: { segmentSeconds: 2 } }, 'hls');
+assert.deepStrictEqual(getHlsMuxerOptions(options), [
+  '-f hls',
+  '-hls_time 2',
+  '-hls_list_size 0',
+  '-hls_playlist_type event',
+]);
+assert.deepStrictEqual(getHlsKeyframeOptions(options), ['-force_key_frames expr:gte(t,n_forced*2)']);
+
+// Only files HLS output writes resolve, and only next to the playlist
+const playlistPath = path.join('/tmp', 'job.hls', 'index.m3u8');
+assert.strictEqual(resolveHlsFile(playlistPath, 'index.m3u8'), playlistPath);
+assert.strictEqual(resolveHlsFile(playlistPath, 'index12.ts'), path.join('/tmp', 'job.hls', 'index12.ts'));
+assert.strictEqual(resolveHlsFile(playlistPath, '../job.mp4'), null);
+assert.strictEqual(resolveHlsFile(playlistPath, 'index.ts'), null);
+assert.strictEqual(resolveHlsFile(null, 'index.m3u8'), null);
+// Jobs restored from a journal written with a relative EXPORT_TMP_DIR
+assert.strictEqual(
+  resolveHlsFile(path.join('tmp', 'job.hls', 'index.m3u8'), 'index0.ts'),
+  path.resolve('tmp', 'job.hls', 'index0.ts'),
+);
+
+assert.strictEqual(getHlsMimeType('index.m3u8'), 'application/vnd.apple.mpegurl');
+assert.strictEqual(getHlsMimeType('index0.ts'), 'video/mp2t');
+
+console.log('All hls tests passed');
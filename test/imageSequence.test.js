@@ -0,0 +1,66 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  isImageSequenceContainer,
+  getImageSequenceOptions,
+  getImageEncoderOptions,
+  getFrameNumbering,
+  zipDirectory,
+} = require('../src/imageSequence');
+
+async function main() {
+  assert.strictEqual(isImageSequenceContainer('image_sequence'), true);
+  assert.strictEqual(isImageSequenceContainer('gif'), false);
+  assert.strictEqual(getImageSequenceOptions({}, 'mp4'), null);
+
+  const png = getImageSequenceOptions({}, 'image_sequence');
+  assert.deepStrictEqual(png, { format: 'png', codec: 'png', extension: 'png', quality: null });
+  assert.deepStrictEqual(getImageEncoderOptions(png), []);
+
+  const jpeg = getImageSequenceOptions({ imageSequence: { format: 'jpeg' } }, 'image_sequence');
+  assert.deepStrictEqual(jpeg, { format: 'jpeg', codec: 'mjpeg', extension: 'jpg', quality: 90 });
+
+  // Quality 1-100 maps onto qscale 31-2
+  const qscale = (quality) =>
+    getImageEncoderOptions(getImageSequenceOptions({ imageSequence: { format: 'jpeg', quality } }, 'image_sequence'));
+  assert.deepStrictEqual(qscale(100), ['-q:v 2']);
+  assert.deepStrictEqual(qscale(1), ['-q:v 31']);
+  assert.deepStrictEqual(qscale(500), ['-q:v 2']);
+
+  // Names follow timeline frames, padded to at least six digits
+  assert.deepStrictEqual(getFrameNumbering(png, { startFrame: 48, frameCount: 36 }), {
+    pattern: 'frame_%06d.png',
+    muxerOptions: ['-f image2', '-start_number 48'],
+  });
+  assert.strictEqual(getFrameNumbering(jpeg, { startFrame: 999990, frameCount: 20 }).pattern, 'frame_%07d.jpg');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-image-sequence-test-'));
+  try {
+    const framesDir = path.join(dir, 'frames');
+    fs.mkdirSync(framesDir);
+    fs.writeFileSync(path.join(framesDir, 'frame_000001.png'), 'one');
+    fs.writeFileSync(path.join(framesDir, 'frame_000000.png'), 'zero');
+
+    const zipPath = path.join(dir, 'frames.zip');
+    const sizeBytes = await zipDirectory(framesDir, zipPath);
+    const zip = fs.readFileSync(zipPath);
+    assert.strictEqual(sizeBytes, zip.length);
+    assert.strictEqual(zip.readUInt32LE(0), 0x04034b50);
+    // Stored (not deflated), in frame order
+    assert.strictEqual(zip.readUInt16LE(8), 0);
+    assert.strictEqual(zip.toString('latin1', 30, 30 + 16), 'frame_000000.png');
+    assert.ok(zip.indexOf('frame_000001.png') > 30);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main()
+  .then(() => console.log('All imageSequence tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Every job waits in the queue, so the test decides when it ends
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-job-events-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.EXPORT_TMP_DIR = path.join(dir, 'exports');
+process.env.MEDIA_ROOT = path.join(dir, 'media');
+process.env.MAX_CONCURRENT_JOBS = '0';
+process.env.LOG_LEVEL = 'silent';
+
+const express = require('express');
+const { emitJobEvent, subscribeJobEvents, clearJobEvents } = require('../src/jobEvents');
+const { createJob, cancelJob } = require('../src/jobs');
+const exportsRouter = require('../src/exportsRoutes');
+
+// Reads an SSE response until the server ends it
+function readEvents(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { headers }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          const events = body
+            .split('\n\n')
+            .filter((block) => block.trim() && !block.startsWith(':'))
+            .map((block) => {
+              const fields = Object.fromEntries(
+                block.split('\n').map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]),
+              );
+              return { id: fields.id ? Number(fields.id) : null, type: fields.event, data: JSON.parse(fields.data) };
+            });
+          resolve(events);
+        });
+      })
+      .on('error', reject);
+  });
+}
+
+function describe(event) {
+  return event.type === 'status' ? `status:${event.data.status}` : `debug:${event.data.label}`;
+}
+
+async function main() {
+  // Replay after Last-Event-ID, then live events until unsubscribed
+  emitJobEvent('j1', 'status', { status: 'queued' });
+  emitJobEvent('j1', 'debug', { label: 'a' });
+  const live = [];
+  const subscription = subscribeJobEvents('j1', 1, (event) => live.push(event));
+  assert.deepStrictEqual(subscription.replay.map((event) => event.id), [2]);
+  assert.strictEqual(subscribeJobEvents('j1', NaN, () => {}).replay.length, 2);
+  emitJobEvent('j1', 'status', { status: 'rendering' });
+  subscription.unsubscribe();
+  emitJobEvent('j1', 'debug', { label: 'b' });
+  assert.deepStrictEqual(live.map((event) => [event.id, event.type]), [[3, 'status']]);
+  clearJobEvents('j1');
+  assert.deepStrictEqual(subscribeJobEvents('j1', NaN, () => {}).replay, []);
+
+  const app = express();
+  app.use('/exports', exportsRouter);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/exports`;
+
+  try {
+    // A live stream gets the final trail entry before the status that closes it
+    const job = createJob({ project: {}, settings: { container: 'mp4', videoCodec: 'h264' } });
+    const streamed = readEvents(`${base}/${job.id}/events`);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    cancelJob(job.id);
+    const events = await streamed;
+    assert.deepStrictEqual(events.map(describe), [
+      'status:queued',
+      'debug:create_job',
+      'debug:job_cancelled',
+      'status:cancelled',
+    ]);
+    assert.deepStrictEqual(events.map((event) => event.id), [1, 2, 3, 4]);
+
+    // Reconnecting resumes after Last-Event-ID and closes right away
+    const resumed = await readEvents(`${base}/${job.id}/events`, { 'Last-Event-ID': '2' });
+    assert.deepStrictEqual(resumed.map(describe), ['debug:job_cancelled', 'status:cancelled']);
+    const resumedByQuery = await readEvents(`${base}/${job.id}/events?lastEventId=3`);
+    assert.deepStrictEqual(resumedByQuery.map(describe), ['status:cancelled']);
+
+    // Jobs without buffered events (restored after a restart) still get their status
+    clearJobEvents(job.id);
+    const restored = await readEvents(`${base}/${job.id}/events`);
+    assert.deepStrictEqual(restored, [
+      { id: null, type: 'status', data: { status: 'cancelled', error: null, progress: 0 } },
+    ]);
+  } finally {
+    server.close();
+  }
+}
+
+main()
+  .then(() => console.log('All jobEvents tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileJobStore } = require('../src/jobStore');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-job-store-test-'));
+
+try {
+  const store = createFileJobStore({ dir });
+  store.insert({ id: 'a', status: 'queued', debug: ['x'] }, { project: { p: 1 }, settings: { container: 'mp4' } });
+  store.insert({ id: 'b', status: 'queued' }, { project: {}, settings: {} });
+  store.update({ id: 'a', status: 'rendering', debug: ['y'] });
+  store.remove('b');
+
+  // A truncated trailing line (crash mid-write) is ignored
+  fs.appendFileSync(store.journalPath, '{"op":"update","job":{"id":"a","sta');
+
+  // A fresh store replays the journal
+  const records = createFileJobStore({ dir }).loadAll();
+  assert.strictEqual(records.length, 1);
+  assert.deepStrictEqual(records[0].job, { id: 'a', status: 'rendering' });
+  assert.deepStrictEqual(records[0].project, { p: 1 });
+  assert.deepStrictEqual(records[0].settings, { container: 'mp4' });
+
+  // Loading compacts the journal to one put per job
+  const lines = fs.readFileSync(path.join(dir, 'jobs.jsonl'), 'utf8').trim().split('\n');
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(JSON.parse(lines[0]).op, 'put');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('All jobStore tests passed');
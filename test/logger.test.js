@@ -0,0 +1,151 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The request and job checks read the root logger's JSON lines from stdout
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-logger-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.EXPORT_TMP_DIR = path.join(dir, 'exports');
+process.env.MEDIA_ROOT = path.join(dir, 'media');
+process.env.MAX_CONCURRENT_JOBS = '0';
+process.env.LOG_LEVEL = 'info';
+process.env.LOG_FORMAT = 'json';
+process.env.FFMPEG_LOG_LEVEL = 'silent';
+
+const express = require('express');
+const { parseLevel, createLogger, requestLogger } = require('../src/logger');
+const { getJob, cancelJob } = require('../src/jobs');
+const exportsRouter = require('../src/exportsRoutes');
+
+function capture(options) {
+  const lines = [];
+  const log = createLogger({ ...options, write: (line, level) => lines.push({ line, level }) });
+  return { log, lines };
+}
+
+assert.strictEqual(parseLevel('warn', 'info'), 'warn');
+assert.strictEqual(parseLevel('silent', 'info'), 'silent');
+assert.strictEqual(parseLevel('verbose', 'info'), 'info');
+assert.strictEqual(parseLevel(undefined, 'debug'), 'debug');
+
+// One JSON object per line, below-threshold entries dropped
+const { log, lines } = capture({ level: 'info' });
+log.debug('hidden', { a: 1 });
+log.info('job_started', { container: 'mp4' });
+log.error('failed', { err: Object.assign(new Error('boom'), { code: 'E_BOOM' }) });
+assert.strictEqual(lines.length, 2);
+const started = JSON.parse(lines[0].line);
+assert.ok(!Number.isNaN(Date.parse(started.time)));
+assert.deepStrictEqual({ ...started, time: null }, { time: null, level: 'info', msg: 'job_started', container: 'mp4' });
+assert.deepStrictEqual(JSON.parse(lines[1].line).err, { message: 'boom', code: 'E_BOOM' });
+assert.strictEqual(lines[1].level, 'error');
+assert.strictEqual(log.isLevelEnabled('debug'), false);
+
+// Children add context and may run at their own level; non-object fields
+// are kept under `data`
+const request = log.child({ requestId: 'r1' });
+const job = request.child({ jobId: 'j1' });
+const ffmpeg = job.child({}, { level: 'debug' });
+job.info('queued');
+ffmpeg.debug('ffmpeg_stderr', 'frame=  10 fps=0.0');
+job.debug('hidden');
+assert.deepStrictEqual(
+  lines.slice(2).map(({ line }) => {
+    const { time, ...rest } = JSON.parse(line);
+    return rest;
+  }),
+  [
+    { level: 'info', msg: 'queued', requestId: 'r1', jobId: 'j1' },
+    { level: 'debug', msg: 'ffmpeg_stderr', requestId: 'r1', jobId: 'j1', data: 'frame=  10 fps=0.0' },
+  ],
+);
+
+// Hooks see every entry of their logger and its children, whatever the level
+const seen = [];
+const silent = capture({ level: 'silent' });
+const hooked = silent.log.child({ jobId: 'j2' }, { onEntry: (entry) => seen.push(entry) });
+hooked.debug('palette', { colors: 256 });
+hooked.child({}, { level: 'debug' }).debug('ffmpeg_stderr', 'line');
+assert.strictEqual(silent.lines.length, 1);
+assert.deepStrictEqual(
+  seen.map(({ level, msg, fields }) => ({ level, msg, fields })),
+  [
+    { level: 'debug', msg: 'palette', fields: { colors: 256 } },
+    { level: 'debug', msg: 'ffmpeg_stderr', fields: 'line' },
+  ],
+);
+
+// Text format for local development
+const text = capture({ level: 'debug', format: 'text' });
+text.log.child({ jobId: 'j3' }).warn('probe_failed', { inputPath: '/tmp/a.mp4', missing: undefined, frames: [1, 2] });
+assert.match(text.lines[0].line, /^\S+ WARN {2}probe_failed jobId=j3 inputPath=\/tmp\/a\.mp4 frames=\[1,2\]$/);
+
+function post(url, headers) {
+  return new Promise((resolve, reject) => {
+    const options = { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } };
+    const req = http.request(url, options, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ requestId: res.headers['x-request-id'], body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ project: {}, settings: { container: 'mp4', videoCodec: 'h264' } }));
+  });
+}
+
+async function main() {
+  const app = express();
+  app.use(requestLogger());
+  app.use(express.json());
+  app.use('/exports', exportsRouter);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/exports`;
+
+  const stdout = [];
+  const write = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk) => {
+    stdout.push(...String(chunk).trim().split('\n').map((line) => JSON.parse(line)));
+    return true;
+  };
+  try {
+    // A valid X-Request-Id is kept and echoed; anything else gets a fresh id
+    const kept = await post(url, { 'X-Request-Id': 'client-1.a:b' });
+    assert.strictEqual(kept.requestId, 'client-1.a:b');
+    const replaced = await post(url, { 'X-Request-Id': 'not valid!' });
+    assert.match(replaced.requestId, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    const generated = await post(url, {});
+    assert.match(generated.requestId, /^[0-9a-f-]{36}$/);
+    assert.notStrictEqual(generated.requestId, replaced.requestId);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // The job keeps the id of the request that created it, and so do its lines
+    [kept, replaced, generated].forEach(({ requestId, body: { jobId } }) => {
+      assert.strictEqual(getJob(jobId).requestId, requestId);
+      assert.ok(stdout.some((entry) => entry.msg === 'http_request' && entry.requestId === requestId));
+      const created = stdout.find((entry) => entry.msg === 'create_job' && entry.jobId === jobId);
+      assert.strictEqual(created.requestId, requestId);
+      cancelJob(jobId);
+    });
+    const jobLines = stdout.filter((entry) => entry.jobId === kept.body.jobId);
+    assert.deepStrictEqual(jobLines.map((entry) => entry.msg), ['create_job', 'job_cancelled']);
+    assert.ok(jobLines.every((entry) => entry.requestId === 'client-1.a:b'));
+  } finally {
+    process.stdout.write = write;
+    server.close();
+  }
+}
+
+main()
+  .then(() => console.log('All logger tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
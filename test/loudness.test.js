@@ -0,0 +1,59 @@
+const assert = require('assert');
+
+const {
+  getLoudnessOptions,
+  getLoudnessMeasureFilter,
+  parseLoudnessMeasurement,
+  getLoudnessFilters,
+} = require('../src/loudness');
+
+assert.strictEqual(getLoudnessOptions({}), null);
+assert.deepStrictEqual(getLoudnessOptions({ loudness: -14 }), { target: -14, truePeak: -1, range: 11, twoPass: true });
+assert.deepStrictEqual(getLoudnessOptions({ loudness: { target: -100, truePeak: 3, range: 7, twoPass: false } }), {
+  target: -70,
+  truePeak: 0,
+  range: 7,
+  twoPass: false,
+});
+assert.deepStrictEqual(getLoudnessOptions({ loudness: { truePeak: -2 } }), { invalid: true });
+assert.deepStrictEqual(getLoudnessOptions({ loudness: 'loud' }), { invalid: true });
+
+const options = getLoudnessOptions({ loudness: -14 });
+assert.strictEqual(getLoudnessMeasureFilter(options), 'loudnorm=I=-14:TP=-1:LRA=11:print_format=json');
+
+// The measurement is the JSON block loudnorm prints at the end of stderr
+const stderr = [
+  'size=N/A time=00:00:04.00 bitrate=N/A speed=40x',
+  '[Parsed_loudnorm_0 @ 0x55d4] ',
+  '{',
+  '\t"input_i" : "-23.51",',
+  '\t"input_tp" : "-4.02",',
+  '\t"input_lra" : "2.10",',
+  '\t"input_thresh" : "-33.83",',
+  '\t"output_i" : "-14.10",',
+  '\t"output_tp" : "-1.00",',
+  '\t"output_lra" : "1.80",',
+  '\t"output_thresh" : "-24.40",',
+  '\t"normalization_type" : "dynamic",',
+  '\t"target_offset" : "0.10"',
+  '}',
+];
+const measurement = parseLoudnessMeasurement(stderr);
+assert.deepStrictEqual(measurement, {
+  inputI: -23.51,
+  inputTp: -4.02,
+  inputLra: 2.1,
+  inputThresh: -33.83,
+  targetOffset: 0.1,
+});
+assert.strictEqual(parseLoudnessMeasurement(['no json here']), null);
+// Silence measures as -inf, which cannot be fed back
+assert.strictEqual(parseLoudnessMeasurement(stderr.map((line) => line.replace('-23.51', '-inf'))), null);
+
+assert.deepStrictEqual(getLoudnessFilters(options, measurement), [
+  'loudnorm=I=-14:TP=-1:LRA=11:measured_I=-23.51:measured_TP=-4.02:measured_LRA=2.1:measured_thresh=-33.83:offset=0.1:linear=true',
+  'aformat=sample_rates=48000',
+]);
+assert.deepStrictEqual(getLoudnessFilters(options, null), ['loudnorm=I=-14:TP=-1:LRA=11', 'aformat=sample_rates=48000']);
+
+console.log('All loudness tests passed');
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMediaLibrary } = require('../src/mediaLibrary');
+const { getSidecarPath } = require('../src/mediaMetadata');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-media-library-test-'));
+const hash = (c) => c.repeat(64);
+
+try {
+  fs.writeFileSync(path.join(root, `${hash('a')}.mp4`), 'aaa');
+  fs.writeFileSync(path.join(root, `${hash('a')}.mov`), 'aaa');
+  fs.writeFileSync(path.join(root, `${hash('b')}.mov`), 'bb');
+  fs.writeFileSync(path.join(root, hash('c')), 'c');
+  // Metadata sidecars; an extensionless upload's is `<hash>.json`
+  fs.writeFileSync(getSidecarPath(path.join(root, hash('c'))), '{}');
+  fs.writeFileSync(getSidecarPath(path.join(root, `${hash('b')}.mov`)), '{}');
+  // Not media: upload temporaries, empty files, session directories
+  fs.writeFileSync(path.join(root, 'upload-123.mp4'), 'x');
+  fs.writeFileSync(path.join(root, `${hash('d')}.mp4`), '');
+  fs.mkdirSync(path.join(root, '.uploads'));
+
+  const library = createMediaLibrary({ root });
+
+  const first = library.list({ limit: 3 });
+  assert.strictEqual(first.total, 4);
+  assert.deepStrictEqual(
+    first.items.map((item) => item.fileName),
+    [`${hash('a')}.mov`, `${hash('a')}.mp4`, `${hash('b')}.mov`],
+  );
+  const second = library.list({ limit: 3, cursor: first.nextCursor });
+  assert.deepStrictEqual(second.items.map((item) => item.fileName), [hash('c')]);
+  assert.strictEqual(second.nextCursor, null);
+
+  const found = library.find(hash('b'));
+  assert.strictEqual(found.ext, '.mov');
+  assert.strictEqual(found.sizeBytes, 2);
+  assert.strictEqual(library.find(hash('d')), null);
+  assert.deepStrictEqual(library.findAll(hash('c')).map((item) => [item.fileName, item.sizeBytes]), [[hash('c'), 1]]);
+  assert.strictEqual(library.find('../etc/passwd'), null);
+
+  // Deleting a hash removes every extension it was stored under
+  assert.strictEqual(library.remove(hash('a')).length, 2);
+  assert.strictEqual(library.find(hash('a')), null);
+  assert.strictEqual(library.list().total, 2);
+
+  // ...and the extensionless file's sidecar goes with it
+  library.remove(hash('c'));
+  assert.strictEqual(fs.existsSync(getSidecarPath(path.join(root, hash('c')))), false);
+  assert.strictEqual(library.list().total, 1);
+} finally {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+console.log('All mediaLibrary tests passed');
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-media-metadata-test-'));
+process.env.MEDIA_ROOT = mediaRoot;
+process.env.JOB_STORE = 'memory';
+process.env.NODE_ENV = 'production';
+
+const { buildMetadata, getSidecarPath, readMediaMetadata } = require('../src/mediaMetadata');
+const { computeDurationFrames, deriveRenderParams } = require('../src/jobs');
+
+try {
+  // Phone footage: rotated by a display matrix, timestamps irregular
+  const record = buildMetadata(
+    {
+      format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '10.000000' },
+      streams: [
+        {
+          index: 0,
+          codec_type: 'video',
+          codec_name: 'h264',
+          width: 1920,
+          height: 1080,
+          r_frame_rate: '30/1',
+          avg_frame_rate: '2500/87',
+          duration: '10.000000',
+          side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }],
+        },
+        { index: 1, codec_type: 'audio', codec_name: 'aac', sample_rate: '48000', channels: 2, channel_layout: 'stereo' },
+      ],
+    },
+    { fileName: 'x.mov', sizeBytes: 4, frameCount: 287 },
+  );
+  assert.strictEqual(record.video.rotation, 90);
+  assert.strictEqual(record.video.displayWidth, 1080);
+  assert.strictEqual(record.video.displayHeight, 1920);
+  assert.strictEqual(record.video.isVariableFrameRate, true);
+  assert.strictEqual(record.video.frameCount, 287);
+  assert.strictEqual(record.audio.channelLayout, 'stereo');
+
+  const hash = 'a'.repeat(64);
+  const mediaPath = path.join(mediaRoot, `${hash}.mov`);
+  fs.writeFileSync(mediaPath, 'data');
+  fs.writeFileSync(getSidecarPath(mediaPath), JSON.stringify(record));
+  assert.strictEqual(readMediaMetadata(mediaPath).video.frameCount, 287);
+
+  // Source exports use the analysed duration, not the client's durationFrames;
+  // with no project fps it is counted at the source's average rate
+  const project = { sources: [{ id: 's', hash, durationFrames: 9999 }] };
+  const settings = { container: 'mov', source: { kind: 'source', sourceId: 's' } };
+  assert.strictEqual(computeDurationFrames(project, settings), 287);
+  assert.strictEqual(computeDurationFrames({ ...project, settings: { fps: 24 } }, settings), 240);
+
+  // Without project settings, size and rate come from the record
+  const params = deriveRenderParams(project, settings);
+  assert.strictEqual(params.width, 1080);
+  assert.strictEqual(params.height, 1920);
+  assert(Math.abs(params.fps - 2500 / 87) < 1e-9);
+
+  // Clips are clamped to the analysed source length
+  const clipProject = {
+    ...project,
+    timeline: { fps: 30, clips: [{ id: 'c', sourceId: 's', startFrame: 200, endFrame: 999 }] },
+  };
+  assert.strictEqual(computeDurationFrames(clipProject, { container: 'mov', source: { kind: 'clip', clipId: 'c' } }), 100);
+
+  // A sidecar that no longer matches the file is ignored
+  fs.writeFileSync(mediaPath, 'replaced');
+  assert.strictEqual(readMediaMetadata(mediaPath), null);
+  assert.strictEqual(computeDurationFrames(project, settings), 9999);
+} finally {
+  fs.rmSync(mediaRoot, { recursive: true, force: true });
+}
+
+console.log('All mediaMetadata tests passed');
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const { probeMedia } = require('../src/mediaProbe');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-media-probe-test-'));
+
+function writeClip(filePath, size) {
+  execFileSync(ffmpegInstaller.path, [
+    '-v', 'error',
+    '-y',
+    '-f', 'lavfi',
+    '-i', `testsrc=size=${size}:rate=24:duration=1`,
+    '-c:v', 'libx264',
+    '-preset', 'ultrafast',
+    filePath,
+  ]);
+}
+
+async function main() {
+  // A file replaced under the same name is probed again
+  const filePath = path.join(dir, 'clip.mp4');
+  writeClip(filePath, '160x90');
+  const first = await probeMedia(filePath);
+  assert.deepStrictEqual([first.video.width, first.video.height], [160, 90]);
+  assert.strictEqual(await probeMedia(filePath), first);
+
+  writeClip(filePath, '320x180');
+  const replaced = await probeMedia(filePath);
+  assert.deepStrictEqual([replaced.video.width, replaced.video.height], [320, 180]);
+
+  await assert.rejects(probeMedia(path.join(dir, 'missing.mp4')));
+}
+
+main()
+  .then(() => console.log('All mediaProbe tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  defineCounter,
+  defineGauge,
+  defineHistogram,
+  defineDiskUsageGauge,
+  renderMetrics,
+  getDirectorySize,
+  recordRenderStarted,
+  recordJobFinished,
+  recordUpload,
+} = require('../src/metrics');
+
+function lines() {
+  return renderMetrics().trim().split('\n');
+}
+
+// Text format: HELP and TYPE for every metric, escaped label values
+const requests = defineCounter('test_requests_total', 'Requests.');
+requests.inc({ route: 'a"b\\c' });
+requests.inc({ route: 'a"b\\c' }, 2);
+assert.ok(lines().includes('# HELP test_requests_total Requests.'));
+assert.ok(lines().includes('# TYPE test_requests_total counter'));
+assert.ok(lines().includes('test_requests_total{route="a\\"b\\\\c"} 3'));
+assert.throws(() => defineCounter('test_requests_total', 'Again.'), /metric_already_registered/);
+
+defineGauge('test_temperature', 'Read at scrape time.', () => [{ labels: {}, value: 21.5 }]);
+assert.ok(lines().includes('test_temperature 21.5'));
+
+// Histogram buckets are cumulative and end with +Inf
+const latency = defineHistogram('test_latency_seconds', 'Latency.', [1, 5]);
+[0.5, 2, 9].forEach((value) => latency.observe({ lane: 'full' }, value));
+assert.deepStrictEqual(lines().filter((line) => line.startsWith('test_latency_seconds')), [
+  'test_latency_seconds_bucket{lane="full",le="1"} 1',
+  'test_latency_seconds_bucket{lane="full",le="5"} 2',
+  'test_latency_seconds_bucket{lane="full",le="+Inf"} 3',
+  'test_latency_seconds_sum{lane="full"} 11.5',
+  'test_latency_seconds_count{lane="full"} 3',
+]);
+
+// Terminal jobs: codes are kept, free-form ffmpeg messages are folded together
+recordJobFinished({ id: 'j1', status: 'failed', error: 'media_missing', quality: 'full' });
+recordJobFinished({ id: 'j2', status: 'failed', error: 'ffmpeg exited with code 1: Conversion failed!', quality: 'full' });
+recordJobFinished({ id: 'j3', status: 'failed', error: 'Invalid data found', quality: 'full' });
+recordRenderStarted('j4', 10);
+recordJobFinished({ id: 'j4', status: 'complete', error: null, quality: 'draft' });
+const text = lines();
+assert.ok(text.includes('dmosh_export_jobs_total{status="failed",error="media_missing"} 1'));
+assert.ok(text.includes('dmosh_export_jobs_total{status="failed",error="ffmpeg_error"} 2'));
+assert.ok(text.includes('dmosh_export_jobs_total{status="complete",error=""} 1'));
+assert.ok(text.includes('dmosh_export_render_duration_seconds_count{quality="draft"} 1'));
+assert.ok(text.includes('dmosh_export_realtime_factor_bucket{quality="draft",le="+Inf"} 1'));
+assert.ok(text.includes('dmosh_export_realtime_factor_bucket{quality="draft",le="16"} 0'));
+
+// Uploads and the cache-hit ratio
+assert.ok(lines().includes('dmosh_media_upload_cache_hit_ratio 0'));
+recordUpload({ bytes: 100, cached: false });
+recordUpload({ bytes: 100, cached: true });
+recordUpload({ bytes: 50, cached: true });
+assert.ok(lines().includes('dmosh_media_upload_bytes_total{result="cached"} 150'));
+assert.ok(lines().includes('dmosh_media_uploads_total{result="stored"} 1'));
+assert.ok(lines().some((line) => /^dmosh_media_upload_cache_hit_ratio 0\.666/.test(line)));
+
+// Disk usage counts files in nested directories
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-metrics-test-'));
+try {
+  fs.writeFileSync(path.join(dir, 'a.mp4'), Buffer.alloc(10));
+  fs.mkdirSync(path.join(dir, 'job.hls'));
+  fs.writeFileSync(path.join(dir, 'job.hls', 'index0.ts'), Buffer.alloc(5));
+  assert.strictEqual(getDirectorySize(dir), 15);
+  assert.strictEqual(getDirectorySize(path.join(dir, 'missing')), 0);
+
+  defineDiskUsageGauge('test_disk_usage_bytes', 'Disk usage.', { scratch: dir });
+  assert.ok(lines().includes('test_disk_usage_bytes{dir="scratch"} 15'));
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('All metrics tests passed');
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { createPacketMosher } = require('../src/packetMosh');
+
+function run(types, operations) {
+  const packets = types.split('').map((type, i) => ({ type, data: Buffer.from(`${type}${i}`) }));
+  const mosh = createPacketMosher({ operations });
+  return packets.map((packet) => mosh(packet).toString()).join(' ');
+}
+
+// Nothing to do: packets pass through
+assert.strictEqual(run('IPPIP', []), 'I0 P1 P2 I3 P4');
+
+// Dropped I-frames (after the first) are replaced by the previous packet
+assert.strictEqual(run('IPPIP', [{ type: 'DropIntraFrames' }]), 'I0 P1 P2 P2 P4');
+
+// Dropped P-frames fall back to the last kept packet
+assert.strictEqual(run('IPPIP', [{ type: 'DropPredictedFrames' }]), 'I0 I0 I0 I3 I3');
+
+// Holding repeats the first P-frame after each I-frame in place of what follows
+assert.strictEqual(run('IPPPIPPP', [{ type: 'HoldReferenceFrame', repeat: 2 }]), 'I0 P1 P1 P1 I4 P5 P5 P5');
+
+// Duplicating repeats every kept P-frame, keeping the stream length
+assert.strictEqual(run('IPPPPP', [{ type: 'DuplicatePredictedFrames', repeat: 1 }]), 'I0 P1 P1 P3 P3 P5');
+
+// Scoped operations only touch packets inside [startIndex, endIndex)
+assert.strictEqual(
+  run('IPPIPPIP', [{ type: 'DropIntraFrames', startIndex: 4, endIndex: null }]),
+  'I0 P1 P2 I3 P4 P5 P5 P7',
+);
+assert.strictEqual(
+  run('IPIPIPIP', [{ type: 'DropIntraFrames', startIndex: 1, endIndex: 4 }]),
+  'I0 P1 P1 P3 I4 P5 I6 P7',
+);
+
+// A repeat is cut off where its operation's range ends
+assert.strictEqual(
+  run('IPPPPPP', [{ type: 'HoldReferenceFrame', repeat: 4, startIndex: 0, endIndex: 3 }]),
+  'I0 P1 P1 P3 P4 P5 P6',
+);
+
+// A repeat ends at the next I-frame, which then starts a new hold...
+assert.strictEqual(run('IPPIPPP', [{ type: 'HoldReferenceFrame', repeat: 4 }]), 'I0 P1 P1 I3 P4 P4 P4');
+assert.strictEqual(run('IPPIP', [{ type: 'DuplicatePredictedFrames', repeat: 3 }]), 'I0 P1 P1 I3 P4');
+// ...unless I-frames are dropped there: the repeat swallows the I-frame, and
+// the next P-frame is still held as the first after it
+assert.strictEqual(
+  run('IPPIPPPP', [
+    { type: 'HoldReferenceFrame', repeat: 2 },
+    { type: 'DropIntraFrames', startIndex: 3, endIndex: 4 },
+  ]),
+  'I0 P1 P1 P1 P4 P4 P4 P7',
+);
+
+console.log('All packetMosh tests passed');
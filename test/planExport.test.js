@@ -0,0 +1,266 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-plan-export-test-'));
+process.env.MEDIA_ROOT = mediaRoot;
+process.env.JOB_STORE = 'memory';
+process.env.NODE_ENV = 'production';
+
+const { planExport, planRenditions } = require('../src/jobs');
+const { setCapabilities } = require('../src/capabilities');
+const { createLogger } = require('../src/logger');
+
+try {
+  fs.writeFileSync(path.join(mediaRoot, 'hasha.mp4'), 'a');
+  const project = {
+    settings: { width: 1280, height: 720 },
+    timeline: {
+      fps: 24,
+      clips: [
+        { id: 'c1', sourceId: 'a', startFrame: 0, endFrame: 47, timelineStartFrame: 0 },
+        { id: 'c2', sourceId: 'b', startFrame: 0, endFrame: 47, timelineStartFrame: 48 },
+      ],
+    },
+    sources: [{ id: 'a', hash: 'hasha' }, { id: 'b', hash: 'hashb' }],
+  };
+  const settings = { container: 'mp4', videoCodec: 'h264', datamosh: { mode: 'timeline', operations: ['Bloom'] } };
+
+  // Missing media blocks the export but the rest of the plan still resolves
+  const missing = planExport(project, settings);
+  assert.deepStrictEqual(missing.errors.map((e) => e.code), ['media_missing']);
+  assert.strictEqual(missing.errors[0].details.missing[0].sourceId, 'b');
+  assert.deepStrictEqual(missing.warnings, [{ code: 'unsupported_datamosh_operation', operation: 'Bloom' }]);
+  assert.strictEqual(missing.plan.mode, 'concat');
+  assert.strictEqual(missing.plan.durationSeconds, 4);
+
+  // A range starting after the export's last frame never applies
+  const late = planExport(project, {
+    ...settings,
+    datamosh: { mode: 'timeline', operations: [{ type: 'DropIntraFrames', startFrame: 96 }] },
+  });
+  assert.deepStrictEqual(late.warnings, [
+    { code: 'datamosh_operation_out_of_range', operation: 'DropIntraFrames', clipId: null, startFrame: 96, endFrame: null },
+  ]);
+
+  const conflicting = planExport(project, {
+    ...settings,
+    datamosh: { mode: 'timeline', operations: ['DropIntraFrames', { type: 'DropPredictedFrames', clipId: 'c2' }] },
+  });
+  assert.deepStrictEqual(conflicting.warnings, [
+    {
+      code: 'conflicting_operations',
+      operation: 'DropPredictedFrames',
+      clipId: 'c2',
+      startFrame: null,
+      endFrame: null,
+      overriddenBy: 'DropIntraFrames',
+    },
+  ]);
+
+  fs.writeFileSync(path.join(mediaRoot, 'hashb.mp4'), 'b');
+  const ok = planExport(project, settings);
+  assert.deepStrictEqual(ok.errors, []);
+  assert.strictEqual(ok.plan.videoCodec, 'libx264');
+  assert.strictEqual(ok.plan.audioCodec, 'aac');
+  // 1280x720 @ 24fps, 0.1 bits per pixel plus 128 kbps audio, for 4 seconds
+  assert.strictEqual(ok.plan.estimatedSizeBytes, Math.round(((1280 * 720 * 24 * 0.1) / 1000 + 128) * 500));
+
+  // Codecs the container cannot hold are blocking
+  const mismatched = planExport(project, { container: 'webm', videoCodec: 'h264', audioCodec: 'aac' });
+  assert.deepStrictEqual(
+    mismatched.errors.map((e) => [e.code, e.details.stream]),
+    [
+      ['codec_container_mismatch', 'video'],
+      ['codec_container_mismatch', 'audio'],
+    ],
+  );
+  assert.strictEqual(planExport(project, { container: 'avi', videoCodec: 'h264' }).errors[0].code, 'unsupported_container');
+
+  // Unknown codec names fall back to the defaults, with a warning
+  const unknown = planExport(project, { container: 'webm', videoCodec: 'vp9', audioCodec: 'opsu' });
+  assert.deepStrictEqual(unknown.errors, []);
+  assert.deepStrictEqual(unknown.warnings, [{ code: 'unknown_audio_codec', codec: 'opsu', used: 'opus' }]);
+  assert.deepStrictEqual(
+    planExport(project, { container: 'mp4', videoCodec: 'x264', audioCodec: 'aac' }).warnings,
+    [{ code: 'unknown_video_codec', codec: 'x264', used: 'h264' }],
+  );
+  // ...but anything the muxer writes is allowed
+  [
+    ['mp4', 'vp9'],
+    ['mov', 'prores_422'],
+  ].forEach(([container, videoCodec]) => {
+    const plan = planExport(project, { container, videoCodec });
+    assert.deepStrictEqual([plan.errors, plan.warnings], [[], []], `${videoCodec} in ${container}`);
+  });
+  assert.strictEqual(planExport(project, { container: 'mov', videoCodec: 'vp9' }).errors[0].code, 'codec_container_mismatch');
+
+  // Animated images imply their codec, drop audio and cap the frame rate
+  const gif = planExport(
+    { ...project, timeline: { ...project.timeline, fps: 60 } },
+    { container: 'gif', videoCodec: 'h264', pixelFormat: 'yuv420p', animation: { maxFps: 15 } },
+  );
+  assert.deepStrictEqual(gif.errors, []);
+  assert.strictEqual(gif.plan.videoCodec, 'gif');
+  assert.strictEqual(gif.plan.audioCodec, 'none');
+  assert.strictEqual(gif.plan.encoding.pixelFormat, 'pal8');
+  assert.deepStrictEqual(gif.plan.encoding.videoOptions, ['-loop 0']);
+  assert.strictEqual(gif.plan.fps, 15);
+  assert.strictEqual(gif.plan.durationSeconds, 96 / 60);
+
+  // HLS segments are cut on forced keyframes
+  const hls = planExport(project, { container: 'hls', videoCodec: 'h264', hls: { segmentSeconds: 2 } });
+  assert.deepStrictEqual(hls.errors, []);
+  assert.strictEqual(hls.plan.audioCodec, 'aac');
+  assert.deepStrictEqual(hls.plan.encoding.videoOptions, [
+    '-force_key_frames expr:gte(t,n_forced*2)',
+    '-f hls',
+    '-hls_time 2',
+    '-hls_list_size 0',
+    '-hls_playlist_type event',
+  ]);
+  assert.deepStrictEqual(planExport(project, { container: 'hls', videoCodec: 'vp9' }).errors, []);
+  assert.deepStrictEqual(
+    planExport(project, { container: 'hls', videoCodec: 'prores_422' }).errors.map((e) => e.code),
+    ['codec_container_mismatch'],
+  );
+
+  // Drafts are scaled down, capped at 15 fps and encoded at the fastest preset
+  const draft = planExport(project, { container: 'mp4', videoCodec: 'h264', quality: 'draft', renderResolutionScale: 0.25 });
+  assert.deepStrictEqual(draft.errors, []);
+  assert.deepStrictEqual([draft.plan.width, draft.plan.height, draft.plan.fps], [320, 180, 15]);
+  assert.strictEqual(draft.plan.durationSeconds, 4);
+  assert.strictEqual(draft.plan.encoding.draft, true);
+  assert.deepStrictEqual(draft.plan.encoding.videoOptions, ['-preset ultrafast']);
+  const draftSize = planExport(project, { container: 'mp4', videoCodec: 'h264', quality: 'draft' }).plan;
+  assert.deepStrictEqual([draftSize.width, draftSize.height], [640, 360]);
+
+  // Image sequences number stills from the export's first timeline frame
+  const stills = planExport(project, {
+    container: 'image_sequence',
+    source: { kind: 'clip', clipId: 'c2' },
+    imageSequence: { format: 'jpeg', quality: 100 },
+  });
+  assert.deepStrictEqual(stills.errors, []);
+  assert.strictEqual(stills.plan.videoCodec, 'mjpeg');
+  assert.strictEqual(stills.plan.encoding.imageSequence.pattern, 'frame_%06d.jpg');
+  assert.deepStrictEqual(stills.plan.encoding.videoOptions, ['-q:v 2', '-f image2', '-start_number 48']);
+
+  // Previews default to the middle frame; out-of-range poster frames are clamped
+  assert.deepStrictEqual(ok.plan.previews, { posterFrame: 47, posterClamped: false, posterSeconds: 47 / 24, frameCount: 96 });
+  const poster = planExport(project, { ...settings, source: { kind: 'clip', clipId: 'c2' }, previews: { posterFrame: 10 } });
+  assert.strictEqual(poster.plan.previews.posterFrame, 48);
+  assert.deepStrictEqual(poster.warnings.slice(-1), [{ code: 'poster_frame_out_of_range', requested: 10, used: 48 }]);
+  assert.strictEqual(planExport(project, { ...settings, previews: false }).plan.previews, null);
+  assert.strictEqual(planExport(project, { container: 'webp' }).plan.previews, null);
+
+  // Timeline audio mixes every clip plus audio-only clips, whose media must exist
+  assert.deepStrictEqual(
+    ok.plan.audio.inputs.map(({ segment }) => segment.clipId),
+    ['c1', 'c2'],
+  );
+  assert.strictEqual(ok.plan.audio.loudness, null);
+  const withMusic = {
+    ...project,
+    timeline: { ...project.timeline, audioClips: [{ id: 'm1', sourceId: 'm', startFrame: 0, endFrame: 95, timelineStartFrame: 0 }] },
+    sources: [...project.sources, { id: 'm', hash: 'hashm', originalName: 'music.wav' }],
+  };
+  const noMusic = planExport(withMusic, { container: 'mp4', videoCodec: 'h264', loudness: -14 });
+  assert.deepStrictEqual(noMusic.errors.map((e) => e.code), ['media_missing']);
+  assert.strictEqual(noMusic.errors[0].details.missing[0].clipId, 'm1');
+  fs.writeFileSync(path.join(mediaRoot, 'hashm.wav'), 'm');
+  const music = planExport(withMusic, { container: 'mp4', videoCodec: 'h264', loudness: -14 });
+  assert.deepStrictEqual(music.errors, []);
+  assert.strictEqual(music.plan.audio.inputs.length, 3);
+  assert.deepStrictEqual(music.plan.audio.loudness, { target: -14, truePeak: -1, range: 11, twoPass: true });
+  // A lone clip with audio clips next to it is still mixed
+  const lone = planExport(
+    { ...withMusic, timeline: { ...withMusic.timeline, clips: [project.timeline.clips[0]] } },
+    { container: 'mp4', videoCodec: 'h264' },
+  );
+  assert.strictEqual(lone.plan.mode, 'concat');
+  assert.deepStrictEqual(
+    planExport(project, { ...settings, loudness: { truePeak: -2 } }).warnings.slice(-1),
+    [{ code: 'invalid_loudness', loudness: { truePeak: -2 } }],
+  );
+  // Single-clip exports apply the clip's own gain and fades
+  const faded = planExport(
+    { ...project, timeline: { ...project.timeline, clips: [{ ...project.timeline.clips[1], gainDb: 3, fadeInFrames: 12 }] } },
+    { container: 'mp4', videoCodec: 'h264', source: { kind: 'clip', clipId: 'c2' } },
+  );
+  assert.strictEqual(faded.plan.mode, 'single');
+  assert.deepStrictEqual(faded.plan.audio.filters, ['volume=3dB', 'afade=t=in:st=0:d=0.5']);
+  assert.strictEqual(gif.plan.audio, null);
+
+  // A missing encoder falls back down the chain and says so
+  setCapabilities({
+    encoders: [
+      { name: 'libx264', kind: 'video', codec: 'h264', experimental: false },
+      { name: 'aac', kind: 'audio', codec: 'aac', experimental: false },
+    ],
+    muxers: ['mp4'],
+    pixelFormats: [],
+  });
+  const fallback = planExport(project, { container: 'mp4', videoCodec: 'h265' });
+  assert.deepStrictEqual(fallback.errors, []);
+  assert.strictEqual(fallback.plan.videoCodec, 'libx264');
+  assert.deepStrictEqual(fallback.warnings.slice(-1), [
+    { code: 'codec_fallback', stream: 'video', requested: 'h265', encoder: 'libx264' },
+  ]);
+  assert.deepStrictEqual(
+    planExport(project, { container: 'mov', videoCodec: 'prores_422' }).errors.map((e) => e.code),
+    ['muxer_unavailable', 'encoder_unavailable'],
+  );
+  setCapabilities(null);
+
+  // Renditions are planned one by one; problems only some of them have name them
+  const multi = planRenditions(project, {
+    videoCodec: 'h264',
+    outputs: [
+      { name: 'web', container: 'mp4' },
+      { name: 'loop', container: 'gif', animation: { fps: 10 } },
+      { name: 'bad', container: 'webm' },
+    ],
+  });
+  assert.deepStrictEqual(multi.renditions.map((r) => r.plan.container), ['mp4', 'gif', 'webm']);
+  assert.deepStrictEqual(multi.errors, [
+    {
+      code: 'codec_container_mismatch',
+      details: { container: 'webm', stream: 'video', codec: 'h264', outputs: ['bad'] },
+    },
+  ]);
+  assert.strictEqual(multi.plan.fps, 24);
+  assert.strictEqual(multi.plan.audio.inputs.length, 2);
+  assert.strictEqual(
+    multi.plan.estimatedSizeBytes,
+    multi.renditions.reduce((sum, r) => sum + r.plan.estimatedSizeBytes, 0),
+  );
+  assert.deepStrictEqual(
+    planRenditions(project, { outputs: [{ name: 'a' }, { name: 'a' }] }).errors,
+    [{ code: 'invalid_outputs', details: { reason: 'duplicate_name', name: 'a' } }],
+  );
+  assert.strictEqual(planRenditions(project, settings).renditions, null);
+
+  // Size limits
+  const huge = planExport(
+    { ...project, settings: { width: 10000, height: 720 } },
+    { container: 'mp4', videoCodec: 'h264' },
+  );
+  assert.deepStrictEqual(huge.errors.map((e) => e.code), ['job_too_large']);
+  assert.strictEqual(huge.warnings[0].code, 'large_resolution');
+
+  // Planning logs through the caller's logger, renditions included
+  const lines = [];
+  const requestLog = createLogger({ level: 'debug', write: (line) => lines.push(JSON.parse(line)) }).child({
+    requestId: 'r1',
+  });
+  planRenditions(project, { ...settings, outputs: [{ name: 'a' }, { name: 'b' }] }, { log: requestLog });
+  const planned = lines.filter((entry) => entry.msg === 'derive_render_params');
+  assert.strictEqual(planned.length, 2);
+  assert.ok(planned.every((entry) => entry.requestId === 'r1'));
+} finally {
+  fs.rmSync(mediaRoot, { recursive: true, force: true });
+}
+
+console.log('All planExport tests passed');
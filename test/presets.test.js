@@ -0,0 +1,56 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BUILT_IN_PRESETS, createPresetRegistry } = require('../src/presets');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-presets-test-'));
+
+try {
+  const builtIn = createPresetRegistry();
+  assert.deepStrictEqual(
+    builtIn.list().map((p) => p.id),
+    Object.keys(BUILT_IN_PRESETS),
+  );
+  assert.strictEqual(builtIn.get('prores_master').source, 'built_in');
+
+  // Explicit top-level fields win over the preset
+  const { settings } = builtIn.expand({ preset: 'web_h264_1080p', width: 1280, height: 720, datamosh: { mode: 'classic' } });
+  assert.strictEqual(settings.container, 'mp4');
+  assert.strictEqual(settings.videoCodec, 'h264');
+  assert.deepStrictEqual(settings.rateControl, { mode: 'crf', value: 20 });
+  assert.strictEqual(settings.width, 1280);
+  assert.strictEqual(settings.height, 720);
+  assert.deepStrictEqual(settings.datamosh, { mode: 'classic' });
+
+  const plain = { container: 'mov', videoCodec: 'h264' };
+  assert.strictEqual(builtIn.expand(plain).settings, plain);
+  assert.deepStrictEqual(builtIn.expand({ preset: 'nope' }), { error: 'unknown_preset' });
+
+  // Config presets are added, replace built-ins by id and skip invalid entries
+  const file = path.join(dir, 'presets.json');
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      archive_h265: { label: 'Archive', settings: { container: 'mkv', videoCodec: 'h265' } },
+      webm_vp9: { settings: { container: 'webm', videoCodec: 'vp9', rateControl: { mode: 'crf', value: 30 } } },
+      broken: { label: 'No settings' },
+    }),
+  );
+  const configured = createPresetRegistry({ file });
+  assert.strictEqual(configured.get('archive_h265').source, 'config');
+  assert.strictEqual(configured.get('archive_h265').description, null);
+  assert.strictEqual(configured.get('webm_vp9').source, 'config');
+  assert.strictEqual(configured.get('webm_vp9').label, 'webm_vp9');
+  assert.strictEqual(configured.get('broken'), null);
+  assert.strictEqual(configured.expand({ preset: 'archive_h265' }).settings.container, 'mkv');
+
+  // An unreadable file leaves the built-ins
+  fs.writeFileSync(file, '{ not json');
+  assert.strictEqual(createPresetRegistry({ file }).list().length, Object.keys(BUILT_IN_PRESETS).length);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('All presets tests passed');
@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+const { PREVIEW_FILES, getPreviewPlan, buildPreviewCommands } = require('../src/previews');
+
+assert.deepStrictEqual(Object.keys(PREVIEW_FILES), ['thumbnail', 'animated', 'contactSheet']);
+assert.strictEqual(getPreviewPlan({ previews: false }, { startFrame: 0, frameCount: 48, timelineFps: 24 }), null);
+
+// The poster defaults to the middle frame of the export
+assert.deepStrictEqual(getPreviewPlan({}, { startFrame: 48, frameCount: 36, timelineFps: 24 }), {
+  posterFrame: 65,
+  posterClamped: false,
+  posterSeconds: 17 / 24,
+  frameCount: 36,
+});
+
+// Requested poster frames are timeline frames, clamped into the export
+const requested = (posterFrame) =>
+  getPreviewPlan({ previews: { posterFrame } }, { startFrame: 48, frameCount: 36, timelineFps: 24 });
+assert.strictEqual(requested(60).posterFrame, 60);
+assert.strictEqual(requested(60).posterSeconds, 0.5);
+assert.deepStrictEqual([requested(0).posterFrame, requested(0).posterClamped], [48, true]);
+assert.deepStrictEqual([requested(500).posterFrame, requested(500).posterClamped], [83, true]);
+assert.strictEqual(requested('soon').posterFrame, 65);
+
+const commands = buildPreviewCommands(
+  { path: '/tmp/frames/frame_%06d.png', inputOptions: ['-framerate 24', '-start_number 48'] },
+  requested(60),
+);
+const thumbnailArgs = commands.thumbnail._getArguments().join(' ');
+assert.ok(thumbnailArgs.includes('-framerate 24 -start_number 48 -ss 0.500000 -i /tmp/frames/frame_%06d.png'));
+assert.ok(thumbnailArgs.includes('-frames:v 1'));
+// 36 frames sampled down to about 12 for the animation and 16 tiles for the sheet
+assert.ok(commands.animated._getArguments().join(' ').includes("select='not(mod(n\\,3))'"));
+assert.ok(commands.contactSheet._getArguments().join(' ').includes("select='not(mod(n\\,3))'"));
+assert.ok(commands.contactSheet._getArguments().join(' ').includes('tile=4x4'));
+
+console.log('All previews tests passed');
@@ -0,0 +1,62 @@
+const assert = require('assert');
+
+const {
+  MAX_RENDITIONS,
+  hasRenditions,
+  isValidRenditionName,
+  getRenditionSettings,
+  buildSplitFilters,
+} = require('../src/renditions');
+
+assert.strictEqual(hasRenditions({}), false);
+assert.strictEqual(hasRenditions({ outputs: null }), false);
+assert.strictEqual(hasRenditions({ outputs: [] }), true);
+
+assert.strictEqual(isValidRenditionName('web_1080p'), true);
+assert.strictEqual(isValidRenditionName('-web'), false);
+assert.strictEqual(isValidRenditionName('../master'), false);
+assert.strictEqual(isValidRenditionName('a'.repeat(33)), false);
+
+// Renditions inherit the shared settings and override the encoding ones
+const { errors, warnings, renditions } = getRenditionSettings({
+  width: 1280,
+  container: 'mp4',
+  videoCodec: 'h264',
+  outputs: [
+    { name: 'master', container: 'mov', videoCodec: 'prores_422' },
+    { name: 'web' },
+    { name: 'loop', container: 'gif', width: 320, datamosh: {} },
+  ],
+});
+assert.deepStrictEqual(errors, []);
+assert.deepStrictEqual(renditions.map((r) => r.name), ['master', 'web', 'loop']);
+assert.deepStrictEqual(renditions[0].settings, { width: 1280, container: 'mov', videoCodec: 'prores_422' });
+assert.deepStrictEqual(renditions[1].settings, { width: 1280, container: 'mp4', videoCodec: 'h264' });
+assert.strictEqual(renditions[2].settings.width, 1280);
+assert.deepStrictEqual(warnings, [{ code: 'output_settings_ignored', output: 'loop', keys: ['width', 'datamosh'] }]);
+
+const reasons = (settings) => getRenditionSettings(settings).errors.map((e) => e.details.reason);
+assert.deepStrictEqual(reasons({ outputs: [] }), ['empty']);
+assert.deepStrictEqual(reasons({ outputs: 'mp4' }), ['empty']);
+assert.deepStrictEqual(
+  reasons({ outputs: Array.from({ length: MAX_RENDITIONS + 1 }, (_, k) => ({ name: `r${k}` })) }),
+  ['too_many'],
+);
+assert.deepStrictEqual(reasons({ outputs: [{ name: 'a' }, { name: 'a' }, { container: 'gif' }] }), [
+  'duplicate_name',
+  'invalid_name',
+]);
+
+// Video fans out to every rendition, audio only to those that carry it
+assert.deepStrictEqual(buildSplitFilters({ video: 'vout', audio: 'aout', withAudio: [true, false, true] }), {
+  filters: ['[vout]split=3[vout0][vout1][vout2]', '[aout]asplit=2[aout0][aout2]'],
+  video: ['vout0', 'vout1', 'vout2'],
+  audio: ['aout0', null, 'aout2'],
+});
+assert.deepStrictEqual(buildSplitFilters({ video: 'vout', audio: null, withAudio: [true, true] }), {
+  filters: ['[vout]split=2[vout0][vout1]'],
+  video: ['vout0', 'vout1'],
+  audio: [null, null],
+});
+
+console.log('All renditions tests passed');
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Nothing starts rendering, so the lane holds exactly MAX_QUEUE_LENGTH jobs
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-restore-test-'));
+process.env.EXPORT_TMP_DIR = path.join(dir, 'exports');
+process.env.MEDIA_ROOT = path.join(dir, 'media');
+process.env.MAX_CONCURRENT_JOBS = '0';
+process.env.MAX_QUEUE_LENGTH = '2';
+process.env.LOG_LEVEL = 'silent';
+
+const { restoreJobs, setJobStore, getJob } = require('../src/jobs');
+const { createMemoryJobStore } = require('../src/jobStore');
+
+try {
+  const store = createMemoryJobStore();
+  const stored = (id, status, minute) => ({
+    id,
+    status,
+    progress: 40,
+    error: null,
+    quality: 'full',
+    // Recent enough not to be pruned
+    createdAt: new Date(Date.now() - (10 - minute) * 60 * 1000).toISOString(),
+    warnings: [],
+  });
+  // Inserted out of order: restore goes by createdAt
+  store.insert(stored('newest', 'queued', 4));
+  store.insert(stored('oldest', 'rendering', 1));
+  store.insert(stored('second', 'queued', 2));
+  store.insert(stored('third', 'queued', 3));
+  store.insert({ ...stored('done', 'failed', 0), error: 'media_missing' });
+  setJobStore(store);
+
+  assert.deepStrictEqual(restoreJobs(), { restored: 5, requeued: 2, overCapacity: 2 });
+  assert.deepStrictEqual(
+    ['oldest', 'second', 'third', 'newest', 'done'].map((id) => [id, getJob(id).status, getJob(id).error]),
+    [
+      ['oldest', 'queued', null],
+      ['second', 'queued', null],
+      ['third', 'failed', 'over_capacity'],
+      ['newest', 'failed', 'over_capacity'],
+      ['done', 'failed', 'media_missing'],
+    ],
+  );
+  // The failures are journaled, so a second restart does not revive them
+  const journaled = Object.fromEntries(store.loadAll().map(({ job }) => [job.id, job.status]));
+  assert.deepStrictEqual(journaled, {
+    newest: 'failed',
+    oldest: 'queued',
+    second: 'queued',
+    third: 'failed',
+    done: 'failed',
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('All restoreJobs tests passed');
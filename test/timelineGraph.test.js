@@ -0,0 +1,95 @@
+const assert = require('assert');
+const {
+  computeTimelineWindow,
+  buildTimelineSegments,
+  buildTimelineFilterGraph,
+  buildTimelineLayers,
+  buildCompositeFilterGraph,
+} = require('../src/timelineGraph');
+
+const project = {
+  timeline: {
+    fps: 24,
+    clips: [
+      { id: 'b', sourceId: 'src-2', startFrame: 0, endFrame: 35, timelineStartFrame: 48 },
+      { id: 'a', sourceId: 'src-1', startFrame: 24, endFrame: 47, timelineStartFrame: 0 },
+    ],
+  },
+};
+
+// Clips are walked in timeline order with gaps filled in between
+const segments = buildTimelineSegments(project, {});
+assert.deepStrictEqual(segments, [
+  { type: 'clip', clipId: 'a', sourceId: 'src-1', sourceStartFrame: 24, frames: 24 },
+  { type: 'gap', frames: 24 },
+  { type: 'clip', clipId: 'b', sourceId: 'src-2', sourceStartFrame: 0, frames: 36 },
+]);
+
+// The window ends on the last clip's last frame; a clip without an end
+// frame is one frame long, as in getClipLengthFrames
+assert.deepStrictEqual(computeTimelineWindow(project, {}), { startFrame: 0, endFrame: 83 });
+const open = { timeline: { clips: [{ id: 'c', sourceId: 's', startFrame: 5, timelineStartFrame: 10 }] } };
+assert.deepStrictEqual(computeTimelineWindow(open, {}), { startFrame: 10, endFrame: 10 });
+
+// In/out frames trim the first and last clips
+const trimmed = buildTimelineSegments(project, { source: { kind: 'timeline', inFrame: 12, outFrame: 59 } });
+assert.deepStrictEqual(trimmed, [
+  { type: 'clip', clipId: 'a', sourceId: 'src-1', sourceStartFrame: 36, frames: 12 },
+  { type: 'gap', frames: 24 },
+  { type: 'clip', clipId: 'b', sourceId: 'src-2', sourceStartFrame: 0, frames: 12 },
+]);
+
+// Graph concatenates every segment and fills gaps with black
+const graph = buildTimelineFilterGraph({
+  segments,
+  inputs: [{ index: 0 }, { index: 1 }],
+  width: 320,
+  height: 240,
+  fps: 24,
+  timelineFps: 24,
+  postFilters: ['select=not(eq(pict_type\\,I))'],
+});
+assert.deepStrictEqual(graph.outputs, ['vout']);
+assert(graph.filters.some((f) => f.startsWith('[1:v]')));
+assert(!graph.filters.some((f) => f.includes(':a]')));
+assert(graph.filters.some((f) => f.startsWith('color=c=black:s=320x240:r=24:d=1,')));
+assert(graph.filters.includes('[v0][v1][v2]concat=n=3:v=1:a=0[vcat]'));
+assert(graph.filters.includes('[vcat]select=not(eq(pict_type\\,I))[vout]'));
+
+// Layers are ordered bottom-to-top by track, with offsets from the window start
+const layered = buildTimelineLayers(
+  {
+    timeline: {
+      fps: 24,
+      tracks: [{ id: 'v1' }, { id: 'v2' }],
+      clips: [
+        { id: 'pip', trackId: 'v2', sourceId: 'src-2', startFrame: 0, endFrame: 23, timelineStartFrame: 24, opacity: 0.5 },
+        { id: 'bg', trackId: 'v1', sourceId: 'src-1', startFrame: 0, endFrame: 71, timelineStartFrame: 0 },
+      ],
+    },
+  },
+  {},
+);
+assert.strictEqual(layered.durationFrames, 72);
+assert.deepStrictEqual(layered.layers.map((l) => [l.clipId, l.offsetFrames, l.frames]), [
+  ['bg', 0, 72],
+  ['pip', 24, 24],
+]);
+
+const composite = buildCompositeFilterGraph({
+  layers: layered.layers,
+  inputs: [{ index: 0 }, { index: 1 }],
+  durationFrames: layered.durationFrames,
+  width: 320,
+  height: 240,
+  fps: 24,
+  timelineFps: 24,
+  canvasScale: 1,
+  postFilters: [],
+});
+assert.deepStrictEqual(composite.outputs, ['vout']);
+assert(composite.filters.some((f) => f.startsWith('[1:v]') && f.endsWith('colorchannelmixer=aa=0.5,setpts=PTS+1/TB[l1]')));
+assert(composite.filters.includes('[c0][l1]overlay=x=(W-w)/2:y=(H-h)/2:eof_action=pass[c1]'));
+assert.strictEqual(composite.filters[composite.filters.length - 1], '[c1]format=yuv420p[vout]');
+
+console.log('All timelineGraph tests passed');
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmosh-upload-sessions-test-'));
+process.env.JOB_STORE = 'memory';
+process.env.EXPORT_TMP_DIR = path.join(dir, 'exports');
+process.env.MEDIA_ROOT = path.join(dir, 'media');
+process.env.LOG_LEVEL = 'silent';
+
+const express = require('express');
+const { MIN_CHUNK_SIZE, createUploadSessionStore } = require('../src/uploadSessions');
+const mediaRouter = require('../src/mediaRoutes');
+
+function request(url, method, headers, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function main() {
+  const store = createUploadSessionStore({ dir: path.join(dir, 'sessions') });
+  const data = crypto.randomBytes(MIN_CHUNK_SIZE * 2 + 1000);
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  const chunk = (index) => data.subarray(index * MIN_CHUNK_SIZE, (index + 1) * MIN_CHUNK_SIZE);
+
+  // Requested chunk sizes are clamped; the last chunk holds the remainder
+  const session = store.create({ hash, size: data.length, ext: '.mp4', chunkSize: 1 });
+  assert.strictEqual(session.chunkSize, MIN_CHUNK_SIZE);
+  assert.strictEqual(session.totalChunks, 3);
+  assert.strictEqual(store.getExpectedChunkSize(session, 2), 1000);
+
+  // Chunks can arrive in any order; the session survives a new store instance
+  await store.writeChunk(session, 2, Readable.from([chunk(2)]));
+  await store.writeChunk(session, 0, Readable.from([chunk(0)]));
+  const reloaded = createUploadSessionStore({ dir: path.join(dir, 'sessions') });
+  assert.deepStrictEqual(reloaded.listReceived(reloaded.get(session.id)), [0, 2]);
+
+  // A wrong-sized chunk is rejected and not recorded
+  await assert.rejects(
+    store.writeChunk(session, 1, Readable.from([chunk(1).subarray(10)])),
+    /chunk_size_mismatch/,
+  );
+  await assert.rejects(store.assemble(session, path.join(dir, 'out.mp4')), (err) => {
+    assert.deepStrictEqual(err.missing, [1]);
+    return true;
+  });
+
+  // An oversized chunk is cut off early, leaving its input for the caller
+  const oversized = Readable.from([chunk(1), chunk(1), chunk(1)]);
+  await assert.rejects(store.writeChunk(session, 1, oversized), /chunk_too_large/);
+  assert.strictEqual(oversized.destroyed, false);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'sessions', session.id)).sort(), [
+    '000000.chunk',
+    '000002.chunk',
+    'session.json',
+  ]);
+
+  await store.writeChunk(session, 1, Readable.from([chunk(1)]));
+  const assembled = await store.assemble(session, path.join(dir, 'out.mp4'));
+  assert(fs.readFileSync(assembled).equals(data));
+
+  store.remove(session.id);
+  assert.strictEqual(store.get(session.id), null);
+  assert.strictEqual(store.get('../etc'), null);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/media', mediaRouter);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/media/uploads`;
+
+  try {
+    // Without a Content-Length the size is only known once too much arrived;
+    // the client still gets the 400 before the connection closes
+    const small = data.subarray(0, 1000);
+    const sessionRequest = { hash: crypto.createHash('sha256').update(small).digest('hex'), size: small.length };
+    const created = await request(base, 'POST', { 'Content-Type': 'application/json' }, JSON.stringify(sessionRequest));
+    const chunkUrl = `${base}/${created.body.uploadId}/chunks/0`;
+    const tooLarge = await request(chunkUrl, 'PUT', { 'Transfer-Encoding': 'chunked' }, data.subarray(0, 4096));
+    assert.strictEqual(tooLarge.statusCode, 400);
+    assert.deepStrictEqual(tooLarge.body, { error: 'chunk_too_large' });
+    assert.strictEqual(tooLarge.headers.connection, 'close');
+
+    const resent = await request(chunkUrl, 'PUT', { 'Content-Length': small.length }, small);
+    assert.deepStrictEqual([resent.statusCode, resent.body], [200, { ok: true, index: 0, size: 1000 }]);
+  } finally {
+    server.close();
+  }
+}
+
+main()
+  .then(() => console.log('All uploadSessions tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
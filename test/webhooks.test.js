@@ -0,0 +1,138 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const {
+  SIGNATURE_HEADER,
+  DELIVERY_HEADER,
+  getWebhookConfig,
+  isValidCallbackUrl,
+  signWebhookBody,
+  getRetryDelayMs,
+  buildWebhookPayload,
+  deliverWebhook,
+} = require('../src/webhooks');
+
+// Receiver that answers each request with the next status in `statuses`
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+async function main() {
+  assert.deepStrictEqual(getWebhookConfig({}), { secret: null, maxAttempts: 6, retryBaseMs: 2000, timeoutMs: 10000 });
+  assert.strictEqual(getWebhookConfig({ WEBHOOK_MAX_ATTEMPTS: '0.5' }).maxAttempts, 1);
+
+  assert.strictEqual(isValidCallbackUrl('https://example.com/hooks/export'), true);
+  assert.strictEqual(isValidCallbackUrl('ftp://example.com/hook'), false);
+  assert.strictEqual(isValidCallbackUrl('/relative'), false);
+  assert.strictEqual(isValidCallbackUrl(42), false);
+
+  assert.deepStrictEqual([1, 2, 3, 20].map((n) => getRetryDelayMs(n, 1000)), [1000, 2000, 4000, 5 * 60 * 1000]);
+
+  const complete = buildWebhookPayload({
+    id: 'job1',
+    status: 'complete',
+    error: null,
+    quality: 'full',
+    container: 'mov',
+    warnings: [],
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    outputs: [
+      { name: 'master', container: 'mov', status: 'complete' },
+      { name: 'loop', container: 'gif', status: 'failed' },
+    ],
+  });
+  assert.deepStrictEqual(complete.download, {
+    url: '/exports/job1/download',
+    container: 'mov',
+    outputs: [
+      { name: 'master', container: 'mov', status: 'complete', url: '/exports/job1/outputs/master/download' },
+      { name: 'loop', container: 'gif', status: 'failed', url: null },
+    ],
+  });
+  const failed = buildWebhookPayload({ id: 'job2', status: 'failed', error: 'media_missing', quality: 'draft' });
+  assert.strictEqual(failed.error, 'media_missing');
+  assert.strictEqual(failed.download, null);
+
+  // Retries 5xx, then stops once the receiver accepts; every attempt is the
+  // same signed body and delivery id
+  const flaky = await startReceiver([503, 500, 204]);
+  try {
+    const attempts = [];
+    const result = await deliverWebhook({
+      url: flaky.url,
+      payload: failed,
+      secret: 'shh',
+      maxAttempts: 5,
+      retryBaseMs: 10,
+      timeoutMs: 2000,
+      onAttempt: (attempt) => attempts.push(attempt),
+    });
+    assert.deepStrictEqual(result, { delivered: true, attempts: 3 });
+    assert.deepStrictEqual(attempts.map((a) => [a.statusCode, a.retryInMs]), [[503, 10], [500, 20], [204, null]]);
+    assert.strictEqual(flaky.requests.length, 3);
+
+    const [first] = flaky.requests;
+    const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(first.body).digest('hex')}`;
+    assert.strictEqual(first.headers[SIGNATURE_HEADER.toLowerCase()], expected);
+    assert.strictEqual(signWebhookBody(first.body, 'shh'), expected);
+    assert.strictEqual(first.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(first.body), failed);
+    assert.strictEqual(new Set(flaky.requests.map((r) => r.headers[DELIVERY_HEADER.toLowerCase()])).size, 1);
+  } finally {
+    flaky.server.close();
+  }
+
+  // Other 4xx responses are final
+  const rejecting = await startReceiver([410]);
+  try {
+    const result = await deliverWebhook({
+      url: rejecting.url,
+      payload: failed,
+      secret: 'shh',
+      maxAttempts: 5,
+      retryBaseMs: 10,
+      timeoutMs: 2000,
+    });
+    assert.deepStrictEqual(result, { delivered: false, attempts: 1 });
+  } finally {
+    rejecting.server.close();
+  }
+
+  // Unreachable receivers use up every attempt
+  const closed = await startReceiver([200]);
+  await new Promise((resolve) => closed.server.close(resolve));
+  const attempts = [];
+  const result = await deliverWebhook({
+    url: closed.url,
+    payload: failed,
+    secret: 'shh',
+    maxAttempts: 2,
+    retryBaseMs: 10,
+    timeoutMs: 2000,
+    onAttempt: (attempt) => attempts.push(attempt),
+  });
+  assert.deepStrictEqual(result, { delivered: false, attempts: 2 });
+  assert.ok(attempts.every((a) => a.statusCode === null && a.errorMessage));
+}
+
+main()
+  .then(() => console.log('All webhooks tests passed'))
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });